@@ -1,4 +1,18 @@
 // middleware/middleware.js - Middleware для обработки запросов
+const crypto = require("crypto");
+const repository = require("../services/repository");
+const subscription = require("../services/subscription");
+const { createServiceError, sendServiceError } = require("../services/errors");
+const logger = require("../services/logger");
+
+// Максимальный возраст initData по умолчанию (сутки)
+const DEFAULT_INIT_DATA_MAX_AGE_SECONDS = 86400;
+
+// Время хранения результатов по ключу идемпотентности по умолчанию (сутки)
+const DEFAULT_IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10) || 86400;
+
+// Имя оператора в заголовке X-Operator (записывается в историю лидов)
+const OPERATOR_PATTERN = /^[\w.@-]{1,64}$/;
 
 /**
  * Логирование входящих запросов
@@ -6,7 +20,7 @@
 function requestLogger(req, res, next) {
   const startTime = Date.now();
   
-  console.log(`🌐 ${new Date().toISOString()} ${req.method} ${req.path}`, {
+  logger.info(`🌐 ${new Date().toISOString()} ${req.method} ${req.path}`, {
     origin: req.headers.origin || "не указан",
     ip: req.ip,
     userAgent: req.headers["user-agent"] ? req.headers["user-agent"].substring(0, 100) : "не указан",
@@ -17,7 +31,7 @@ function requestLogger(req, res, next) {
   res.send = function(body) {
     const duration = Date.now() - startTime;
     
-    console.log(`📤 ${new Date().toISOString()} Ответ ${req.method} ${req.path}`, {
+    logger.info(`📤 ${new Date().toISOString()} Ответ ${req.method} ${req.path}`, {
       statusCode: res.statusCode,
       duration: `${duration}ms`
     });
@@ -30,12 +44,15 @@ function requestLogger(req, res, next) {
 
 /**
  * Валидация Bot ID
+ * Вебхук Telegram и админ-API получают ID бота из пути (/webhook/:botId, /admin/bots/:botId)
  */
 function botIdValidator(req, res, next) {
   const botId = req.headers["x-bot-id"];
+  const isExempt = req.path === "/" || req.path === "/health" || req.path.includes("/api/test") ||
+    req.path.startsWith("/webhook/") || req.path.startsWith("/admin/");
   
-  if (!botId && req.path !== "/" && req.path !== "/health" && !req.path.includes("/api/test")) {
-    console.log("⚠️  Отсутствует X-Bot-ID заголовок:", req.path);
+  if (!botId && !isExempt) {
+    logger.info("⚠️  Отсутствует X-Bot-ID заголовок:", req.path);
     
     return res.status(400).json({
       success: false,
@@ -48,6 +65,451 @@ function botIdValidator(req, res, next) {
   next();
 }
 
+/**
+ * Проверка подписи initData Telegram Mini App
+ * @param {string} initData - Строка initData (query string из Telegram.WebApp.initData)
+ * @param {string} botToken - Токен бота
+ * @returns {Object|null} Разобранные поля initData или null, если подпись неверна
+ */
+function verifyInitData(initData, botToken) {
+  const params = new URLSearchParams(initData);
+  const hash = params.get("hash");
+  
+  if (!hash || !botToken) {
+    return null;
+  }
+  
+  params.delete("hash");
+  
+  const dataCheckString = Array.from(params.entries())
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join("\n");
+  
+  const secretKey = crypto.createHmac("sha256", "WebAppData").update(botToken).digest();
+  const expectedHash = crypto.createHmac("sha256", secretKey).update(dataCheckString).digest("hex");
+  
+  const expected = Buffer.from(expectedHash, "hex");
+  const received = Buffer.from(hash, "hex");
+  
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+  
+  return Object.fromEntries(params.entries());
+}
+
+/**
+ * Пользователь из параметров запроса (только для ботов с отключённой проверкой)
+ */
+function getUnsignedUser(body) {
+  if (!body || !body.userId) {
+    return null;
+  }
+  
+  return {
+    id: String(body.userId),
+    username: body.username || "",
+    first_name: body.firstName || "",
+    last_name: body.lastName || "",
+    language_code: body.languageCode || "ru",
+    is_verified: false
+  };
+}
+
+/**
+ * Пользователь из initData: подпись токеном бота, срок действия и поле user
+ * @throws INVALID_INIT_DATA, INIT_DATA_EXPIRED (401)
+ * @returns {Object} Пользователь для req.telegramUser
+ */
+function parseVerifiedInitData(initData, botConfig) {
+  const data = verifyInitData(initData, botConfig.botToken);
+  
+  if (!data) {
+    throw createServiceError("INVALID_INIT_DATA", "Invalid initData signature", 401);
+  }
+  
+  const maxAgeSeconds = botConfig.auth?.initDataMaxAgeSeconds || DEFAULT_INIT_DATA_MAX_AGE_SECONDS;
+  const authDate = parseInt(data.auth_date, 10);
+  
+  if (!authDate || Date.now() / 1000 - authDate > maxAgeSeconds) {
+    throw createServiceError("INIT_DATA_EXPIRED", "initData is expired", 401);
+  }
+  
+  let user;
+  try {
+    user = JSON.parse(data.user || "null");
+  } catch (e) {
+    user = null;
+  }
+  
+  if (!user || !user.id) {
+    throw createServiceError("INVALID_INIT_DATA", "initData does not contain user", 401);
+  }
+  
+  return {
+    id: String(user.id),
+    username: user.username || "",
+    first_name: user.first_name || "",
+    last_name: user.last_name || "",
+    language_code: user.language_code || "ru",
+    is_premium: user.is_premium === true,
+    start_param: data.start_param || null,
+    auth_date: authDate,
+    is_verified: true
+  };
+}
+
+/**
+ * Отключена ли проверка initData
+ * Флаг auth.skipInitDataCheck из конфигурации бота действует, только если сервер
+ * запущен с ALLOW_UNSIGNED_INIT_DATA=1: ошибка в конфигурации не откроет прод
+ */
+function isInitDataCheckSkipped(botConfig) {
+  if (botConfig.auth?.skipInitDataCheck !== true) {
+    return false;
+  }
+  
+  if (process.env.ALLOW_UNSIGNED_INIT_DATA !== "1") {
+    logger.info("⚠️ auth.skipInitDataCheck игнорируется: сервер запущен без ALLOW_UNSIGNED_INIT_DATA=1");
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Аутентификация пользователя Telegram по initData
+ *
+ * initData передаётся в заголовке X-Telegram-Init-Data или в поле initData тела запроса.
+ * Подпись проверяется токеном из конфигурации bots/{botId}. Для локальной разработки
+ * проверку можно отключить флагом auth.skipInitDataCheck (см. isInitDataCheckSkipped).
+ */
+async function telegramAuth(req, res, next) {
+  try {
+    const botId = req.botId;
+    const botConfig = await repository.getBotConfig(botId);
+    
+    if (!botConfig) {
+      return res.status(404).json({
+        success: false,
+        error: "Bot configuration not found",
+        code: "BOT_NOT_FOUND"
+      });
+    }
+    
+    req.botConfig = botConfig;
+    
+    if (isInitDataCheckSkipped(botConfig)) {
+      const user = getUnsignedUser({ ...req.query, ...req.body });
+      
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: "User is not authenticated",
+          code: "UNAUTHORIZED"
+        });
+      }
+      
+      logger.info(`⚠️ Проверка initData отключена для бота ${botId}`);
+      req.telegramUser = user;
+      return next();
+    }
+    
+    const initData = req.headers["x-telegram-init-data"] || req.body?.initData;
+    
+    if (!initData) {
+      return res.status(401).json({
+        success: false,
+        error: "Telegram initData is required",
+        code: "MISSING_INIT_DATA"
+      });
+    }
+    
+    req.telegramUser = parseVerifiedInitData(initData, botConfig);
+    
+    next();
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    
+    logger.error("❌ Ошибка проверки initData:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "AUTH_ERROR"
+    });
+  }
+}
+
+/**
+ * ID пользователя из подписанного initData без отказа в доступе
+ * Для открытых маршрутов, которым пользователь нужен только для персонализации
+ * (например, варианта эксперимента). Параметры запроса учитываются, только если
+ * у бота отключена проверка initData.
+ * @returns {string|null} ID пользователя или null, если initData нет, подпись неверна или устарела
+ */
+function getVerifiedUserId(req, botConfig) {
+  if (isInitDataCheckSkipped(botConfig)) {
+    return getUnsignedUser(req.query)?.id || null;
+  }
+  
+  const initData = req.headers["x-telegram-init-data"];
+  
+  if (!initData) {
+    return null;
+  }
+  
+  try {
+    return parseVerifiedInitData(initData, botConfig).id;
+  } catch (error) {
+    if (error.isServiceError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Поиск админ-ключа
+ * ADMIN_API_KEY даёт доступ ко всем ботам, admin.apiKeys бота - к одному:
+ *   admin: { apiKeys: [{ id: "sales", keyHash: "<sha256 ключа в hex>" }] }
+ * @param {Object|null} botConfig - Конфигурация бота (null - бот не найден)
+ * @returns {Object|null} { id, global } - кто выполняет запрос
+ */
+function findAdminKey(key, botConfig) {
+  const keyHash = crypto.createHash("sha256").update(key).digest();
+  const matches = (expectedHex) => {
+    const expected = Buffer.from(String(expectedHex || ""), "hex");
+    return expected.length === keyHash.length && crypto.timingSafeEqual(expected, keyHash);
+  };
+  
+  if (process.env.ADMIN_API_KEY && matches(crypto.createHash("sha256").update(process.env.ADMIN_API_KEY).digest("hex"))) {
+    return { id: "admin", global: true };
+  }
+  
+  const apiKey = (botConfig?.admin?.apiKeys || []).find(item => matches(item.keyHash));
+  return apiKey ? { id: String(apiKey.id || "operator") } : null;
+}
+
+/**
+ * Авторизация админ-API по заголовку Authorization: Bearer <ключ>
+ * Бот берётся из пути /admin/bots/:botId, результат - req.botConfig и req.admin.
+ * С общим ключом оператор передаётся заголовком X-Operator, иначе req.admin.id - "admin".
+ */
+async function adminAuth(req, res, next) {
+  try {
+    const match = (req.headers.authorization || "").match(/^Bearer\s+(\S+)$/i);
+    
+    if (!match) {
+      return res.status(401).json({
+        success: false,
+        error: "Admin API key is required",
+        code: "ADMIN_AUTH_REQUIRED"
+      });
+    }
+    
+    const botId = req.params.botId;
+    const botConfig = await repository.getBotConfig(botId);
+    const admin = findAdminKey(match[1], botConfig);
+    
+    // Без верного ключа несуществующий бот неотличим от чужого - ID ботов не перебрать
+    if (!admin) {
+      logger.info(`⚠️ Неверный админ-ключ для бота ${botId}`);
+      return res.status(403).json({
+        success: false,
+        error: "Invalid admin API key",
+        code: "ADMIN_FORBIDDEN"
+      });
+    }
+    
+    if (!botConfig) {
+      return res.status(404).json({
+        success: false,
+        error: "Bot not found",
+        code: "BOT_NOT_FOUND"
+      });
+    }
+    
+    const operator = req.headers["x-operator"];
+    
+    if (admin.global && typeof operator === "string" && OPERATOR_PATTERN.test(operator)) {
+      admin.id = operator;
+      admin.operator = true;
+    }
+    
+    req.botId = botId;
+    req.botConfig = botConfig;
+    req.admin = admin;
+    next();
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    
+    logger.error("❌ Ошибка авторизации админ-API:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "AUTH_ERROR"
+    });
+  }
+}
+
+/**
+ * Действия, которые записываются в историю от имени оператора
+ * С общим ключом ADMIN_API_KEY нужен заголовок X-Operator, ключ оператора бота называет его сам.
+ * Должен стоять после adminAuth
+ */
+function requireOperator(req, res, next) {
+  if (req.admin.global && !req.admin.operator) {
+    return res.status(400).json({
+      success: false,
+      error: "X-Operator header is required with the global admin key",
+      code: "OPERATOR_REQUIRED"
+    });
+  }
+  
+  next();
+}
+
+/**
+ * Доступ только подписчикам канала бота (subscription.required)
+ * Должен стоять после telegramAuth
+ */
+async function requireSubscription(req, res, next) {
+  try {
+    if (!subscription.getSubscriptionSettings(req.botConfig).required) {
+      return next();
+    }
+    
+    const result = await subscription.checkSubscription(req.botId, req.botConfig, req.telegramUser.id);
+    
+    if (!result.subscribed) {
+      return res.status(403).json({
+        success: false,
+        error: "Channel subscription required",
+        code: "SUBSCRIPTION_REQUIRED",
+        channel: result.channel,
+        status: result.status,
+        message: "Подпишитесь на канал, чтобы крутить колесо"
+      });
+    }
+    
+    next();
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    
+    logger.error("❌ Ошибка проверки подписки:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "SUBSCRIPTION_CHECK_ERROR"
+    });
+  }
+}
+
+/**
+ * JSON с отсортированными ключами (одинаковый для одинаковых тел запроса)
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  
+  return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * Идемпотентность POST-запросов по заголовку Idempotency-Key
+ *
+ * Должен стоять после telegramAuth. Первый ответ сохраняется для бота и пользователя,
+ * повтор с тем же ключом получает его без изменений. Повтор с другим телом
+ * отклоняется. Ответы 5xx не сохраняются, чтобы запрос можно было повторить.
+ * Ключ запроса, оборвавшегося без ответа, освобождается через минуту.
+ */
+async function idempotency(req, res, next) {
+  const key = req.headers["idempotency-key"];
+  
+  if (!key) {
+    return next();
+  }
+  
+  if (key.length > 255 || !/^[\x21-\x7e]+$/.test(key)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid Idempotency-Key header",
+      code: "INVALID_IDEMPOTENCY_KEY"
+    });
+  }
+  
+  const botId = req.botId;
+  const userId = req.telegramUser.id;
+  
+  try {
+    // initData не входит в хэш: подпись не меняет смысл запроса
+    const { initData, ...body } = req.body || {};
+    const requestHash = crypto
+      .createHash("sha256")
+      .update(`${req.method} ${req.path} ${stableStringify(body)}`)
+      .digest("hex");
+    
+    const ttlSeconds = req.botConfig?.idempotency?.ttlSeconds || DEFAULT_IDEMPOTENCY_TTL_SECONDS;
+    const { state, record } = await repository.reserveIdempotencyKey(botId, userId, key, requestHash);
+    
+    if (state === "mismatch") {
+      return res.status(422).json({
+        success: false,
+        error: "Idempotency-Key was already used with a different request",
+        code: "IDEMPOTENCY_KEY_MISMATCH"
+      });
+    }
+    
+    if (state === "in_progress") {
+      return res.status(409).json({
+        success: false,
+        error: "Request with this Idempotency-Key is still in progress",
+        code: "IDEMPOTENCY_KEY_IN_PROGRESS"
+      });
+    }
+    
+    if (state === "completed") {
+      logger.info(`🔁 Повтор запроса ${req.path} по ключу идемпотентности`, { botId, userId });
+      
+      res.set("Idempotent-Replayed", "true");
+      return res.status(record.status_code).type("application/json").send(record.body);
+    }
+    
+    // Запоминаем тело ответа в том виде, в котором оно уходит клиенту
+    const originalSend = res.send;
+    res.send = function(responseBody) {
+      res.send = originalSend;
+      
+      const storeResult = res.statusCode >= 500 ?
+        repository.releaseIdempotencyKey(botId, userId, key) :
+        repository.completeIdempotencyKey(botId, userId, key, res.statusCode, String(responseBody), ttlSeconds);
+      
+      storeResult.catch(error => {
+        logger.error("❌ Ошибка сохранения ключа идемпотентности:", error.message);
+      });
+      
+      return originalSend.call(this, responseBody);
+    };
+    
+    next();
+  } catch (error) {
+    logger.error("❌ Ошибка обработки Idempotency-Key:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "IDEMPOTENCY_ERROR"
+    });
+  }
+}
+
 /**
  * Валидация обязательных полей
  * @param {Array} requiredFields - Массив обязательных полей
@@ -80,7 +542,7 @@ function validateFields(requiredFields) {
  */
 function firebaseErrorHandler(err, req, res, next) {
   if (err.message && err.message.includes("Firebase")) {
-    console.error("🔥 Firebase error:", err.message);
+    logger.error("🔥 Firebase error:", err.message);
     
     return res.status(503).json({
       success: false,
@@ -96,6 +558,13 @@ function firebaseErrorHandler(err, req, res, next) {
 module.exports = {
   requestLogger,
   botIdValidator,
+  telegramAuth,
+  verifyInitData,
+  getVerifiedUserId,
+  requireSubscription,
+  adminAuth,
+  requireOperator,
+  idempotency,
   validateFields,
   firebaseErrorHandler
 };
@@ -0,0 +1,656 @@
+// routes/admin.js - Админ-API ботов
+//
+// Все маршруты /admin/bots/:botId/... требуют Authorization: Bearer <ключ>
+// (см. middleware.adminAuth).
+const express = require("express");
+const router = express.Router();
+const middleware = require("../middleware/middleware");
+const repository = require("../services/repository");
+const { sendServiceError } = require("../services/errors");
+const prizeEngine = require("../services/prizeEngine");
+const prizeInventory = require("../services/prizeInventory");
+const promoCodes = require("../services/promoCodes");
+const wallet = require("../services/wallet");
+const experiments = require("../services/experiments");
+const leadExport = require("../services/leadExport");
+const crm = require("../services/crm");
+const leads = require("../services/leads");
+const logger = require("../services/logger");
+
+// Сколько кодов можно загрузить за один запрос
+const MAX_UPLOAD_CODES = 10000;
+
+// Сколько лидов читается за один запрос к хранилищу при выгрузке
+const EXPORT_PAGE_SIZE = 500;
+
+// Статусы задач outbox (см. services/outbox.js)
+const DELIVERY_STATUSES = ["pending", "processing", "sent", "failed"];
+
+// Сколько неудачных доставок повторяется за один запрос
+const MAX_RETRY_BATCH = 200;
+
+router.use("/admin/bots/:botId", middleware.adminAuth);
+
+// =====================================================
+// 🎟️ ПРОМОКОДЫ
+// =====================================================
+
+// Остатки пулов промокодов
+router.get("/admin/bots/:botId/promo-codes", async (req, res) => {
+  try {
+    const prizes = prizeEngine.getWheelPrizes(req.botConfig).filter(promoCodes.isPromoPrize);
+    const pools = await repository.getPromoPools(req.botId, prizes.map(prizeInventory.getPrizeKey));
+
+    res.json({
+      success: true,
+      bot_id: req.botId,
+      pools: pools.map((pool, index) => ({ ...pool, prize: prizes[index].text }))
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+
+    logger.error("❌ Ошибка в GET /admin/promo-codes:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "PROMO_POOLS_ERROR"
+    });
+  }
+});
+
+// Загрузка промокодов в пул приза: { codes: ["CODE1", "CODE2"] }
+router.post("/admin/bots/:botId/prizes/:prizeId/promo-codes", async (req, res) => {
+  try {
+    const prizeId = req.params.prizeId;
+    const prize = prizeEngine.getWheelPrizes(req.botConfig)
+      .find(item => prizeInventory.getPrizeKey(item) === prizeId);
+
+    if (!prize) {
+      return res.status(404).json({
+        success: false,
+        error: "Prize not found",
+        code: "PRIZE_NOT_FOUND"
+      });
+    }
+
+    if (!promoCodes.isPromoPrize(prize)) {
+      return res.status(400).json({
+        success: false,
+        error: `Prize type must be ${promoCodes.PROMO_CODE_TYPE}`,
+        code: "NOT_PROMO_PRIZE"
+      });
+    }
+
+    const codes = req.body.codes;
+
+    if (!Array.isArray(codes) || codes.length === 0 || codes.length > MAX_UPLOAD_CODES) {
+      return res.status(400).json({
+        success: false,
+        error: `codes must be a non-empty array of up to ${MAX_UPLOAD_CODES} strings`,
+        code: "INVALID_PROMO_CODES"
+      });
+    }
+
+    const normalized = promoCodes.normalizeCodes(codes);
+    const result = await repository.addPromoCodes(req.botId, prizeId, normalized.codes);
+    const [pool] = await repository.getPromoPools(req.botId, [prizeId]);
+
+    logger.info(`🎟️ ${req.admin.id} загрузил промокоды для приза ${prizeId} бота ${req.botId}`);
+
+    res.json({
+      success: true,
+      prize_id: prizeId,
+      added: result.added,
+      duplicates: result.duplicates + (codes.length - normalized.invalid.length - normalized.codes.length),
+      invalid: normalized.invalid.length,
+      pool
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+
+    logger.error("❌ Ошибка в POST /admin/promo-codes:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "PROMO_UPLOAD_ERROR"
+    });
+  }
+});
+
+// =====================================================
+// 💰 БАЛЛЫ ПОЛЬЗОВАТЕЛЕЙ
+// =====================================================
+
+// Баланс и сверка с журналом
+router.get("/admin/bots/:botId/users/:userId/wallet", async (req, res) => {
+  try {
+    const reconciliation = await repository.reconcileWallet(req.botId, req.params.userId);
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+        code: "USER_NOT_FOUND"
+      });
+    }
+
+    const page = await repository.getLedger(req.botId, req.params.userId, {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+
+    res.json({
+      success: true,
+      user_id: req.params.userId,
+      ...reconciliation,
+      entries: page.entries,
+      next_cursor: page.next_cursor
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+
+    logger.error("❌ Ошибка в GET /admin/wallet:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "WALLET_ERROR"
+    });
+  }
+});
+
+// Начисление или списание баллов: { amount, note, referenceId }
+// referenceId делает операцию идемпотентной
+router.post("/admin/bots/:botId/users/:userId/wallet/adjust", async (req, res) => {
+  try {
+    const { amount, note, referenceId } = req.body;
+
+    if (!Number.isInteger(amount) || amount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "amount must be a non-zero integer",
+        code: "INVALID_AMOUNT"
+      });
+    }
+
+    const result = await repository.applyPointsOperation(req.botId, req.params.userId, {
+      amount,
+      reason: wallet.LEDGER_REASONS.ADMIN_GRANT,
+      reference: { type: "admin", id: referenceId ? String(referenceId) : null, operator: req.admin.id },
+      note: typeof note === "string" ? note.slice(0, 500) : null
+    }, req.botConfig);
+
+    res.json({
+      success: true,
+      entry: result.entry,
+      balance: result.balance,
+      duplicate: result.duplicate
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+
+    logger.error("❌ Ошибка в POST /admin/wallet/adjust:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "WALLET_ADJUST_ERROR"
+    });
+  }
+});
+
+// =====================================================
+// 🧪 ЭКСПЕРИМЕНТЫ
+// =====================================================
+
+// Конверсия спинов в лиды по вариантам эксперимента
+router.get("/admin/bots/:botId/experiments/:experimentId/report", async (req, res) => {
+  try {
+    const experiment = experiments.findExperiment(req.botConfig, req.params.experimentId);
+
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: "Experiment not found",
+        code: "EXPERIMENT_NOT_FOUND"
+      });
+    }
+
+    const stats = await repository.getExperimentStats(req.botId, experiment.id);
+
+    res.json({
+      success: true,
+      experiment_id: experiment.id,
+      active: experiment.active,
+      campaign_id: experiment.campaignId,
+      variants: experiments.buildReport(experiment, stats),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+
+    logger.error("❌ Ошибка в GET /admin/experiments/report:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "EXPERIMENT_REPORT_ERROR"
+    });
+  }
+});
+
+// =====================================================
+// 📋 ЛИДЫ
+// =====================================================
+
+// Выгрузка лидов: ?format=csv|xlsx&from=2024-05-01&to=2024-05-31&status=new
+// Дата без времени в to включает весь день (UTC)
+router.get("/admin/bots/:botId/leads/export", async (req, res) => {
+  const format = req.query.format || "csv";
+  const from = parseDateParam(req.query.from, false);
+  const to = parseDateParam(req.query.to, true);
+  const status = req.query.status || null;
+
+  if (!leadExport.EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${leadExport.EXPORT_FORMATS.join(", ")}`,
+      code: "INVALID_FORMAT"
+    });
+  }
+
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: "from and to must be dates (YYYY-MM-DD or ISO 8601)",
+      code: "INVALID_DATE"
+    });
+  }
+
+  if (status !== null && !leads.LEAD_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${leads.LEAD_STATUSES.join(", ")}`,
+      code: "INVALID_STATUS"
+    });
+  }
+
+  const exporter = leadExport.createLeadExporter(format, res);
+  let exported = 0;
+
+  try {
+    // Первая страница читается до заголовков - ошибка хранилища ещё вернётся как JSON
+    let page = await repository.getLeadsPage(req.botId, { from, to, status, limit: EXPORT_PAGE_SIZE });
+    const fileName = `leads_${req.botId}_${new Date().toISOString().slice(0, 10)}.${exporter.extension}`;
+
+    res.setHeader("Content-Type", exporter.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName.replace(/[^\w.-]/g, "_")}"`);
+    await exporter.start();
+
+    for (;;) {
+      await exporter.writeLeads(page.leads);
+      exported += page.leads.length;
+
+      if (!page.next_cursor) {
+        break;
+      }
+
+      page = await repository.getLeadsPage(req.botId, { from, to, status, cursor: page.next_cursor, limit: EXPORT_PAGE_SIZE });
+    }
+
+    await exporter.finish();
+    res.end();
+
+    logger.info(`📋 ${req.admin.id} выгрузил ${exported} лидов бота ${req.botId} (${format})`);
+
+  } catch (error) {
+    // Файл уже частично отправлен - обрываем соединение, чтобы выгрузка не выглядела полной
+    if (res.headersSent) {
+      logger.error(`❌ Выгрузка лидов бота ${req.botId} прервана после ${exported} лидов:`, error);
+      return res.destroy(error);
+    }
+
+    if (sendServiceError(res, error)) return;
+
+    logger.error("❌ Ошибка в GET /admin/leads/export:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "LEADS_EXPORT_ERROR"
+    });
+  }
+});
+
+// Список лидов: ?status=new&from=&to=&q=&order=desc&cursor=&limit=50
+// q - телефон (точное совпадение после нормализации), ID лида или часть имени
+router.get("/admin/bots/:botId/leads", async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    const from = parseDateParam(req.query.from, false);
+    const to = parseDateParam(req.query.to, true);
+    const order = req.query.order || "desc";
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+    if (status !== null && !leads.LEAD_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${leads.LEAD_STATUSES.join(", ")}`,
+        code: "INVALID_STATUS"
+      });
+    }
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "from and to must be dates (YYYY-MM-DD or ISO 8601)",
+        code: "INVALID_DATE"
+      });
+    }
+
+    if (!["asc", "desc"].includes(order)) {
+      return res.status(400).json({
+        success: false,
+        error: "order must be asc or desc",
+        code: "INVALID_ORDER"
+      });
+    }
+
+    const options = { status, from, to, order, cursor: req.query.cursor, limit: parseInt(req.query.limit, 10) || 50 };
+    const phone = query ? leads.normalizePhone(query, leads.getDefaultCountry(req.botConfig)) : null;
+    let page;
+
+    if (!query) {
+      page = await repository.getLeadsPage(req.botId, { ...options, limit: Math.min(options.limit, 200) });
+    } else if (phone) {
+      page = await repository.getLeadsPage(req.botId, { ...options, phone, limit: Math.min(options.limit, 200) });
+    } else if (query.startsWith("lead_")) {
+      const lead = await repository.getLead(query);
+      page = { leads: lead && lead.bot_id === req.botId ? [lead] : [], next_cursor: null };
+    } else {
+      page = await repository.searchLeads(req.botId, { ...options, name: query });
+    }
+
+    res.json({
+      success: true,
+      bot_id: req.botId,
+      leads: page.leads,
+      next_cursor: page.next_cursor,
+      has_more: page.next_cursor !== null
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+
+    logger.error("❌ Ошибка в GET /admin/leads:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "LEADS_LIST_ERROR"
+    });
+  }
+});
+
+// Лид с историей обработки
+router.get("/admin/bots/:botId/leads/:leadId", async (req, res) => {
+  try {
+    const lead = await repository.getLead(req.params.leadId);
+
+    if (!lead || lead.bot_id !== req.botId) {
+      return res.status(404).json({
+        success: false,
+        error: "Lead not found",
+        code: "LEAD_NOT_FOUND"
+      });
+    }
+
+    res.json({
+      success: true,
+      lead,
+      allowed_statuses: leads.getAllowedTransitions(lead.status)
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+
+    logger.error("❌ Ошибка в GET /admin/leads/:leadId:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "LEAD_ERROR"
+    });
+  }
+});
+
+// Смена статуса лида: { status: "contacted", note: "Перезвонить вечером" }
+router.post("/admin/bots/:botId/leads/:leadId/status", middleware.requireOperator, async (req, res) => {
+  try {
+    const { status } = req.body || {};
+
+    if (typeof status !== "string" || !status) {
+      return res.status(400).json({
+        success: false,
+        error: "status is required",
+        code: "MISSING_FIELDS"
+      });
+    }
+
+    const lead = await repository.updateLeadStatus(req.botId, req.params.leadId, {
+      status,
+      note: leads.sanitizeNote(req.body.note),
+      operator: req.admin.id
+    });
+
+    res.json({
+      success: true,
+      lead,
+      allowed_statuses: leads.getAllowedTransitions(lead.status)
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+
+    logger.error("❌ Ошибка в POST /admin/leads/status:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "LEAD_STATUS_ERROR"
+    });
+  }
+});
+
+// Заметка к лиду без смены статуса: { note: "Не берёт трубку" }
+router.post("/admin/bots/:botId/leads/:leadId/notes", middleware.requireOperator, async (req, res) => {
+  try {
+    const note = leads.sanitizeNote((req.body || {}).note);
+
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        error: "note is required",
+        code: "MISSING_FIELDS"
+      });
+    }
+
+    const lead = await repository.addLeadNote(req.botId, req.params.leadId, {
+      note,
+      operator: req.admin.id
+    });
+
+    res.json({
+      success: true,
+      lead
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+
+    logger.error("❌ Ошибка в POST /admin/leads/notes:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "LEAD_NOTE_ERROR"
+    });
+  }
+});
+
+// =====================================================
+// 🔗 CRM
+// =====================================================
+
+// Доставки лидов в вебхуки CRM: ?status=failed&cursor=...&limit=50
+router.get("/admin/bots/:botId/crm/deliveries", async (req, res) => {
+  try {
+    const status = req.query.status || null;
+
+    if (status !== null && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}`,
+        code: "INVALID_STATUS"
+      });
+    }
+
+    const page = await repository.getOutboxJobs(req.botId, {
+      type: crm.JOB_TYPE,
+      status,
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      bot_id: req.botId,
+      deliveries: page.jobs.map(formatDelivery),
+      next_cursor: page.next_cursor,
+      has_more: page.next_cursor !== null
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+
+    logger.error("❌ Ошибка в GET /admin/crm/deliveries:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "CRM_DELIVERIES_ERROR"
+    });
+  }
+});
+
+// Повтор неудачной доставки
+router.post("/admin/bots/:botId/crm/deliveries/:jobId/retry", async (req, res) => {
+  try {
+    const job = await repository.retryOutboxJob(req.botId, req.params.jobId, crm.JOB_TYPE);
+
+    logger.info(`🔁 ${req.admin.id} повторил доставку ${job.job_id}`);
+
+    res.json({
+      success: true,
+      delivery: formatDelivery(job)
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+
+    logger.error("❌ Ошибка в POST /admin/crm/deliveries/retry:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "CRM_RETRY_ERROR"
+    });
+  }
+});
+
+// Повтор всех неудачных доставок (не больше MAX_RETRY_BATCH за запрос)
+router.post("/admin/bots/:botId/crm/deliveries/retry-failed", async (req, res) => {
+  try {
+    const page = await repository.getOutboxJobs(req.botId, {
+      type: crm.JOB_TYPE,
+      status: "failed",
+      limit: MAX_RETRY_BATCH
+    });
+
+    let retried = 0;
+
+    for (const job of page.jobs) {
+      try {
+        await repository.retryOutboxJob(req.botId, job.job_id, crm.JOB_TYPE);
+        retried++;
+      } catch (error) {
+        // Задачу могли повторить параллельно
+        if (error.code !== "OUTBOX_JOB_NOT_FAILED") {
+          throw error;
+        }
+      }
+    }
+
+    logger.info(`🔁 ${req.admin.id} повторил ${retried} доставок бота ${req.botId}`);
+
+    res.json({
+      success: true,
+      retried,
+      has_more: page.next_cursor !== null
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+
+    logger.error("❌ Ошибка в POST /admin/crm/deliveries/retry-failed:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "CRM_RETRY_ERROR"
+    });
+  }
+});
+
+// =====================================================
+// 🛠️ ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ
+// =====================================================
+
+/**
+ * Задача outbox в формате ответа API
+ */
+function formatDelivery(job) {
+  return {
+    delivery_id: job.job_id,
+    lead_id: job.payload?.lead_id || null,
+    webhook_id: job.payload?.webhook_id || null,
+    status: job.status,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    retries: job.retries || 0,
+    last_error: job.last_error || null,
+    result: job.result || null,
+    next_attempt_at: job.status === "pending" ? job.next_attempt_at : null,
+    created_at: job.created_at || null,
+    updated_at: job.updated_at || null
+  };
+}
+
+/**
+ * Дата из параметра запроса
+ * @param {boolean} endOfDay - Дата без времени означает конец дня (для верхней границы)
+ * @returns {Date|null|undefined} null - параметр не задан, undefined - неверная дата
+ */
+function parseDateParam(value, endOfDay) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+
+  if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+    return undefined;
+  }
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(date.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  return date;
+}
+
+module.exports = router;
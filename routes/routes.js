@@ -2,7 +2,29 @@
 const express = require("express");
 const router = express.Router();
 const middleware = require("../middleware/middleware");
-const firebaseService = require("../services/firebaseService");
+const repository = require("../services/repository");
+const storage = require("../services/storage");
+const { sendServiceError } = require("../services/errors");
+const spinDay = require("../services/spinDay");
+const cooldown = require("../services/cooldown");
+const prizeInventory = require("../services/prizeInventory");
+const prizeEngine = require("../services/prizeEngine");
+const subscription = require("../services/subscription");
+const onboarding = require("../services/onboarding");
+const referrals = require("../services/referrals");
+const notifications = require("../services/notifications");
+const purchases = require("../services/purchases");
+const tasks = require("../services/tasks");
+const streaks = require("../services/streaks");
+const leaderboard = require("../services/leaderboard");
+const campaigns = require("../services/campaigns");
+const experiments = require("../services/experiments");
+const leads = require("../services/leads");
+const crm = require("../services/crm");
+const logger = require("../services/logger");
+
+// Максимальная длина client seed
+const MAX_CLIENT_SEED_LENGTH = 64;
 
 // =====================================================
 // 🧪 ТЕСТОВЫЕ ЭНДПОИНТЫ
@@ -18,18 +40,20 @@ router.get("/test", (req, res) => {
 });
 
 router.get("/firebase-status", async (req, res) => {
-  const firebaseInitialized = firebaseService.isInitialized();
+  const storageInitialized = storage.isInitialized();
+  const driver = storage.getDriverName();
   
-  if (!firebaseInitialized) {
+  if (!storageInitialized) {
     return res.status(503).json({
-      error: "Firebase not initialized",
+      error: "Storage not initialized",
+      storage_driver: driver,
       firebase_initialized: false
     });
   }
   
   res.json({
-    firebase: "connected",
-    firestore: "working",
+    firebase: driver === "firestore" ? "connected" : "disabled",
+    storage_driver: driver,
     timestamp: new Date().toISOString()
   });
 });
@@ -40,93 +64,48 @@ router.get("/firebase-status", async (req, res) => {
 
 // 1. Статус пользователя
 router.post("/api/user-status", 
-  middleware.validateFields(["userId"]),
+  middleware.telegramAuth,
   async (req, res) => {
     try {
-      const { userId, referrerId, username, firstName, lastName, languageCode } = req.body;
+      const user = req.telegramUser;
+      const userId = user.id;
       const botId = req.botId;
       
-      console.log("📊 /api/user-status called", { botId, userId });
+      logger.info("📊 /api/user-status called", { botId, userId });
       
-      // Получаем конфигурацию бота
-      const botConfig = await firebaseService.getBotConfig(botId);
+      // Конфигурация бота загружена в telegramAuth
+      const botConfig = req.botConfig;
       
-      if (!botConfig && firebaseService.isInitialized()) {
-        return res.status(404).json({
-          success: false,
-          error: "Bot configuration not found",
-          code: "BOT_NOT_FOUND"
-        });
-      }
+      // Реферер и кампания из start_param (или referrerId от Mini App)
+      const start = onboarding.parseStartPayload(user.start_param);
+      start.referrerId = req.body.referrerId || start.referrerId;
       
-      // Получаем данные пользователя
-      let userData = await firebaseService.getUserData(botId, userId);
-      let isNewUser = false;
-      
-      // Если пользователь не существует, создаем нового
-      if (!userData && firebaseService.isInitialized()) {
-        userData = await firebaseService.createUser(botId, userId, {
-          username,
-          firstName,
-          lastName,
-          languageCode,
-          attemptsLeft: botConfig?.limits?.spinsPerDay || 3
-        });
-        isNewUser = true;
-        
-        // Обработка реферера
-        if (referrerId && referrerId !== userId) {
-          await handleReferrer(botId, userId, referrerId);
-        }
-      }
+      // Если пользователь не существует, создаем нового (обычно его уже создал вебхук по /start)
+      const { userData, isNewUser } = await onboarding.registerUser(botId, user, start, botConfig);
       
-      // Если Firebase не инициализирован или пользователь не найден, возвращаем тестовые данные
-      if (!userData) {
-        return res.json({
-          success: true,
-          user_id: userId,
-          bot_id: botId,
-          attempts_left: 3,
-          spins_today: 0,
-          total_spins: 0,
-          total_prizes: 0,
-          referrals: 0,
-          referral_link: `https://t.me/your_bot?start=uid_${userId}`,
-          cooldown: 0,
-          is_new_user: false,
-          message: "Test mode - Firebase not available"
-        });
-      }
+      // Открытие приложения продлевает серию дней подряд и начисляет награду дня
+      const appOpen = await repository.recordAppOpen(botId, userId, botConfig);
+      const streakSettings = streaks.getStreakSettings(botConfig);
       
-      // Рассчитываем оставшиеся попытки
-      const today = new Date().toISOString().split('T')[0];
-      const spinsToday = userData.spins ? userData.spins.filter(spin => {
-        const spinDate = spin.timestamp?.toDate ? 
-          spin.timestamp.toDate().toISOString().split('T')[0] : 
-          new Date(spin.timestamp).toISOString().split('T')[0];
-        return spinDate === today;
-      }).length : 0;
+      // Активная кампания и варианты экспериментов пользователя задают колесо и лимиты
+      const campaign = campaigns.resolveCampaign(botConfig, { userData });
+      const assignments = experiments.getAssignments(botConfig, userId, campaign);
+      const campaignConfig = experiments.applyVariants(campaigns.getCampaignConfig(botConfig, campaign), assignments);
       
-      const maxSpinsPerDay = botConfig?.limits?.spinsPerDay || 3;
+      // Рассчитываем оставшиеся попытки (счётчик сбрасывается по дню вращений бота)
+      const spinsToday = userData.spins_today || 0;
+      
+      const maxSpinsPerDay = spinDay.getSpinsPerDay(campaignConfig);
       const attemptsLeft = Math.max(0, maxSpinsPerDay - spinsToday);
       
-      // Проверяем кулдаун
-      let cooldownRemaining = 0;
-      let nextSpinAt = null;
-      
-      if (userData.last_spin) {
-        const lastSpinTime = userData.last_spin.toDate ? 
-          userData.last_spin.toDate().getTime() : 
-          new Date(userData.last_spin).getTime();
-        
-        const cooldownMs = (botConfig?.limits?.cooldownSeconds || 3600) * 1000;
-        const cooldownEnd = lastSpinTime + cooldownMs;
-        
-        if (Date.now() < cooldownEnd) {
-          cooldownRemaining = Math.ceil((cooldownEnd - Date.now()) / 1000);
-          nextSpinAt = new Date(cooldownEnd).toISOString();
-        }
-      }
+      // Проверяем кулдаун (тот же расчёт, что и в /api/spin)
+      const cooldownState = cooldown.getCooldownState(campaignConfig, {
+        lastSpin: userData.last_spin,
+        spinsToday
+      });
+      
+      // Хэш server seed следующего спина публикуется до вращения
+      const fairness = await repository.getFairnessCommitment(botId, userId);
       
       res.json({
         success: true,
@@ -134,19 +113,39 @@ router.post("/api/user-status",
         bot_id: botId,
         attempts_left: attemptsLeft,
         attemptsLeft: attemptsLeft, // Для совместимости с HTML
+        bonus_attempts: appOpen ? appOpen.bonus_attempts : (userData.bonus_attempts || 0),
+        points_balance: appOpen ? appOpen.points_balance : (userData.points_balance || 0),
         spins_today: spinsToday,
         total_spins: userData.total_spins || 0,
         total_prizes: userData.total_prizes || 0,
         referrals: userData.invited_users ? userData.invited_users.length : 0,
+        qualified_referrals: userData.qualified_referrals || 0,
+        open_streak: appOpen ? appOpen.open_streak : 0,
+        leaderboard_hidden: userData.leaderboard_hidden === true,
+        streak: {
+          current: appOpen ? appOpen.open_streak : 0,
+          best: appOpen ? appOpen.best_open_streak : 0,
+          grace_days: streakSettings.graceDays,
+          today_reward: appOpen ? appOpen.reward : null,
+          next_reward: streaks.getNextReward(appOpen ? appOpen.open_streak : 0, streakSettings)
+        },
         ref_link: userData.referral_link || `https://t.me/${botConfig?.botUsername || 'your_bot'}?start=uid_${userId}`,
         referral_link: userData.referral_link || `https://t.me/${botConfig?.botUsername || 'your_bot'}?start=uid_${userId}`,
-        cooldown: cooldownRemaining,
-        nextSpinAt: nextSpinAt,
+        cooldown: cooldownState.remainingSeconds,
+        cooldown_seconds: cooldownState.cooldownSeconds,
+        nextSpinAt: cooldownState.nextSpinAt,
+        spin_day: spinDay.getSpinDay(botConfig),
+        next_reset_at: spinDay.getNextResetAt(botConfig).toISOString(),
+        fairness: fairness,
+        campaign: campaigns.formatCampaign(campaign),
+        experiments: experiments.toRecord(assignments),
         is_new_user: isNewUser
       });
       
     } catch (error) {
-      console.error("❌ Ошибка в /api/user-status:", error);
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/user-status:", error);
       res.status(500).json({
         success: false,
         error: "Internal server error",
@@ -156,292 +155,151 @@ router.post("/api/user-status",
   }
 );
 
-// 2. Проверка подписки - ИСПРАВЛЕННАЯ ВЕРСИЯ
+// 2. Проверка подписки на канал через getChatMember
 router.post("/api/check-subscription",
-  middleware.validateFields(["userId"]),
+  middleware.telegramAuth,
   async (req, res) => {
     try {
-      const { userId } = req.body;
+      const userId = req.telegramUser.id;
       const botId = req.botId;
       
-      console.log("📺 /api/check-subscription called", { botId, userId });
+      logger.info("📺 /api/check-subscription called", { botId, userId });
       
-      // Получаем конфигурацию бота
-      const botConfig = await firebaseService.getBotConfig(botId);
+      // Конфигурация бота загружена в telegramAuth
+      const result = await subscription.checkSubscription(botId, req.botConfig, userId);
       
-      // Если Firebase не инициализирован, возвращаем успех для тестирования
-      if (!firebaseService.isInitialized()) {
-        return res.json({
-          success: true,
-          subscribed: true,
-          channelId: null,
-          status: "not_required",
-          message: "Firebase not initialized - test mode",
-          timestamp: new Date().toISOString()
-        });
+      // Подтверждённая подписка может засчитать реферала
+      if (result.subscribed && result.channel) {
+        await referrals.handleQualifyingAction(botId, userId, "subscription", req.botConfig);
       }
       
-      // Если нет конфигурации бота, возвращаем ошибку
-      if (!botConfig) {
-        return res.status(404).json({
-          success: false,
-          error: "Bot configuration not found",
-          code: "BOT_NOT_FOUND"
-        });
-      }
-      
-      // Если нет канала в настройках, считаем что подписан
-      if (!botConfig.subscription || !botConfig.subscription.channelUsername) {
-        return res.json({
-          success: true,
-          subscribed: true,
-          channelId: null,
-          status: "not_required",
-          message: "Subscription not required",
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      // Здесь должна быть реальная проверка подписки через Telegram API
-      // Пока возвращаем заглушку
-      
       res.json({
         success: true,
-        subscribed: true, // Заглушка
-        channelId: botConfig.subscription.channelUsername,
-        status: "member",
-        message: "Subscription check successful",
+        subscribed: result.subscribed,
+        channelId: result.channel,
+        status: result.status,
+        required: result.required,
+        cached: result.cached,
+        message: result.channel ? "Subscription check successful" : "Subscription not required",
         timestamp: new Date().toISOString()
       });
       
     } catch (error) {
-      console.error("❌ Ошибка в /api/check-subscription:", error);
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/check-subscription:", error);
       res.status(500).json({
         success: false,
-        error: "Internal server error"
+        error: "Internal server error",
+        code: "SUBSCRIPTION_CHECK_ERROR"
       });
     }
   }
 );
 
-// 3. Вращение колеса (два пути для совместимости) - БЕЗ КУЛДАУНА
+// 3. Вращение колеса
 router.post("/api/spin",
-  middleware.validateFields(["userId"]),
+  middleware.telegramAuth,
+  middleware.requireSubscription,
+  middleware.idempotency,
   async (req, res) => {
     try {
-      const { userId, referrerId, username } = req.body;
+      const user = req.telegramUser;
+      const userId = user.id;
+      const username = user.username;
       const botId = req.botId;
+      const clientSeed = req.body.clientSeed;
       
-      console.log("🎡 /api/spin called", { botId, userId });
-      
-      // Получаем конфигурацию бота
-      const botConfig = await firebaseService.getBotConfig(botId);
+      logger.info("🎡 /api/spin called", { botId, userId });
       
-      if (!botConfig && firebaseService.isInitialized()) {
-        return res.status(404).json({
+      if (clientSeed !== undefined && (typeof clientSeed !== "string" || clientSeed.length > MAX_CLIENT_SEED_LENGTH)) {
+        return res.status(400).json({
           success: false,
-          error: "Bot configuration not found",
-          code: "BOT_NOT_FOUND"
+          error: `clientSeed must be a string up to ${MAX_CLIENT_SEED_LENGTH} characters`,
+          code: "INVALID_CLIENT_SEED"
         });
       }
       
-      // Получаем данные пользователя
-      let userData = await firebaseService.getUserData(botId, userId);
+      // Конфигурация бота загружена в telegramAuth
+      const botConfig = req.botConfig;
       
       // Если пользователь не найден, создаем нового
-      if (!userData && firebaseService.isInitialized()) {
-        userData = await firebaseService.createUser(botId, userId, {
-          username: username || "",
-          firstName: req.body.firstName || "",
-          lastName: req.body.lastName || "",
-          languageCode: req.body.languageCode || "ru",
-          attemptsLeft: botConfig?.limits?.spinsPerDay || 3
-        });
-      }
-      
-      // Если Firebase не инициализирован, используем mock-данные
-      if (!firebaseService.isInitialized()) {
-        console.log('⚠️ Firestore не инициализирован, используем mock-логику');
-        
-        // Выбираем приз
-        const prize = selectPrize(botConfig);
-        const spinId = `mock_spin_${Date.now()}_${userId}`;
-        
-        return res.json({
-          success: true,
-          spin_id: spinId,
-          spinId: spinId,
-          prize: prize.label,
-          attempts_left: 2, // Mock значение
-          attemptsLeft: 2,
-          spins_today: 1,
-          total_spins: 1,
-          cooldown: 0, // КУЛДАУН ВЫКЛЮЧЕН
-          cooldown_until: new Date().toISOString(), // Текущее время
-          message: "Spin successful (mock mode)",
-          metadata: {
-            is_fallback: true,
-            source: "mock"
-          }
-        });
-      }
+      let userData = await repository.getUserData(botId, userId, botConfig);
       
-      // Если userData все еще null, создаем простой объект
       if (!userData) {
-        userData = {
-          spins: [],
-          attempts_left: botConfig?.limits?.spinsPerDay || 3
-        };
-      }
-      
-      // Вычисляем количество спинов за сегодня
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      const spinsToday = userData.spins ? userData.spins.filter(spin => {
-        let spinDate;
-        if (spin.timestamp && spin.timestamp.toDate) {
-          spinDate = spin.timestamp.toDate();
-        } else if (spin.timestamp) {
-          spinDate = new Date(spin.timestamp);
-        } else {
-          return false;
-        }
-        return spinDate >= today;
-      }).length : 0;
-      
-      const maxSpinsPerDay = botConfig?.limits?.spinsPerDay || 3;
-      
-      // Проверяем дневной лимит
-      if (spinsToday >= maxSpinsPerDay) {
-        return res.status(400).json({
-          success: false,
-          error: `Daily spin limit reached (${maxSpinsPerDay} per day)`,
-          code: "DAILY_LIMIT_REACHED",
-          max_spins_per_day: maxSpinsPerDay,
-          spins_today: spinsToday,
-          message: `Достигнут дневной лимит: ${maxSpinsPerDay} вращений`
-        });
-      }
-      
-      // Проверяем попытки (attempts_left)
-      if (userData.attempts_left !== undefined && userData.attempts_left <= 0) {
-        return res.status(400).json({
-          success: false,
-          error: "No attempts left",
-          code: "NO_ATTEMPTS_LEFT",
-          attempts_left: userData.attempts_left,
-          message: "Попытки закончились"
-        });
+        userData = await repository.createUser(botId, userId, {
+          username: username || "",
+          firstName: user.first_name || "",
+          lastName: user.last_name || "",
+          languageCode: user.language_code || "ru"
+        }, botConfig);
       }
       
-      // ВЫКЛЮЧАЕМ ПРОВЕРКУ КУЛДАУНА - КОММЕНТИРУЕМ ВЕСЬ БЛОК
-      /*
-      // Проверяем кулдаун - ВЫКЛЮЧЕНО ДЛЯ ТЕСТИРОВАНИЯ
-      if (userData.last_spin) {
-        let lastSpinTime;
-        
-        if (userData.last_spin.toDate) {
-          lastSpinTime = userData.last_spin.toDate().getTime();
-        } else if (userData.last_spin instanceof Date) {
-          lastSpinTime = userData.last_spin.getTime();
-        } else {
-          lastSpinTime = new Date(userData.last_spin).getTime();
-        }
-        
-        const cooldownMs = cooldownSeconds * 1000;
-        const now = Date.now();
-        
-        if (now < lastSpinTime + cooldownMs) {
-          const remainingMs = lastSpinTime + cooldownMs - now;
-          const remainingSeconds = Math.ceil(remainingMs / 1000);
-          
-          return res.status(400).json({
-            success: false,
-            error: "Spin cooldown active",
-            code: "SPIN_COOLDOWN",
-            cooldown_remaining: remainingSeconds,
-            cooldown_seconds: cooldownSeconds,
-            cooldown_until: new Date(lastSpinTime + cooldownMs).toISOString(),
-            message: `Подождите ${remainingSeconds} секунд перед следующим вращением`
-          });
-        }
+      // Колесо и лимиты кампании (указанной клиентом или активной для пользователя)
+      // с вариантами экспериментов пользователя
+      const campaign = campaigns.resolveCampaign(botConfig, { userData, campaignId: req.body.campaignId });
+      const assignments = experiments.getAssignments(botConfig, userId, campaign);
+      const spinConfig = experiments.applyVariants(campaigns.getCampaignConfig(botConfig, campaign), assignments);
+      
+      // Лимиты, кулдаун и остатки призов проверяются, попытка списывается в одной транзакции
+      const spinResult = await repository.saveSpin(botId, userId, {
+        username: username || "",
+        clientSeed,
+        campaignId: campaign ? campaign.id : null,
+        experiments: experiments.toRecord(assignments)
+      }, spinConfig);
+      
+      const spinId = spinResult.spinId;
+      
+      // Первый спин приглашённого может засчитать реферала
+      if (spinResult.total_spins === 1) {
+        await referrals.handleQualifyingAction(botId, userId, "first_spin", botConfig);
       }
-      */
       
-      // Выбираем приз
-      const prize = selectPrize(botConfig);
+      // Сообщение о выигрыше уходит через outbox и не задерживает ответ
+      await notifications.notifyWin(botId, spinConfig, user, spinResult.spin, "spin");
       
-      // Сохраняем спин в Firebase
-      const spinId = await firebaseService.saveSpin(botId, userId, { 
-        prize: prize.label,
-        prize_type: prize.type || 'points',
-        prize_value: prize.value || 0,
-        username: username || ""
+      // Кулдаун после этого спина - тот же расчёт, что и в /api/user-status
+      const cooldownState = cooldown.getCooldownState(spinConfig, {
+        lastSpin: spinResult.last_spin,
+        spinsToday: spinResult.spins_today
       });
       
-      // Получаем обновленные данные пользователя
-      const updatedUserData = await firebaseService.getUserData(botId, userId) || {};
-      
-      // Вычисляем новые значения
-      const newAttemptsLeft = updatedUserData.attempts_left !== undefined ? 
-        updatedUserData.attempts_left : 
-        Math.max(0, maxSpinsPerDay - spinsToday - 1);
-      
-      const newTotalSpins = updatedUserData.total_spins || (userData.total_spins || 0) + 1;
-      
-      // ВОЗВРАЩАЕМ УСПЕШНЫЙ ОТВЕТ С КУЛДАУНОМ = 0
       res.json({
         success: true,
         spin_id: spinId,
         spinId: spinId,
-        prize: prize.label,
-        attempts_left: newAttemptsLeft,
-        attemptsLeft: newAttemptsLeft,
-        spins_today: spinsToday + 1,
-        total_spins: newTotalSpins,
-        cooldown: 0, // КУЛДАУН ВЫКЛЮЧЕН
-        cooldown_until: new Date().toISOString(), // Текущее время
+        prize: spinResult.spin.prize,
+        prize_id: spinResult.spin.prize_id,
+        prize_type: spinResult.spin.prize_type,
+        promo_code: spinResult.spin.promo_code,
+        segment_index: spinResult.spin.segment_index,
+        campaign_id: spinResult.spin.campaign_id,
+        experiments: spinResult.spin.experiments,
+        fairness: spinResult.fairness,
+        attempts_left: spinResult.attempts_left,
+        attemptsLeft: spinResult.attempts_left,
+        bonus_attempts: spinResult.bonus_attempts,
+        points_balance: spinResult.points_balance,
+        spins_today: spinResult.spins_today,
+        total_spins: spinResult.total_spins,
+        cooldown: cooldownState.remainingSeconds,
+        cooldown_seconds: cooldownState.cooldownSeconds,
+        cooldown_until: cooldownState.nextSpinAt || spinResult.last_spin.toISOString(),
+        nextSpinAt: cooldownState.nextSpinAt,
         message: "Spin successful",
         metadata: {
           is_fallback: false,
-          source: "firebase"
+          source: storage.getDriverName()
         }
       });
       
     } catch (error) {
-      console.error("❌ Ошибка в /api/spin:", error);
-      console.error("Stack:", error.stack);
-      
-      // Если ошибка связана с Firebase, возвращаем fallback
-      if (error.message.includes('Firestore') || error.message.includes('firebase')) {
-        console.log('⚠️ Ошибка Firebase, используем fallback');
-        
-        const botId = req.botId;
-        const userId = req.body.userId;
-        const botConfig = await firebaseService.getBotConfig(botId);
-        const prize = selectPrize(botConfig);
-        const spinId = `fallback_spin_${Date.now()}_${userId}`;
-        
-        return res.json({
-          success: true,
-          spin_id: spinId,
-          spinId: spinId,
-          prize: prize.label,
-          attempts_left: 2,
-          attemptsLeft: 2,
-          spins_today: 1,
-          total_spins: 1,
-          cooldown: 0, // КУЛДАУН ВЫКЛЮЧЕН
-          cooldown_until: new Date().toISOString(), // Текущее время
-          message: "Spin successful (fallback mode)",
-          metadata: {
-            is_fallback: true,
-            source: "firebase_error_fallback",
-            error: error.message
-          }
-        });
-      }
+      // Ошибки лимитов и гонок возвращаем клиенту как есть
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/spin:", error);
+      logger.error("Stack:", error.stack);
       
       res.status(500).json({
         success: false,
@@ -453,77 +311,44 @@ router.post("/api/spin",
   }
 );
 
-// Вспомогательная функция для выбора приза
-function selectPrize(botConfig) {
-  // Если есть конфигурация бота, используем её
-  if (botConfig?.wheel?.prizes && botConfig.wheel.prizes.length > 0) {
-    const prizes = botConfig.wheel.prizes;
-    const randomIndex = Math.floor(Math.random() * prizes.length);
-    const selectedPrize = prizes[randomIndex];
-    
-    return {
-      label: selectedPrize.text || selectedPrize.label || "Приз",
-      type: selectedPrize.type || 'points',
-      value: selectedPrize.value || 0,
-      win_text: selectedPrize.description || `Вы выиграли ${selectedPrize.text || "приз"}!`
-    };
-  }
-  
-  // Дефолтные призы
-  const defaultPrizes = [
-    { label: '10 баллов', win_text: 'Поздравляем! Вы выиграли 10 баллов!', value: 10, type: 'points' },
-    { label: '20 баллов', win_text: 'Поздравляем! Вы выиграли 20 баллов!', value: 20, type: 'points' },
-    { label: '30 баллов', win_text: 'Поздравляем! Вы выиграли 30 баллов!', value: 30, type: 'points' },
-    { label: '50 баллов', win_text: 'Поздравляем! Вы выиграли 50 баллов!', value: 50, type: 'points' },
-    { label: '100 баллов', win_text: 'Поздравляем! Вы выиграли 100 баллов!', value: 100, type: 'points' },
-    { label: 'Главный приз', win_text: 'Поздравляем! Вы выиграли главный приз!', value: 500, type: 'points' }
-  ];
-  
-  const randomIndex = Math.floor(Math.random() * defaultPrizes.length);
-  return defaultPrizes[randomIndex];
-}
 // 4. Отправка лида
 router.post("/api/submit-lead",
-  middleware.validateFields(["userId", "spinId"]),
+  middleware.telegramAuth,
+  middleware.validateFields(["spinId"]),
+  middleware.idempotency,
   async (req, res) => {
     try {
-      const { userId, spinId, name, phone } = req.body;
+      const userId = req.telegramUser.id;
+      const { spinId } = req.body;
       const botId = req.botId;
       
-      console.log("📋 /api/submit-lead called", { botId, userId, spinId });
+      logger.info("📋 /api/submit-lead called", { botId, userId, spinId });
       
-      // Проверяем, что хотя бы одно поле заполнено
-      if (!name && !phone) {
-        return res.status(400).json({
-          success: false,
-          error: "At least one of name or phone is required",
-          code: "NO_CONTACT_DATA"
-        });
-      }
+      // Телефон приводится к E.164, имя очищается
+      const contact = leads.validateLead(req.body, req.botConfig);
       
-      if (firebaseService.isInitialized()) {
-        // Сохраняем лид
-        await firebaseService.saveLead({
-          bot_id: botId,
-          user_id: userId,
-          spin_id: spinId,
-          name: name || "",
-          phone: phone || "",
-          submitted_at: new Date().toISOString()
-        });
-        
-        // Обновляем спин
-        await updateSpinLead(botId, userId, spinId, { name, phone });
-      }
+      // Спин проверяется и отмечается полученным вместе с записью лида
+      const { lead, spin } = await repository.submitLead(botId, userId, String(spinId), contact);
+      
+      const spinConfig = experiments.applyRecordedVariants(
+        campaigns.getSpinConfig(req.botConfig, spin.campaign_id), req.botConfig, spin.experiments
+      );
+      await notifications.notifyWin(botId, spinConfig, req.telegramUser, spin, "lead");
+      await crm.forwardLead(botId, req.botConfig, lead);
       
       res.json({
         success: true,
+        lead_id: lead.lead_id,
+        phone: lead.phone,
+        duplicate: Boolean(lead.duplicate_of),
         message: "Lead data saved successfully",
         timestamp: new Date().toISOString()
       });
       
     } catch (error) {
-      console.error("❌ Ошибка в /api/submit-lead:", error);
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/submit-lead:", error);
       res.status(500).json({
         success: false,
         error: "Internal server error",
@@ -535,17 +360,17 @@ router.post("/api/submit-lead",
 
 // 5. Фолбэк для лида
 router.post("/api/lead-fallback",
-  middleware.validateFields(["userId", "spinId"]),
+  middleware.telegramAuth,
+  middleware.validateFields(["spinId"]),
   async (req, res) => {
     try {
-      const { userId, spinId } = req.body;
+      const userId = req.telegramUser.id;
+      const { spinId } = req.body;
       const botId = req.botId;
       
-      console.log("⏱️ /api/lead-fallback called", { botId, userId, spinId });
+      logger.info("⏱️ /api/lead-fallback called", { botId, userId, spinId });
       
-      if (firebaseService.isInitialized()) {
-        await updateSpinFallback(botId, userId, spinId);
-      }
+      await repository.updateSpinFallback(botId, userId, spinId);
       
       res.json({
         success: true,
@@ -554,7 +379,9 @@ router.post("/api/lead-fallback",
       });
       
     } catch (error) {
-      console.error("❌ Ошибка в /api/lead-fallback:", error);
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/lead-fallback:", error);
       res.status(500).json({
         success: false,
         error: "Internal server error"
@@ -563,14 +390,369 @@ router.post("/api/lead-fallback",
   }
 );
 
-// 6. Конфигурация колеса
+// 6. История спинов пользователя (постранично)
+router.get("/api/spin-history",
+  middleware.telegramAuth,
+  async (req, res) => {
+    try {
+      const userId = req.telegramUser.id;
+      const botId = req.botId;
+      
+      logger.info("📜 /api/spin-history called", { botId, userId, cursor: req.query.cursor });
+      
+      const page = await repository.getUserSpins(botId, userId, {
+        limit: req.query.limit,
+        cursor: req.query.cursor
+      });
+      
+      res.json({
+        success: true,
+        spins: page.spins,
+        next_cursor: page.next_cursor,
+        has_more: page.next_cursor !== null
+      });
+      
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/spin-history:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "SPIN_HISTORY_ERROR"
+      });
+    }
+  }
+);
+
+// 7. Баланс баллов
+router.get("/api/wallet",
+  middleware.telegramAuth,
+  async (req, res) => {
+    try {
+      const userId = req.telegramUser.id;
+      const botId = req.botId;
+      
+      logger.info("💰 /api/wallet called", { botId, userId });
+      
+      const userData = await repository.getUserData(botId, userId, req.botConfig);
+      
+      res.json({
+        success: true,
+        balance: userData ? (userData.points_balance || 0) : 0,
+        currency: "points",
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/wallet:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "WALLET_ERROR"
+      });
+    }
+  }
+);
+
+// 8. Журнал операций с баллами (постранично)
+router.get("/api/wallet/history",
+  middleware.telegramAuth,
+  async (req, res) => {
+    try {
+      const userId = req.telegramUser.id;
+      const botId = req.botId;
+      
+      logger.info("📒 /api/wallet/history called", { botId, userId, cursor: req.query.cursor });
+      
+      const page = await repository.getLedger(botId, userId, {
+        limit: req.query.limit,
+        cursor: req.query.cursor
+      });
+      
+      res.json({
+        success: true,
+        entries: page.entries,
+        next_cursor: page.next_cursor,
+        has_more: page.next_cursor !== null
+      });
+      
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/wallet/history:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "WALLET_HISTORY_ERROR"
+      });
+    }
+  }
+);
+
+// 9. Пакеты попыток за Telegram Stars
+router.get("/api/purchase/packs",
+  middleware.telegramAuth,
+  (req, res) => {
+    res.json({
+      success: true,
+      currency: purchases.CURRENCY,
+      packs: purchases.getSpinPacks(req.botConfig)
+    });
+  }
+);
+
+// 10. Покупка попыток: ссылка на счёт в Telegram Stars
+router.post("/api/purchase/spins",
+  middleware.telegramAuth,
+  middleware.validateFields(["packId"]),
+  middleware.idempotency,
+  async (req, res) => {
+    try {
+      const userId = req.telegramUser.id;
+      const botId = req.botId;
+      
+      logger.info("⭐ /api/purchase/spins called", { botId, userId, packId: req.body.packId });
+      
+      const { purchase, invoiceLink } = await purchases.createSpinPurchase(botId, req.botConfig, userId, req.body.packId);
+      
+      res.json({
+        success: true,
+        purchase_id: purchase.purchase_id,
+        pack_id: purchase.pack_id,
+        spins: purchase.spins,
+        stars: purchase.stars,
+        currency: purchase.currency,
+        invoice_link: invoiceLink
+      });
+      
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/purchase/spins:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "PURCHASE_ERROR"
+      });
+    }
+  }
+);
+
+// 11. Задания с прогрессом пользователя
+router.get("/api/tasks",
+  middleware.telegramAuth,
+  async (req, res) => {
+    try {
+      const userId = req.telegramUser.id;
+      const botId = req.botId;
+      
+      logger.info("🏅 /api/tasks called", { botId, userId });
+      
+      const userData = await repository.getUserData(botId, userId, req.botConfig);
+      const userTasks = await tasks.getUserTasks(botId, req.botConfig, userData || { user_id: String(userId) });
+      
+      res.json({
+        success: true,
+        tasks: userTasks,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/tasks:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "TASKS_ERROR"
+      });
+    }
+  }
+);
+
+// 12. Начало задания: переход по ссылке (visit_link засчитывается через minSeconds)
+router.post("/api/tasks/:taskId/start",
+  middleware.telegramAuth,
+  async (req, res) => {
+    try {
+      const userId = req.telegramUser.id;
+      const botId = req.botId;
+      
+      logger.info("🏅 /api/tasks/start called", { botId, userId, taskId: req.params.taskId });
+      
+      const { task, started_at } = await tasks.startTask(botId, req.botConfig, userId, req.params.taskId);
+      
+      res.json({
+        success: true,
+        task_id: task.id,
+        url: task.url || null,
+        started_at: started_at.toISOString()
+      });
+      
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/tasks/start:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "TASK_START_ERROR"
+      });
+    }
+  }
+);
+
+// 13. Награда за выполненное задание (один раз на задание)
+router.post("/api/tasks/:taskId/claim",
+  middleware.telegramAuth,
+  middleware.idempotency,
+  async (req, res) => {
+    try {
+      const userId = req.telegramUser.id;
+      const botId = req.botId;
+      
+      logger.info("🏅 /api/tasks/claim called", { botId, userId, taskId: req.params.taskId });
+      
+      const result = await tasks.claimTask(botId, req.botConfig, userId, req.params.taskId);
+      
+      res.json({
+        success: true,
+        task_id: result.task.id,
+        reward: result.reward,
+        bonus_attempts: result.bonus_attempts,
+        points_balance: result.points_balance,
+        claimed_at: result.claimed_at.toISOString()
+      });
+      
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/tasks/claim:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "TASK_CLAIM_ERROR"
+      });
+    }
+  }
+);
+
+// 14. Рейтинг: лучшие пользователи и место текущего
+router.get("/api/leaderboard",
+  middleware.telegramAuth,
+  async (req, res) => {
+    try {
+      const userId = req.telegramUser.id;
+      const botId = req.botId;
+      const settings = leaderboard.getLeaderboardSettings(req.botConfig);
+      const metric = req.query.metric || settings.metrics[0];
+      const period = req.query.period || "all";
+      
+      logger.info("🏆 /api/leaderboard called", { botId, userId, metric, period });
+      
+      if (!settings.enabled) {
+        return res.status(404).json({
+          success: false,
+          error: "Leaderboard is disabled for this bot",
+          code: "LEADERBOARD_DISABLED"
+        });
+      }
+      
+      if (!settings.metrics.includes(metric)) {
+        return res.status(400).json({
+          success: false,
+          error: `metric must be one of: ${settings.metrics.join(", ")}`,
+          code: "INVALID_METRIC"
+        });
+      }
+      
+      if (!leaderboard.PERIODS.includes(period)) {
+        return res.status(400).json({
+          success: false,
+          error: `period must be one of: ${leaderboard.PERIODS.join(", ")}`,
+          code: "INVALID_PERIOD"
+        });
+      }
+      
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || settings.topN, 1), leaderboard.MAX_TOP_N);
+      const boardId = leaderboard.getBoardIds(metric, req.botConfig)[period];
+      
+      const [entries, me] = await Promise.all([
+        repository.getLeaderboard(botId, boardId, limit),
+        repository.getLeaderboardPosition(botId, boardId, userId)
+      ]);
+      
+      res.json({
+        success: true,
+        metric,
+        period,
+        entries,
+        me: { user_id: String(userId), ...me },
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/leaderboard:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "LEADERBOARD_ERROR"
+      });
+    }
+  }
+);
+
+// 15. Скрытие из публичного рейтинга: { hidden: true | false }
+router.post("/api/leaderboard/visibility",
+  middleware.telegramAuth,
+  async (req, res) => {
+    try {
+      const userId = req.telegramUser.id;
+      const botId = req.botId;
+      
+      logger.info("🏆 /api/leaderboard/visibility called", { botId, userId, hidden: req.body.hidden });
+      
+      if (typeof req.body.hidden !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          error: "hidden must be a boolean",
+          code: "INVALID_VISIBILITY"
+        });
+      }
+      
+      const hidden = await repository.setLeaderboardVisibility(botId, userId, req.body.hidden, req.botConfig);
+      
+      res.json({
+        success: true,
+        hidden
+      });
+      
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      
+      logger.error("❌ Ошибка в /api/leaderboard/visibility:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "LEADERBOARD_VISIBILITY_ERROR"
+      });
+    }
+  }
+);
+
+// 16. Конфигурация колеса
 router.get("/api/wheel-config", async (req, res) => {
   try {
     const botId = req.botId || req.query.bot_id;
-    console.log("⚙️ /api/wheel-config called", { 
+    // Заголовки целиком не логируются: в них initData и ключи авторизации
+    logger.info("⚙️ /api/wheel-config called", { 
       botId,
-      headers: req.headers,
-      query: req.query 
+      userAgent: req.get("user-agent") || null
     });
     
     if (!botId) {
@@ -581,12 +763,12 @@ router.get("/api/wheel-config", async (req, res) => {
       });
     }
     
-    const botConfig = await firebaseService.getBotConfig(botId);
+    const botConfig = await repository.getBotConfig(botId);
     
     if (!botConfig) {
       // Если бот не найден, возвращаем дефолтную конфигурацию
-      console.log("⚠️ Bot not found, returning default config");
-      const defaultWheelConfig = getWheelConfig(null);
+      logger.info("⚠️ Bot not found, returning default config");
+      const defaultWheelConfig = getWheelConfig(null, {});
       
       return res.json({
         success: true,
@@ -597,19 +779,33 @@ router.get("/api/wheel-config", async (req, res) => {
       });
     }
     
-    // Формируем конфигурацию колеса
-    const wheelConfig = getWheelConfig(botConfig);
+    // Колесо указанной кампании или активной кампании без ограничений аудитории.
+    // Пользователь нужен только для варианта эксперимента и берётся из подписанного
+    // initData - без него отдаётся колесо без вариантов
+    const campaign = campaigns.resolveCampaign(botConfig, { campaignId: req.query.campaignId, checkAudience: false });
+    const userId = middleware.getVerifiedUserId(req, botConfig);
+    const assignments = experiments.getAssignments(botConfig, userId, campaign);
+    const campaignConfig = experiments.applyVariants(campaigns.getCampaignConfig(botConfig, campaign), assignments);
+    
+    // Формируем конфигурацию колеса с флагами остатков
+    const stockStatuses = await repository.getPrizeStock(botId, prizeEngine.getWheelPrizes(campaignConfig), campaignConfig);
+    const wheelConfig = getWheelConfig(campaignConfig, stockStatuses);
     
     res.json({
       success: true,
       bot_id: botId,
+      campaign: campaigns.formatCampaign(campaign),
+      experiments: experiments.toRecord(assignments),
+      copy: campaignConfig.copy || {},
       items: wheelConfig,
       is_default: false,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
-    console.error("❌ Ошибка в /api/wheel-config:", error);
+    if (sendServiceError(res, error)) return;
+    
+    logger.error("❌ Ошибка в /api/wheel-config:", error);
     res.status(500).json({
       success: false,
       error: "Internal server error",
@@ -622,152 +818,28 @@ router.get("/api/wheel-config", async (req, res) => {
 // 🛠️ ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ
 // =====================================================
 
-/**
- * Выбор приза на основе конфигурации
- */
-function selectPrize(botConfig) {
-  const prizes = botConfig?.wheel?.prizes || [
-    { id: 1, text: "10 баллов", value: 10, probability: 0.3, type: "points" },
-    { id: 2, text: "20 баллов", value: 20, probability: 0.25, type: "points" },
-    { id: 3, text: "30 баллов", value: 30, probability: 0.2, type: "points" },
-    { id: 4, text: "50 баллов", value: 50, probability: 0.15, type: "points" },
-    { id: 5, text: "100 баллов", value: 100, probability: 0.08, type: "points" },
-    { id: 6, text: "Главный приз", value: 500, probability: 0.02, type: "grand_prize" }
-  ];
-  
-  // Нормализуем вероятности
-  const totalProbability = prizes.reduce((sum, prize) => sum + (prize.probability || 0.1), 0);
-  let random = Math.random() * totalProbability;
-  
-  for (const prize of prizes) {
-    if (random < (prize.probability || 0.1)) {
-      return {
-        label: prize.text,
-        value: prize.value,
-        type: prize.type || "points",
-        winText: `Поздравляем! Вы выиграли ${prize.text}!`
-      };
-    }
-    random -= (prize.probability || 0.1);
-  }
-  
-  // Если что-то пошло не так, возвращаем первый приз
-  return {
-    label: prizes[0].text,
-    value: prizes[0].value,
-    type: prizes[0].type || "points",
-    winText: `Поздравляем! Вы выиграли ${prizes[0].text}!`
-  };
-}
-
 /**
  * Получение конфигурации колеса
+ * @param {Object} stockStatuses - Остатки призов (ключ приза -> статус)
  */
-function getWheelConfig(botConfig) {
-  const prizes = botConfig?.wheel?.prizes || [
-    { id: 1, text: "10 баллов", value: 10, probability: 0.3, type: "points" },
-    { id: 2, text: "20 баллов", value: 20, probability: 0.25, type: "points" },
-    { id: 3, text: "30 баллов", value: 30, probability: 0.2, type: "points" },
-    { id: 4, text: "50 баллов", value: 50, probability: 0.15, type: "points" },
-    { id: 5, text: "100 баллов", value: 100, probability: 0.08, type: "points" },
-    { id: 6, text: "Главный приз", value: 500, probability: 0.02, type: "grand_prize" }
-  ];
+function getWheelConfig(botConfig, stockStatuses) {
+  const prizes = prizeEngine.getWheelPrizes(botConfig);
   
-  return prizes.map(prize => ({
-    label: prize.text,
-    win_text: prize.description || `Поздравляем! Вы выиграли ${prize.text}!`,
-    value: prize.value,
-    type: prize.type || "points",
-    color: prize.color || "#3b82f6"
-  }));
-}
-
-/**
- * Обработка реферера
- */
-async function handleReferrer(botId, userId, referrerId) {
-  try {
-    if (!firebaseService.isInitialized()) return;
-    
-    const referrerData = await firebaseService.getUserData(botId, referrerId);
-    
-    if (referrerData) {
-      await firebaseService.updateUser(botId, referrerId, {
-        invited_users: firebaseService.getDatabase().FieldValue.arrayUnion(userId),
-        referrals: firebaseService.getDatabase().FieldValue.increment(1)
-      });
-      
-      console.log(`✅ Реферер ${referrerId} получил реферала ${userId}`);
-    }
-  } catch (error) {
-    console.error("❌ Ошибка обработки реферера:", error);
-  }
-}
-
-/**
- * Обновление спина с данными лида
- */
-async function updateSpinLead(botId, userId, spinId, leadData) {
-  try {
-    if (!firebaseService.isInitialized()) return;
-    
-    const userData = await firebaseService.getUserData(botId, userId);
-    
-    if (userData && userData.spins) {
-      const updatedSpins = userData.spins.map(spin => {
-        if (spin.spin_id === spinId) {
-          return {
-            ...spin,
-            lead_submitted: true,
-            lead_data: {
-              name: leadData.name || "",
-              phone: leadData.phone || "",
-              submitted_at: new Date().toISOString()
-            },
-            claimed: true
-          };
-        }
-        return spin;
-      });
-      
-      await firebaseService.updateUser(botId, userId, {
-        spins: updatedSpins
-      });
-    }
-  } catch (error) {
-    console.error("❌ Ошибка обновления спина:", error);
-  }
-}
-
-/**
- * Обновление спина при фолбэке
- */
-async function updateSpinFallback(botId, userId, spinId) {
-  try {
-    if (!firebaseService.isInitialized()) return;
-    
-    const userData = await firebaseService.getUserData(botId, userId);
+  return prizes.map(prize => {
+    const stock = stockStatuses[prizeInventory.getPrizeKey(prize)];
     
-    if (userData && userData.spins) {
-      const updatedSpins = userData.spins.map(spin => {
-        if (spin.spin_id === spinId && !spin.lead_submitted) {
-          return {
-            ...spin,
-            lead_fallback: true,
-            fallback_time: new Date().toISOString(),
-            fallback_reason: "timeout"
-          };
-        }
-        return spin;
-      });
-      
-      await firebaseService.updateUser(botId, userId, {
-        spins: updatedSpins
-      });
-    }
-  } catch (error) {
-    console.error("❌ Ошибка обновления фолбэка:", error);
-  }
+    return {
+      id: prize.id,
+      label: prize.text,
+      win_text: prize.description || `Поздравляем! Вы выиграли ${prize.text}!`,
+      value: prize.value,
+      type: prize.type || "points",
+      color: prize.color || "#3b82f6",
+      available: stock ? stock.available : true,
+      sold_out: stock ? stock.sold_out : false,
+      sold_out_today: stock ? stock.sold_out_today : false
+    };
+  });
 }
 
 module.exports = router;
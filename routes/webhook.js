@@ -0,0 +1,135 @@
+// routes/webhook.js - Вебхук Telegram Bot API
+//
+// Telegram отправляет обновления на POST /webhook/:botId. Вебхук регистрируется
+// через setWebhook с secret_token, равным webhook.secretToken из конфигурации бота:
+//   webhook: { secretToken: "...", welcomeMessage: "Привет, {first_name}!",
+//              buttonText: "Крутить колесо", webAppUrl: "https://..." }
+// Кроме /start обрабатываются платежи Telegram Stars (см. services/purchases.js).
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const repository = require("../services/repository");
+const onboarding = require("../services/onboarding");
+const telegramClient = require("../services/telegramClient");
+const purchases = require("../services/purchases");
+const { sendServiceError } = require("../services/errors");
+const logger = require("../services/logger");
+
+const DEFAULT_WELCOME_MESSAGE = "Привет, {first_name}! 🎡 Крутите колесо и выигрывайте призы!";
+const DEFAULT_BUTTON_TEXT = "🎡 Крутить колесо";
+
+// =====================================================
+// 🤖 ВЕБХУК БОТА
+// =====================================================
+
+router.post("/webhook/:botId", async (req, res) => {
+  const botId = req.params.botId;
+
+  try {
+    const botConfig = await repository.getBotConfig(botId);
+
+    if (!botConfig) {
+      return res.status(404).json({
+        success: false,
+        error: "Bot not found",
+        code: "BOT_NOT_FOUND"
+      });
+    }
+
+    if (!isValidSecretToken(req.headers["x-telegram-bot-api-secret-token"], botConfig.webhook?.secretToken)) {
+      logger.info(`⚠️ Неверный secret token вебхука бота ${botId}`);
+      return res.status(403).json({
+        success: false,
+        error: "Invalid secret token",
+        code: "INVALID_SECRET_TOKEN"
+      });
+    }
+
+    const update = req.body || {};
+    const message = update.message;
+    const command = message ? parseStartCommand(message.text) : null;
+
+    // Обрабатываем /start в личном чате и платежи, остальные обновления подтверждаем
+    if (update.pre_checkout_query) {
+      await purchases.handlePreCheckoutQuery(botId, botConfig, update.pre_checkout_query);
+    } else if (message?.successful_payment) {
+      await purchases.handleSuccessfulPayment(botId, message);
+    } else if (command && message.chat?.type === "private" && message.from && !message.from.is_bot) {
+      logger.info("🤖 /start получен", { botId, userId: message.from.id, payload: command.payload });
+      await handleStart(botId, botConfig, message, command.payload);
+    }
+
+    res.json({ ok: true });
+
+  } catch (error) {
+    // Ответ не 2xx - Telegram повторит доставку обновления
+    if (sendServiceError(res, error)) return;
+
+    logger.error(`❌ Ошибка в вебхуке бота ${botId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      code: "WEBHOOK_ERROR"
+    });
+  }
+});
+
+// =====================================================
+// 🛠️ ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ
+// =====================================================
+
+/**
+ * Сравнение заголовка X-Telegram-Bot-Api-Secret-Token с настройкой бота
+ * Без настроенного secretToken вебхук не принимает обновления
+ */
+function isValidSecretToken(received, expected) {
+  if (!expected || typeof received !== "string") {
+    return false;
+  }
+
+  const receivedBuffer = Buffer.from(received);
+  const expectedBuffer = Buffer.from(String(expected));
+
+  return receivedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+/**
+ * Команда /start (или /start@bot_username) с payload
+ * @returns {Object|null} { payload }
+ */
+function parseStartCommand(text) {
+  const match = typeof text === "string" && text.match(/^\/start(?:@\w+)?(?:\s+(\S+))?\s*$/);
+  return match ? { payload: match[1] || null } : null;
+}
+
+/**
+ * Регистрация пользователя и приветствие с кнопкой Mini App
+ */
+async function handleStart(botId, botConfig, message, payload) {
+  const user = message.from;
+  const start = onboarding.parseStartPayload(payload);
+
+  const { isNewUser } = await onboarding.registerUser(botId, user, start, botConfig);
+  logger.info(`✅ Пользователь ${user.id} ${isNewUser ? "зарегистрирован" : "уже зарегистрирован"} через /start`);
+
+  const webhookConfig = botConfig.webhook || {};
+  const webAppUrl = webhookConfig.webAppUrl || botConfig.webAppUrl;
+  const text = (webhookConfig.welcomeMessage || DEFAULT_WELCOME_MESSAGE)
+    .replace(/\{first_name\}/g, user.first_name || "")
+    .replace(/\{username\}/g, user.username || "");
+
+  const extra = webAppUrl ? {
+    reply_markup: {
+      inline_keyboard: [[{ text: webhookConfig.buttonText || DEFAULT_BUTTON_TEXT, web_app: { url: webAppUrl } }]]
+    }
+  } : {};
+
+  // Пользователь уже записан - ошибка отправки приветствия не должна вызывать повтор обновления
+  try {
+    await telegramClient.getTelegramClient().sendMessage(botConfig.botToken, message.chat.id, text, extra);
+  } catch (error) {
+    logger.error(`❌ Не удалось отправить приветствие ${user.id}:`, error.message);
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,111 @@
+// scripts/backfill-leaderboards.js - Заполнение рейтингов за всё время по данным пользователей
+//
+// Рейтинги копятся инкрементами с момента их появления, поэтому спины,
+// рефералы и баллы, набранные раньше, в рейтинги *_all не попали. Скрипт
+// записывает очки bots/{botId}/leaderboards/{metric}_all/scores/{userId}:
+//   spins     - total_spins пользователя;
+//   referrals - qualified_referrals (у старых пользователей - referrals);
+//   points    - сумма начислений из журнала баллов (без журнала - points_balance).
+// Очки записываются целиком, а не прибавляются, поэтому повторный запуск
+// безопасен. Рейтинги дня и недели не заполняются.
+//
+// Запуск (лучше в тихие часы - спины во время обхода могут потеряться в рейтинге):
+//   npm run backfill:leaderboards                  - все боты
+//   npm run backfill:leaderboards -- --bot <botId> - один бот
+//   npm run backfill:leaderboards -- --dry-run     - только подсчёт, без записи
+const storage = require("../services/storage");
+const leaderboard = require("../services/leaderboard");
+const { parseArgs, iterateCollection } = require("./lib");
+
+/**
+ * Заработанные баллы: списания очки рейтинга не уменьшают
+ */
+async function getEarnedPoints(db, userPath, userData) {
+  let earned = 0;
+  let entries = 0;
+
+  for await (const entryDoc of iterateCollection(db, `${userPath}/ledger`)) {
+    entries += 1;
+    if (entryDoc.data.amount > 0) {
+      earned += entryDoc.data.amount;
+    }
+  }
+
+  return entries > 0 ? earned : Math.max(0, userData.points_balance || 0);
+}
+
+async function backfillUser(db, botId, userDoc, dryRun) {
+  const userPath = `bots/${botId}/users/${userDoc.id}`;
+  const userData = userDoc.data;
+
+  const scores = {
+    spins: userData.total_spins || 0,
+    referrals: userData.qualified_referrals ?? userData.referrals ?? 0,
+    points: await getEarnedPoints(db, userPath, userData)
+  };
+
+  for (const [metric, score] of Object.entries(scores)) {
+    if (dryRun || !(score > 0)) {
+      continue;
+    }
+
+    await db.setDoc(`bots/${botId}/leaderboards/${metric}_all/scores/${userDoc.id}`, {
+      user_id: String(userDoc.id),
+      display_name: leaderboard.getDisplayName(userData),
+      hidden: userData.leaderboard_hidden === true,
+      score,
+      updated_at: storage.FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+
+  return scores;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!await storage.initializeStorage()) {
+    console.error("❌ Хранилище не инициализировано");
+    process.exit(1);
+  }
+
+  const db = storage.getStorage();
+  const botIds = [];
+
+  if (args.botId) {
+    botIds.push(args.botId);
+  } else {
+    for await (const botDoc of iterateCollection(db, "bots")) {
+      botIds.push(botDoc.id);
+    }
+  }
+
+  console.log(`🏆 Заполнение рейтингов${args.dryRun ? " (dry run)" : ""}, ботов: ${botIds.length}`);
+
+  let totalUsers = 0;
+
+  for (const botId of botIds) {
+    const totals = { users: 0, spins: 0, referrals: 0, points: 0 };
+
+    for await (const userDoc of iterateCollection(db, `bots/${botId}/users`)) {
+      const scores = await backfillUser(db, botId, userDoc, args.dryRun);
+
+      totals.users += 1;
+      totals.spins += scores.spins;
+      totals.referrals += scores.referrals;
+      totals.points += scores.points;
+    }
+
+    console.log(`✅ Бот ${botId}: пользователей ${totals.users}, спинов ${totals.spins}, рефералов ${totals.referrals}, баллов ${totals.points}`);
+    totalUsers += totals.users;
+  }
+
+  console.log(`🏁 Готово: пользователей ${totalUsers}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error("❌ Ошибка заполнения рейтингов:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,46 @@
+// scripts/lib.js - Общие функции скриптов обслуживания
+const PAGE_SIZE = 100;
+
+/**
+ * Аргументы командной строки: --bot <botId> и --dry-run
+ * @returns {Object} { botId, dryRun }
+ */
+function parseArgs(argv) {
+  const args = { botId: null, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--bot") {
+      args.botId = argv[++i];
+    } else if (argv[i] === "--dry-run") {
+      args.dryRun = true;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Обход коллекции страницами по ID документа
+ */
+async function* iterateCollection(db, collectionPath) {
+  let cursor = null;
+
+  while (true) {
+    const docs = await db.query(collectionPath, { startAfter: cursor, limit: PAGE_SIZE });
+
+    for (const doc of docs) {
+      yield doc;
+    }
+
+    if (docs.length < PAGE_SIZE) {
+      return;
+    }
+
+    cursor = docs[docs.length - 1].id;
+  }
+}
+
+module.exports = {
+  parseArgs,
+  iterateCollection
+};
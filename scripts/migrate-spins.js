@@ -0,0 +1,129 @@
+// scripts/migrate-spins.js - Перенос истории спинов из документа пользователя в подколлекцию
+//
+// Для каждого пользователя с массивом spins:
+//   1. каждый спин записывается в bots/{botId}/users/{userId}/spins/{spinId};
+//   2. окно recent_spins в документе пользователя дополняется старыми спинами
+//      (спины, сделанные уже после обновления, в нём остаются), поле spins удаляется.
+// Повторный запуск безопасен: спины записываются по своему spin_id, а спин,
+// уже перенесённый в подколлекцию (например, при отправке лида), не перезаписывается.
+// До миграции лиды и фолбэки находят спины и в старом массиве (см. repository.getSpin).
+//
+// Запуск:
+//   npm run migrate:spins                  - все боты
+//   npm run migrate:spins -- --bot <botId> - один бот
+//   npm run migrate:spins -- --dry-run     - только подсчёт, без записи
+const storage = require("../services/storage");
+const { normalizeLegacySpin } = require("../services/repository");
+const { parseArgs, iterateCollection } = require("./lib");
+
+const RECENT_SPINS_LIMIT = 10;
+
+async function migrateUser(db, botId, userDoc, dryRun) {
+  const userPath = `bots/${botId}/users/${userDoc.id}`;
+  const spins = (userDoc.data.spins || []).map((spin, index) => normalizeLegacySpin(spin, botId, userDoc.id, index));
+
+  if (dryRun) {
+    return spins.length;
+  }
+
+  for (const spin of spins) {
+    const spinPath = `${userPath}/spins/${spin.spin_id}`;
+
+    if (!await db.getDoc(spinPath)) {
+      await db.setDoc(spinPath, spin);
+    }
+  }
+
+  const legacyRecent = spins.map(spin => ({
+    spin_id: spin.spin_id,
+    prize: spin.prize,
+    prize_type: spin.prize_type || "points",
+    prize_value: spin.prize_value || 0,
+    timestamp: spin.timestamp
+  }));
+
+  // Окно перечитывается в транзакции: спин, сделанный во время обхода, не потеряется
+  await db.runTransaction(async (tx) => {
+    const userData = await tx.get(userPath);
+
+    if (!userData) {
+      return;
+    }
+
+    const byId = new Map();
+    for (const spin of [...(userData.recent_spins || []), ...legacyRecent]) {
+      if (!byId.has(spin.spin_id)) {
+        byId.set(spin.spin_id, spin);
+      }
+    }
+
+    const recentSpins = [...byId.values()]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, RECENT_SPINS_LIMIT);
+
+    tx.update(userPath, {
+      recent_spins: recentSpins,
+      spins: storage.FieldValue.deleteField()
+    });
+  });
+
+  return spins.length;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!await storage.initializeStorage()) {
+    console.error("❌ Хранилище не инициализировано");
+    process.exit(1);
+  }
+
+  const db = storage.getStorage();
+  const botIds = [];
+
+  if (args.botId) {
+    botIds.push(args.botId);
+  } else {
+    for await (const botDoc of iterateCollection(db, "bots")) {
+      botIds.push(botDoc.id);
+    }
+  }
+
+  console.log(`🚚 Миграция спинов${args.dryRun ? " (dry run)" : ""}, ботов: ${botIds.length}`);
+
+  let totalUsers = 0;
+  let totalSpins = 0;
+
+  for (const botId of botIds) {
+    let botUsers = 0;
+    let botSpins = 0;
+
+    for await (const userDoc of iterateCollection(db, `bots/${botId}/users`)) {
+      if (!Array.isArray(userDoc.data.spins)) {
+        continue;
+      }
+
+      botSpins += await migrateUser(db, botId, userDoc, args.dryRun);
+      botUsers += 1;
+    }
+
+    console.log(`✅ Бот ${botId}: пользователей ${botUsers}, спинов ${botSpins}`);
+    totalUsers += botUsers;
+    totalSpins += botSpins;
+  }
+
+  console.log(`🏁 Готово: пользователей ${totalUsers}, спинов ${totalSpins}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error("❌ Ошибка миграции:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrateUser
+};
@@ -6,9 +6,13 @@ const path = require("path");
 const app = express();
 
 // Импорт модулей
-const firebaseService = require("./services/firebaseService");
+const storage = require("./services/storage");
 const middleware = require("./middleware/middleware");
 const routes = require("./routes/routes");
+const webhookRoutes = require("./routes/webhook");
+const adminRoutes = require("./routes/admin");
+const outbox = require("./services/outbox");
+const logger = require("./services/logger");
 
 // =====================================================
 // 🛠️ НАСТРОЙКА СЕРВЕРА
@@ -18,8 +22,8 @@ const routes = require("./routes/routes");
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Bot-ID', 'X-Bot-Token', 'X-User-ID', 'X-Platform'],
-  exposedHeaders: ['Content-Length', 'Content-Type'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Bot-ID', 'X-Bot-Token', 'X-User-ID', 'X-Platform', 'X-Telegram-Init-Data', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'Idempotent-Replayed'],
   maxAge: 86400
 }));
 
@@ -38,10 +42,7 @@ app.use(middleware.botIdValidator);
 // 📊 ИНИЦИАЛИЗАЦИЯ СЕРВИСОВ
 // =====================================================
 
-// Инициализация Firebase
-const firebaseInitialized = firebaseService.initializeFirebase();
-app.locals.firebaseInitialized = firebaseInitialized;
-app.locals.db = firebaseService.getDatabase();
+// Хранилище инициализируется до запуска сервера (см. startServer)
 
 // =====================================================
 // 🗺️ РЕГИСТРАЦИЯ МАРШРУТОВ
@@ -54,7 +55,8 @@ app.get("/", (req, res) => {
     name: "Telegram Mini Apps Backend",
     version: "2.0.0",
     timestamp: new Date().toISOString(),
-    firebase: firebaseInitialized ? "connected" : "disconnected",
+    firebase: storage.getDriverName() === "firestore" ? "connected" : "disconnected",
+    storage: storage.getDriverName(),
     cors: "enabled",
     endpoints: [
       "GET  /                    - Эта страница",
@@ -66,7 +68,13 @@ app.get("/", (req, res) => {
       "POST /api/spin            - Вращение колеса",
       "POST /api/submit-lead     - Отправка лида",
       "POST /api/lead-fallback   - Фолбэк для лида",
-      "GET  /api/wheel-config    - Конфигурация колеса (новый)"
+      "GET  /api/wheel-config    - Конфигурация колеса (campaignId - колесо кампании)",
+      "POST /api/purchase/spins  - Покупка вращений за Telegram Stars",
+      "GET  /api/tasks           - Задания и прогресс пользователя",
+      "POST /api/tasks/:id/claim - Награда за выполненное задание",
+      "GET  /api/leaderboard     - Рейтинг (metric, period=day|week|all)",
+      "POST /webhook/:botId      - Вебхук Telegram (/start, рефералы, платежи)",
+      "*    /admin/bots/:botId/... - Админ-API (Authorization: Bearer)"
     ]
   });
 });
@@ -81,11 +89,18 @@ app.get("/health", (req, res) => {
       heapTotal: `${Math.round(process.memoryUsage().heapTotal / 1024 / 1024)}MB`,
       heapUsed: `${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`
     },
-    firebase: firebaseInitialized ? "connected" : "disconnected",
+    firebase: storage.getDriverName() === "firestore" ? "connected" : "disconnected",
+    storage: storage.getDriverName(),
     node: process.version
   });
 });
 
+// Вебхук Telegram (бот определяется по пути, а не по X-Bot-ID)
+app.use("/", webhookRoutes);
+
+// Админ-API (бот определяется по пути, доступ по ключу)
+app.use("/", adminRoutes);
+
 // API маршруты
 app.use("/", routes); // Или app.use(routes);
 
@@ -106,7 +121,7 @@ app.use((req, res) => {
 
 // Глобальный обработчик ошибок
 app.use((err, req, res, next) => {
-  console.error("💥 Unhandled error:", err.message);
+  logger.error("💥 Unhandled error:", err.message);
   
   res.status(500).json({
     success: false,
@@ -124,32 +139,62 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
 
-const server = app.listen(PORT, HOST, () => {
-  console.log(`
+let server = null;
+
+/**
+ * Инициализация хранилища и запуск HTTP-сервера
+ * Без рабочего хранилища сервер не запускается
+ */
+async function startServer() {
+  const storageInitialized = await storage.initializeStorage();
+  
+  if (!storageInitialized) {
+    logger.error("❌ Хранилище не инициализировано, сервер не запущен");
+    process.exit(1);
+  }
+  
+  // Фоновая отправка задач outbox (уведомления и т.п.)
+  outbox.startWorker();
+  
+  server = app.listen(PORT, HOST, () => {
+    logger.info(`
   🚀 Сервер запущен!
   
   🔗 URL: http://${HOST}:${PORT}
   📊 Здоровье: /health
-  🔥 Firebase: ${firebaseInitialized ? '✅' : '❌'}
+  💾 Хранилище: ${storage.getDriverName()}
   
   📍 Порт: ${PORT}
   ⏰ Время: ${new Date().toISOString()}
   `);
-});
+  });
+}
+
+startServer();
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('🛑 SIGTERM получен, graceful shutdown...');
+  logger.info('🛑 SIGTERM получен, graceful shutdown...');
+  outbox.stopWorker();
+  if (!server) {
+    process.exit(0);
+  }
+  
   server.close(() => {
-    console.log('✅ Сервер остановлен');
+    logger.info('✅ Сервер остановлен');
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
-  console.log('🛑 SIGINT получен, graceful shutdown...');
+  logger.info('🛑 SIGINT получен, graceful shutdown...');
+  outbox.stopWorker();
+  if (!server) {
+    process.exit(0);
+  }
+  
   server.close(() => {
-    console.log('✅ Сервер остановлен');
+    logger.info('✅ Сервер остановлен');
     process.exit(0);
   });
 });
@@ -0,0 +1,215 @@
+// services/campaigns.js - Кампании: несколько колёс у одного бота
+//
+// Кампании настраиваются в campaigns конфигурации бота:
+//   campaigns: [{
+//     id: "black_friday", title: "Чёрная пятница", priority: 10,
+//     startAt: "2024-11-29T00:00:00+03:00", endAt: "2024-12-02T00:00:00+03:00",
+//     wheel: { prizes: [...], fallbackPrizeId: 1 },
+//     limits: { spinsPerDay: 5, cooldown: { mode: "fixed", seconds: 600 } },
+//     audience: { languages: ["ru"], sources: ["tiktok"], newUsersOnly: true }
+//   }]
+// Кампания подменяет wheel бота целиком и limits - по полям. Счётчик вращений за
+// день у пользователя общий для всех кампаний. Остатки призов считаются по id
+// приза, поэтому одинаковый id в разных колёсах означает общий остаток.
+// audience (все условия необязательны):
+//   languages    - language_code пользователя;
+//   sources      - метка кампании из start-параметра (c_<метка>, см. services/onboarding.js);
+//   newUsersOnly - пользователь зарегистрирован после начала кампании.
+// Если запрос не указывает кампанию, выбирается активная кампания с наибольшим
+// priority, подходящая пользователю; если таких нет - колесо самого бота.
+const { createServiceError } = require("./errors");
+
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value.map(String) : [];
+}
+
+/**
+ * Приведение кампании из конфигурации
+ * @returns {Object|null} Кампания или null, если она настроена некорректно
+ */
+function normalizeCampaign(campaign) {
+  if (!campaign || typeof campaign.id !== "string" || !/^[\w-]{1,64}$/.test(campaign.id)) {
+    return null;
+  }
+
+  const audience = campaign.audience || {};
+
+  return {
+    id: campaign.id,
+    title: campaign.title || campaign.id,
+    description: campaign.description || null,
+    startAt: toDate(campaign.startAt),
+    endAt: toDate(campaign.endAt),
+    priority: Number.isFinite(campaign.priority) ? campaign.priority : 0,
+    wheel: campaign.wheel || null,
+    limits: campaign.limits || {},
+    audience: {
+      languages: toList(audience.languages),
+      sources: toList(audience.sources),
+      newUsersOnly: audience.newUsersOnly === true
+    }
+  };
+}
+
+/**
+ * Кампании бота (некорректные и повторяющиеся ID пропускаются)
+ */
+function getCampaigns(botConfig) {
+  const campaigns = Array.isArray(botConfig?.campaigns) ? botConfig.campaigns : [];
+  const seen = new Set();
+
+  return campaigns.map(normalizeCampaign).filter(campaign => {
+    if (!campaign || seen.has(campaign.id)) {
+      return false;
+    }
+
+    seen.add(campaign.id);
+    return true;
+  });
+}
+
+/**
+ * Идёт ли кампания в данный момент
+ */
+function isActive(campaign, now = new Date()) {
+  return (!campaign.startAt || campaign.startAt <= now) && (!campaign.endAt || now < campaign.endAt);
+}
+
+function hasAudience(campaign) {
+  const audience = campaign.audience;
+  return audience.languages.length > 0 || audience.sources.length > 0 || audience.newUsersOnly;
+}
+
+/**
+ * Подходит ли пользователь под аудиторию кампании
+ * Без данных пользователя подходят только кампании без ограничений аудитории
+ */
+function matchesAudience(campaign, userData) {
+  if (!hasAudience(campaign)) {
+    return true;
+  }
+
+  if (!userData) {
+    return false;
+  }
+
+  const audience = campaign.audience;
+
+  if (audience.languages.length > 0 && !audience.languages.includes(userData.language_code || "")) {
+    return false;
+  }
+
+  if (audience.sources.length > 0 && !audience.sources.includes(userData.campaign || "")) {
+    return false;
+  }
+
+  if (audience.newUsersOnly) {
+    const createdAt = toDate(userData.created_at);
+
+    if (!createdAt || (campaign.startAt && createdAt < campaign.startAt)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Кампания для запроса
+ * @param {Object} options - { userData, campaignId, checkAudience = true, now }
+ * @returns {Object|null} Кампания или null - колесо самого бота
+ * @throws CAMPAIGN_NOT_FOUND, CAMPAIGN_NOT_ACTIVE, CAMPAIGN_NOT_AVAILABLE
+ */
+function resolveCampaign(botConfig, options = {}) {
+  const { userData = null, campaignId = null, checkAudience = true, now = new Date() } = options;
+  const campaigns = getCampaigns(botConfig);
+
+  if (campaignId) {
+    const campaign = campaigns.find(item => item.id === String(campaignId));
+
+    if (!campaign) {
+      throw createServiceError("CAMPAIGN_NOT_FOUND", "Campaign not found", 404);
+    }
+
+    if (!isActive(campaign, now)) {
+      throw createServiceError("CAMPAIGN_NOT_ACTIVE", "Campaign is not active", 409, {
+        starts_at: campaign.startAt,
+        ends_at: campaign.endAt,
+        message: "Кампания не проводится"
+      });
+    }
+
+    if (checkAudience && !matchesAudience(campaign, userData)) {
+      throw createServiceError("CAMPAIGN_NOT_AVAILABLE", "Campaign is not available for this user", 403, {
+        message: "Кампания недоступна"
+      });
+    }
+
+    return campaign;
+  }
+
+  const available = campaigns
+    .filter(campaign => isActive(campaign, now) && matchesAudience(campaign, userData))
+    .sort((a, b) => b.priority - a.priority);
+
+  return available[0] || null;
+}
+
+/**
+ * Конфигурация бота с колесом и лимитами кампании
+ * @param {Object|null} campaign - Кампания (null - конфигурация без изменений)
+ */
+function getCampaignConfig(botConfig, campaign) {
+  if (!campaign) {
+    return botConfig;
+  }
+
+  return {
+    ...botConfig,
+    wheel: campaign.wheel || botConfig?.wheel,
+    limits: { ...(botConfig?.limits || {}), ...campaign.limits }
+  };
+}
+
+/**
+ * Конфигурация, с которой был сделан спин (кампания может быть уже завершена)
+ * @param {string|null} campaignId - campaign_id спина
+ */
+function getSpinConfig(botConfig, campaignId) {
+  const campaign = campaignId ? getCampaigns(botConfig).find(item => item.id === campaignId) : null;
+  return getCampaignConfig(botConfig, campaign || null);
+}
+
+/**
+ * Кампания в формате ответа API
+ */
+function formatCampaign(campaign) {
+  if (!campaign) {
+    return null;
+  }
+
+  return {
+    id: campaign.id,
+    title: campaign.title,
+    description: campaign.description,
+    starts_at: campaign.startAt ? campaign.startAt.toISOString() : null,
+    ends_at: campaign.endAt ? campaign.endAt.toISOString() : null
+  };
+}
+
+module.exports = {
+  getCampaigns,
+  resolveCampaign,
+  getCampaignConfig,
+  getSpinConfig,
+  formatCampaign
+};
@@ -0,0 +1,95 @@
+// services/cooldown.js - Кулдаун между вращениями
+//
+// Настраивается в limits.cooldown конфигурации бота:
+//   { mode: "none" }                                   - без кулдауна
+//   { mode: "fixed", seconds: 3600 }                   - одинаковый кулдаун
+//   { mode: "escalating", seconds: 60,                 - растёт с числом спинов за день
+//     steps: [{ afterSpins: 3, seconds: 600 }, { afterSpins: 5, seconds: 3600 }] }
+// Старый формат limits.cooldownSeconds читается как mode "fixed".
+
+/**
+ * Настройки кулдауна бота
+ * @returns {Object} { mode, seconds, steps }
+ */
+function getCooldownSettings(botConfig) {
+  const limits = botConfig?.limits || {};
+  const cooldown = limits.cooldown;
+
+  if (!cooldown) {
+    return limits.cooldownSeconds > 0 ?
+      { mode: "fixed", seconds: limits.cooldownSeconds, steps: [] } :
+      { mode: "none", seconds: 0, steps: [] };
+  }
+
+  const steps = (cooldown.steps || [])
+    .filter(step => step.afterSpins > 0 && step.seconds >= 0)
+    .sort((a, b) => a.afterSpins - b.afterSpins);
+
+  return {
+    mode: ["fixed", "escalating"].includes(cooldown.mode) ? cooldown.mode : "none",
+    seconds: cooldown.seconds > 0 ? cooldown.seconds : 0,
+    steps
+  };
+}
+
+/**
+ * Длительность кулдауна после спина
+ * @param {Object} botConfig - Конфигурация бота
+ * @param {number} spinsToday - Сколько спинов сделано за текущий день, включая последний
+ * @returns {number} Секунды
+ */
+function getCooldownSeconds(botConfig, spinsToday) {
+  const settings = getCooldownSettings(botConfig);
+
+  if (settings.mode === "none") {
+    return 0;
+  }
+
+  if (settings.mode === "fixed") {
+    return settings.seconds;
+  }
+
+  let seconds = settings.seconds;
+
+  for (const step of settings.steps) {
+    if (spinsToday >= step.afterSpins) {
+      seconds = step.seconds;
+    }
+  }
+
+  return seconds;
+}
+
+/**
+ * Состояние кулдауна пользователя
+ * Отсчитывается от last_spin, который записывает сервер
+ * @param {Object} botConfig - Конфигурация бота
+ * @param {Object} state - { lastSpin, spinsToday }
+ * @param {Date} now - Текущее время
+ * @returns {Object} { cooldownSeconds, remainingSeconds, nextSpinAt }
+ */
+function getCooldownState(botConfig, state, now = new Date()) {
+  const cooldownSeconds = getCooldownSeconds(botConfig, state.spinsToday || 0);
+
+  if (!state.lastSpin || cooldownSeconds === 0) {
+    return { cooldownSeconds, remainingSeconds: 0, nextSpinAt: null };
+  }
+
+  const cooldownEnd = new Date(state.lastSpin).getTime() + cooldownSeconds * 1000;
+
+  if (now.getTime() >= cooldownEnd) {
+    return { cooldownSeconds, remainingSeconds: 0, nextSpinAt: null };
+  }
+
+  return {
+    cooldownSeconds,
+    remainingSeconds: Math.ceil((cooldownEnd - now.getTime()) / 1000),
+    nextSpinAt: new Date(cooldownEnd).toISOString()
+  };
+}
+
+module.exports = {
+  getCooldownSettings,
+  getCooldownSeconds,
+  getCooldownState
+};
@@ -0,0 +1,312 @@
+// services/crm.js - Передача лидов в CRM через вебхуки
+//
+// Вебхуки настраиваются в crm конфигурации бота:
+//   crm: {
+//     webhooks: [{
+//       id: "amo", preset: "amocrm", url: "https://example.amocrm.ru/api/v4/leads/complex",
+//       headers: { Authorization: "Bearer ..." }, secret: "...",
+//       title: "Колесо: {prize}", fields: { "512345": "prize" }
+//     }]
+//   }
+// Пресеты формируют тело запроса:
+//   json     - { event, bot_id, lead }; fields задаёт имена полей: { "client_phone": "phone" };
+//   amocrm   - /api/v4/leads/complex; fields - ID доп. полей сделки: { "512345": "prize" };
+//   bitrix24 - crm.lead.add входящего вебхука; fields - поля лида: { "UF_CRM_PRIZE": "prize" }.
+// Каждый запрос подписывается: X-Wheel-Timestamp и
+// X-Wheel-Signature: sha256=HMAC-SHA256(secret, "<timestamp>.<тело>").
+// Вебхук без secret считается настроенным с ошибкой, лиды в него не отправляются.
+//
+// Каждый вебхук - отдельная задача outbox с повторами. Результат пишется в
+// лид (deliveries.<id>), лид становится processed, когда доставлен во все вебхуки.
+const crypto = require("crypto");
+const axios = require("axios");
+const repository = require("./repository");
+const outbox = require("./outbox");
+const logger = require("./logger");
+
+const JOB_TYPE = "crm_webhook";
+const PRESETS = ["json", "amocrm", "bitrix24"];
+const DEFAULT_TITLE = "Заявка с колеса: {prize}";
+const DEFAULT_TIMEOUT_MS = 10000;
+// Сколько символов ответа CRM сохраняется в результате доставки
+const MAX_RESPONSE_LENGTH = 500;
+
+// Поля лида, доступные в fields и title
+const LEAD_FIELDS = [
+  "lead_id", "name", "phone", "phone_raw", "prize", "prize_id", "campaign_id",
+  "user_id", "spin_id", "submitted_at", "duplicate_of", "source"
+];
+
+/**
+ * Приведение вебхука из конфигурации
+ * @returns {Object|null} Вебхук или null, если он настроен некорректно (нет id, url или secret)
+ */
+function normalizeWebhook(webhook) {
+  if (!webhook || typeof webhook.id !== "string" || !/^[\w-]{1,64}$/.test(webhook.id)) {
+    return null;
+  }
+
+  if (typeof webhook.url !== "string" || !/^https?:\/\//.test(webhook.url)) {
+    return null;
+  }
+
+  if (typeof webhook.secret !== "string" || webhook.secret.length === 0) {
+    logger.error(`❌ CRM вебхук ${webhook.id} без secret пропущен: лиды отправляются только с подписью`);
+    return null;
+  }
+
+  const fields = {};
+
+  for (const [target, source] of Object.entries(webhook.fields || {})) {
+    if (LEAD_FIELDS.includes(source)) {
+      fields[target] = source;
+    }
+  }
+
+  return {
+    id: webhook.id,
+    enabled: webhook.enabled !== false,
+    preset: PRESETS.includes(webhook.preset) ? webhook.preset : "json",
+    url: webhook.url,
+    headers: webhook.headers || {},
+    secret: webhook.secret,
+    title: webhook.title || DEFAULT_TITLE,
+    fields,
+    maxAttempts: Number.isInteger(webhook.maxAttempts) && webhook.maxAttempts > 0 ? webhook.maxAttempts : undefined
+  };
+}
+
+/**
+ * Включённые вебхуки бота (некорректные и повторяющиеся ID пропускаются)
+ */
+function getWebhooks(botConfig) {
+  const webhooks = Array.isArray(botConfig?.crm?.webhooks) ? botConfig.crm.webhooks : [];
+  const seen = new Set();
+
+  return webhooks.map(normalizeWebhook).filter(webhook => {
+    if (!webhook || seen.has(webhook.id) || !webhook.enabled) {
+      return false;
+    }
+
+    seen.add(webhook.id);
+    return true;
+  });
+}
+
+function getLeadValue(lead, field) {
+  const value = lead[field];
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  return value === undefined ? null : value;
+}
+
+function renderTitle(template, lead) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (
+    LEAD_FIELDS.includes(key) ? String(getLeadValue(lead, key) ?? "") : match
+  ));
+}
+
+/**
+ * Тело запроса для вебхука
+ */
+function buildPayload(webhook, lead, botId) {
+  const title = renderTitle(webhook.title, lead);
+  const mapped = Object.entries(webhook.fields).map(([target, source]) => [target, getLeadValue(lead, source)]);
+
+  if (webhook.preset === "amocrm") {
+    const contact = { first_name: lead.name || lead.phone || "Без имени" };
+
+    if (lead.phone) {
+      contact.custom_fields_values = [
+        { field_code: "PHONE", values: [{ value: lead.phone, enum_code: "WORK" }] }
+      ];
+    }
+
+    const deal = {
+      name: title,
+      _embedded: {
+        contacts: [contact],
+        tags: [{ name: "wheel" }]
+      }
+    };
+
+    const customFields = mapped
+      .filter(([, value]) => value !== null && value !== "")
+      .map(([fieldId, value]) => ({ field_id: Number(fieldId), values: [{ value: String(value) }] }));
+
+    if (customFields.length > 0) {
+      deal.custom_fields_values = customFields;
+    }
+
+    return [deal];
+  }
+
+  if (webhook.preset === "bitrix24") {
+    return {
+      fields: {
+        TITLE: title,
+        NAME: lead.name || "",
+        PHONE: lead.phone ? [{ VALUE: lead.phone, VALUE_TYPE: "WORK" }] : [],
+        SOURCE_ID: "WEB",
+        SOURCE_DESCRIPTION: `Колесо фортуны, бот ${botId}`,
+        COMMENTS: lead.prize ? `Приз: ${lead.prize}` : "",
+        ...Object.fromEntries(mapped)
+      },
+      params: { REGISTER_SONET_EVENT: "Y" }
+    };
+  }
+
+  const data = mapped.length > 0 ?
+    Object.fromEntries(mapped) :
+    Object.fromEntries(LEAD_FIELDS.map(field => [field, getLeadValue(lead, field)]));
+
+  return {
+    event: "lead.created",
+    bot_id: botId,
+    lead: data
+  };
+}
+
+/**
+ * Подпись тела запроса
+ * @returns {string} sha256=<hex>
+ */
+function signPayload(secret, timestamp, body) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+  return `sha256=${signature}`;
+}
+
+/**
+ * Отправка лида в CRM
+ * Ошибки 4xx (кроме 408 и 429) не повторяются - запрос некорректен
+ * @returns {Promise<Object>} { status_code, response }
+ */
+async function sendWebhook(webhook, lead, botId) {
+  const body = JSON.stringify(buildPayload(webhook, lead, botId));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    ...webhook.headers,
+    "Content-Type": "application/json",
+    "X-Wheel-Lead-ID": lead.lead_id,
+    "X-Wheel-Timestamp": timestamp,
+    "X-Wheel-Signature": signPayload(webhook.secret, timestamp, body)
+  };
+
+  let response;
+
+  try {
+    response = await axios.post(webhook.url, body, {
+      headers,
+      timeout: Number(process.env.CRM_WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+      maxRedirects: 0,
+      // Ответ CRM сохраняется как текст, без разбора
+      transformResponse: [data => data],
+      validateStatus: () => true
+    });
+  } catch (error) {
+    throw new Error(`CRM webhook ${webhook.id} is unavailable: ${error.message}`);
+  }
+
+  const responseText = typeof response.data === "string" ? response.data.slice(0, MAX_RESPONSE_LENGTH) : "";
+
+  if (response.status < 200 || response.status >= 300) {
+    const error = new Error(`CRM webhook ${webhook.id} responded with ${response.status}: ${responseText}`);
+    error.retryable = response.status >= 500 || [408, 429].includes(response.status);
+    throw error;
+  }
+
+  return { status_code: response.status, response: responseText };
+}
+
+/**
+ * Постановка лида в очередь отправки во все включённые вебхуки
+ * Ошибки не прерывают ответ пользователю
+ * @returns {Promise<number>} Сколько задач поставлено
+ */
+async function forwardLead(botId, botConfig, lead) {
+  const webhooks = getWebhooks(botConfig);
+
+  if (webhooks.length === 0 || !lead) {
+    return 0;
+  }
+
+  const webhookIds = webhooks.map(webhook => webhook.id);
+  let queued = 0;
+
+  for (const webhook of webhooks) {
+    try {
+      const created = await outbox.enqueue(JOB_TYPE, {
+        id: `crm_${webhook.id}_${lead.lead_id}`,
+        botId,
+        payload: {
+          bot_id: botId,
+          lead_id: lead.lead_id,
+          webhook_id: webhook.id,
+          webhook_ids: webhookIds
+        },
+        maxAttempts: webhook.maxAttempts
+      });
+
+      queued += created ? 1 : 0;
+    } catch (error) {
+      logger.error(`❌ Не удалось поставить лид ${lead.lead_id} в вебхук ${webhook.id}:`, error.message);
+    }
+  }
+
+  return queued;
+}
+
+outbox.registerHandler(JOB_TYPE, {
+  async deliver(job) {
+    const { bot_id: botId, lead_id: leadId, webhook_id: webhookId } = job.payload;
+    // Вебхук читается из текущей конфигурации: после исправления URL повтор уйдёт по новому адресу
+    const botConfig = await repository.getBotConfig(botId);
+    const webhook = getWebhooks(botConfig).find(item => item.id === webhookId);
+
+    if (!webhook) {
+      const error = new Error(`CRM webhook ${webhookId} is not configured or disabled`);
+      error.retryable = false;
+      throw error;
+    }
+
+    const lead = await repository.getLead(leadId);
+
+    if (!lead) {
+      const error = new Error(`Lead ${leadId} not found`);
+      error.retryable = false;
+      throw error;
+    }
+
+    return sendWebhook(webhook, lead, botId);
+  },
+
+  async onStatus(job, status) {
+    const { lead_id: leadId, webhook_id: webhookId, webhook_ids: webhookIds } = job.payload;
+
+    await repository.updateLeadDelivery(leadId, webhookId, webhookIds || [webhookId], {
+      job_id: job.job_id,
+      status: status.status,
+      attempts: status.attempts,
+      error: status.error || null,
+      status_code: status.result?.status_code || null,
+      response: status.result?.response || null,
+      next_attempt_at: status.next_attempt_at || null
+    });
+  }
+});
+
+module.exports = {
+  JOB_TYPE,
+  PRESETS,
+  getWebhooks,
+  buildPayload,
+  signPayload,
+  forwardLead
+};
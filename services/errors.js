@@ -0,0 +1,46 @@
+// services/errors.js - Ошибки бизнес-логики
+
+/**
+ * Ошибка бизнес-логики с кодом для ответа API
+ * @param {string} code - Код ошибки (DAILY_LIMIT_REACHED, CONCURRENT_SPIN, ...)
+ * @param {string} message - Описание ошибки
+ * @param {number} status - HTTP статус ответа
+ * @param {Object} details - Дополнительные поля ответа
+ */
+function createServiceError(code, message, status = 400, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.details = details;
+  error.isServiceError = true;
+  return error;
+}
+
+/**
+ * Отправка ошибки бизнес-логики клиенту
+ * @returns {boolean} true, если ошибка была отправлена
+ */
+function sendServiceError(res, error) {
+  if (!error || !error.isServiceError) {
+    return false;
+  }
+
+  // Повторяемые ошибки подсказывают клиенту, когда повторить запрос
+  if (error.details?.retry_after) {
+    res.set("Retry-After", String(error.details.retry_after));
+  }
+
+  res.status(error.status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...error.details
+  });
+
+  return true;
+}
+
+module.exports = {
+  createServiceError,
+  sendServiceError
+};
@@ -0,0 +1,191 @@
+// services/experiments.js - A/B-эксперименты с вариантами колеса
+//
+// Эксперименты настраиваются в experiments конфигурации бота:
+//   experiments: [{
+//     id: "layout_v2", active: true, campaignId: null,
+//     variants: [
+//       { id: "control", weight: 50 },
+//       { id: "rich", weight: 50, wheel: { prizes: [...] }, limits: { spinsPerDay: 4 },
+//         copy: { title: "Крути и выигрывай!" } }
+//     ]
+//   }]
+// Вариант подменяет wheel целиком, limits и copy (тексты Mini App) - по полям.
+// Вариант выбирается по хэшу experimentId:userId, поэтому пользователь всегда
+// видит один и тот же вариант, пока не изменены варианты и их веса.
+// campaignId - эксперимент идёт только внутри этой кампании; без него -
+// только на колесе самого бота (см. services/campaigns.js).
+// Спины и лиды хранят варианты в поле experiments: { layout_v2: "rich" }.
+const crypto = require("crypto");
+
+/**
+ * Приведение эксперимента из конфигурации
+ * @returns {Object|null} Эксперимент или null, если он настроен некорректно
+ */
+function normalizeExperiment(experiment) {
+  if (!experiment || typeof experiment.id !== "string" || !/^[\w-]{1,64}$/.test(experiment.id)) {
+    return null;
+  }
+
+  const seen = new Set();
+  const variants = (Array.isArray(experiment.variants) ? experiment.variants : [])
+    .filter(variant => {
+      if (!variant || typeof variant.id !== "string" || !/^[\w-]{1,64}$/.test(variant.id) || seen.has(variant.id)) {
+        return false;
+      }
+
+      seen.add(variant.id);
+      return true;
+    })
+    .map(variant => ({
+      id: variant.id,
+      weight: Number.isFinite(variant.weight) && variant.weight >= 0 ? variant.weight : 1,
+      wheel: variant.wheel || null,
+      limits: variant.limits || {},
+      copy: variant.copy || {}
+    }));
+
+  if (variants.reduce((sum, variant) => sum + variant.weight, 0) <= 0) {
+    return null;
+  }
+
+  return {
+    id: experiment.id,
+    active: experiment.active !== false,
+    campaignId: experiment.campaignId ? String(experiment.campaignId) : null,
+    variants
+  };
+}
+
+/**
+ * Эксперименты бота (некорректные и повторяющиеся ID пропускаются)
+ */
+function getExperiments(botConfig) {
+  const experiments = Array.isArray(botConfig?.experiments) ? botConfig.experiments : [];
+  const seen = new Set();
+
+  return experiments.map(normalizeExperiment).filter(experiment => {
+    if (!experiment || seen.has(experiment.id)) {
+      return false;
+    }
+
+    seen.add(experiment.id);
+    return true;
+  });
+}
+
+/**
+ * Эксперимент бота по ID
+ */
+function findExperiment(botConfig, experimentId) {
+  return getExperiments(botConfig).find(experiment => experiment.id === experimentId) || null;
+}
+
+/**
+ * Вариант пользователя: первые 32 бита SHA-256(experimentId:userId) по весам вариантов
+ */
+function assignVariant(experiment, userId) {
+  const hash = crypto.createHash("sha256").update(`${experiment.id}:${userId}`).digest();
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const point = (hash.readUInt32BE(0) / 2 ** 32) * totalWeight;
+
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += variant.weight;
+    if (point < cumulative) {
+      return variant;
+    }
+  }
+
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Варианты пользователя в идущих экспериментах
+ * @param {Object|null} campaign - Кампания запроса (null - колесо самого бота)
+ * @returns {Array} [{ experiment, variant }]
+ */
+function getAssignments(botConfig, userId, campaign = null) {
+  if (!userId) {
+    return [];
+  }
+
+  const campaignId = campaign ? campaign.id : null;
+
+  return getExperiments(botConfig)
+    .filter(experiment => experiment.active && experiment.campaignId === campaignId)
+    .map(experiment => ({ experiment, variant: assignVariant(experiment, String(userId)) }));
+}
+
+/**
+ * Конфигурация с колесом, лимитами и текстами вариантов
+ */
+function applyVariants(config, assignments) {
+  return assignments.reduce((result, { variant }) => ({
+    ...result,
+    wheel: variant.wheel || result?.wheel,
+    limits: { ...(result?.limits || {}), ...variant.limits },
+    copy: { ...(result?.copy || {}), ...variant.copy }
+  }), config);
+}
+
+/**
+ * Варианты для записи в спин и лид
+ * @returns {Object} { experimentId: variantId }
+ */
+function toRecord(assignments) {
+  const record = {};
+
+  for (const { experiment, variant } of assignments) {
+    record[experiment.id] = variant.id;
+  }
+
+  return record;
+}
+
+/**
+ * Конфигурация с вариантами, записанными в спине
+ * Варианты, удалённые из конфигурации, пропускаются
+ * @param {Object} record - Поле experiments спина
+ */
+function applyRecordedVariants(config, botConfig, record) {
+  const assignments = Object.entries(record || {})
+    .map(([experimentId, variantId]) => {
+      const experiment = findExperiment(botConfig, experimentId);
+      const variant = experiment?.variants.find(item => item.id === variantId);
+      return variant ? { experiment, variant } : null;
+    })
+    .filter(Boolean);
+
+  return applyVariants(config, assignments);
+}
+
+/**
+ * Конверсия спинов в лиды по вариантам
+ * @param {Array} stats - Счётчики вариантов [{ variant_id, spins, leads }]
+ * @returns {Array} [{ variant_id, weight, spins, leads, conversion }]
+ */
+function buildReport(experiment, stats) {
+  return experiment.variants.map(variant => {
+    const variantStats = stats.find(item => item.variant_id === variant.id) || {};
+    const spins = variantStats.spins || 0;
+    const leads = variantStats.leads || 0;
+
+    return {
+      variant_id: variant.id,
+      weight: variant.weight,
+      spins,
+      leads,
+      conversion: spins > 0 ? Math.round((leads / spins) * 10000) / 10000 : 0
+    };
+  });
+}
+
+module.exports = {
+  getExperiments,
+  findExperiment,
+  getAssignments,
+  applyVariants,
+  toRecord,
+  applyRecordedVariants,
+  buildReport
+};
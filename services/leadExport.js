@@ -0,0 +1,98 @@
+// services/leadExport.js - Выгрузка лидов в CSV и XLSX
+//
+// Лиды пишутся в ответ постранично (см. repository.getLeadsPage), поэтому
+// размер выгрузки не ограничен памятью сервера. CSV начинается с UTF-8 BOM,
+// чтобы Excel правильно показывал кириллицу.
+const xlsxWriter = require("./xlsxWriter");
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const COLUMNS = [
+  { key: "lead_id", title: "ID лида" },
+  { key: "submitted_at", title: "Дата" },
+  { key: "status", title: "Статус" },
+  { key: "name", title: "Имя" },
+  { key: "phone", title: "Телефон" },
+  { key: "prize", title: "Приз" },
+  { key: "prize_id", title: "ID приза" },
+  { key: "campaign_id", title: "Кампания" },
+  { key: "user_id", title: "ID пользователя" },
+  { key: "spin_id", title: "ID спина" },
+  { key: "duplicate_of", title: "Дубль лида" }
+];
+
+const UTF8_BOM = "\uFEFF";
+
+// Символы, с которых Excel начинает формулу
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Номер телефона в E.164 или целое число - формулой быть не может
+const SAFE_NUMBER = /^\+?\d+$/;
+
+function formatValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  return typeof value === "object" ? JSON.stringify(value) : value;
+}
+
+/**
+ * Строка выгрузки по лиду
+ */
+function toRow(lead) {
+  return COLUMNS.map(column => formatValue(lead[column.key]));
+}
+
+/**
+ * Значение CSV-ячейки
+ * Значения, которые Excel принял бы за формулу, начинаются с апострофа.
+ * Без апострофа остаются только телефоны E.164 и целые числа
+ */
+function toCsvCell(value) {
+  let text = String(value);
+
+  if (FORMULA_PREFIX.test(text) && !SAFE_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createCsvWriter(output) {
+  const write = (text) => xlsxWriter.writeToStream(output, Buffer.from(text, "utf8"));
+
+  return {
+    start: (headers) => write(UTF8_BOM + headers.map(toCsvCell).join(",") + "\r\n"),
+    writeRows: (rows) => (rows.length > 0 ? write(rows.map(row => row.map(toCsvCell).join(",") + "\r\n").join("")) : Promise.resolve()),
+    finish: () => Promise.resolve()
+  };
+}
+
+/**
+ * Выгрузка лидов в поток ответа
+ * @param {string} format - csv или xlsx
+ * @returns {Object} { contentType, extension, start(), writeLeads(leads), finish() }
+ */
+function createLeadExporter(format, output) {
+  const isXlsx = format === "xlsx";
+  const writer = isXlsx ? xlsxWriter.createXlsxWriter(output, "Лиды") : createCsvWriter(output);
+
+  return {
+    contentType: isXlsx ?
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" :
+      "text/csv; charset=utf-8",
+    extension: isXlsx ? "xlsx" : "csv",
+    start: () => writer.start(COLUMNS.map(column => column.title)),
+    writeLeads: (leads) => writer.writeRows(leads.map(toRow)),
+    finish: () => writer.finish()
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  createLeadExporter
+};
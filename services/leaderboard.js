@@ -0,0 +1,87 @@
+// services/leaderboard.js - Рейтинги пользователей бота
+//
+// Рейтинг не считается по пользователям при запросе: очки копятся в
+// bots/{botId}/leaderboards/{metric}_{period}/scores/{userId} в тех же
+// транзакциях, что меняют данные пользователя (спин, награды, рефералы).
+// Метрики:
+//   spins     - количество вращений;
+//   points    - заработанные баллы (списания не уменьшают очки);
+//   referrals - засчитанные рефералы.
+// Периоды: day - день вращений, week - неделя вращений (с понедельника), all - всё время.
+// Настраивается в leaderboard конфигурации бота:
+//   leaderboard: { enabled: true, topN: 10, metrics: ["spins", "points", "referrals"] }
+// Пользователь может скрыть себя из публичного рейтинга (leaderboard_hidden).
+// Для Firestore нужен составной индекс scores: hidden ASC, score DESC.
+const spinDay = require("./spinDay");
+
+const METRICS = ["spins", "points", "referrals"];
+const PERIODS = ["day", "week", "all"];
+
+const DEFAULT_TOP_N = 10;
+const MAX_TOP_N = 100;
+
+/**
+ * Настройки рейтинга бота
+ * @returns {Object} { enabled, topN, metrics }
+ */
+function getLeaderboardSettings(botConfig) {
+  const leaderboard = botConfig?.leaderboard || {};
+  const metrics = Array.isArray(leaderboard.metrics) ?
+    leaderboard.metrics.filter(metric => METRICS.includes(metric)) :
+    METRICS;
+
+  return {
+    enabled: leaderboard.enabled !== false,
+    topN: Number.isInteger(leaderboard.topN) && leaderboard.topN > 0 ? Math.min(leaderboard.topN, MAX_TOP_N) : DEFAULT_TOP_N,
+    metrics
+  };
+}
+
+/**
+ * ID рейтингов текущих периодов
+ * @returns {Object} { day, week, all } - например { day: "spins_day_2024-05-01", ... }
+ */
+function getBoardIds(metric, botConfig, date = new Date()) {
+  return {
+    day: `${metric}_day_${spinDay.getSpinDay(botConfig, date)}`,
+    week: `${metric}_week_${spinDay.getSpinWeek(botConfig, date)}`,
+    all: `${metric}_all`
+  };
+}
+
+/**
+ * Имя пользователя в рейтинге
+ */
+function getDisplayName(userData) {
+  if (userData.username) {
+    return `@${userData.username}`;
+  }
+
+  return [userData.first_name, userData.last_name].filter(Boolean).join(" ") || "Игрок";
+}
+
+/**
+ * Места с учётом равных очков (1, 2, 2, 4)
+ * @param {Array} scores - Очки, отсортированные по убыванию
+ */
+function assignRanks(scores) {
+  let rank = 0;
+
+  return scores.map((score, index) => {
+    if (index === 0 || score.score !== scores[index - 1].score) {
+      rank = index + 1;
+    }
+
+    return { ...score, rank };
+  });
+}
+
+module.exports = {
+  METRICS,
+  PERIODS,
+  MAX_TOP_N,
+  getLeaderboardSettings,
+  getBoardIds,
+  getDisplayName,
+  assignRanks
+};
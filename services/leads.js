@@ -0,0 +1,225 @@
+// services/leads.js - Проверка и нормализация данных лида
+//
+// Настраивается в leads конфигурации бота:
+//   leads: { defaultCountry: "RU" }
+// Телефон приводится к E.164 (+79991234567). Номер без кода страны считается
+// номером defaultCountry: 8 (999) 123-45-67 и 999 123 45 67 -> +79991234567.
+// Имя очищается от управляющих символов и разметки, пробелы схлопываются.
+//
+// Статусы лида (меняет оператор через админ-API):
+//   new -> contacted | lost | invalid
+//   contacted -> won | lost | invalid
+//   lost -> contacted (клиент вернулся)
+// won и invalid - конечные статусы.
+const { createServiceError } = require("./errors");
+
+const DEFAULT_COUNTRY = "RU";
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTE_LENGTH = 1000;
+
+const LEAD_TRANSITIONS = {
+  new: ["contacted", "lost", "invalid"],
+  contacted: ["won", "lost", "invalid"],
+  lost: ["contacted"],
+  won: [],
+  invalid: []
+};
+
+const LEAD_STATUSES = Object.keys(LEAD_TRANSITIONS);
+
+// Код страны, префикс междугородней связи и длины национального номера
+const COUNTRIES = {
+  RU: { code: "7", trunk: "8", lengths: [10] },
+  KZ: { code: "7", trunk: "8", lengths: [10] },
+  BY: { code: "375", trunk: "80", lengths: [9] },
+  UA: { code: "380", trunk: "0", lengths: [9] },
+  UZ: { code: "998", trunk: "", lengths: [9] },
+  KG: { code: "996", trunk: "0", lengths: [9] },
+  TJ: { code: "992", trunk: "", lengths: [9] },
+  AM: { code: "374", trunk: "0", lengths: [8] },
+  AZ: { code: "994", trunk: "0", lengths: [9] },
+  GE: { code: "995", trunk: "", lengths: [9] },
+  MD: { code: "373", trunk: "0", lengths: [8] },
+  TR: { code: "90", trunk: "0", lengths: [10] },
+  DE: { code: "49", trunk: "0", lengths: [10, 11] },
+  GB: { code: "44", trunk: "0", lengths: [10] },
+  US: { code: "1", trunk: "1", lengths: [10] },
+  AE: { code: "971", trunk: "0", lengths: [8, 9] },
+  IL: { code: "972", trunk: "0", lengths: [8, 9] }
+};
+
+/**
+ * Страна по умолчанию для номеров без кода страны
+ */
+function getDefaultCountry(botConfig) {
+  const country = String(botConfig?.leads?.defaultCountry || "").toUpperCase();
+  return COUNTRIES[country] ? country : DEFAULT_COUNTRY;
+}
+
+/**
+ * Телефон в формате E.164
+ * @param {string} phone - Номер в любом формате
+ * @param {string} defaultCountry - Страна для номеров без кода страны (ISO 3166-1 alpha-2)
+ * @returns {string|null} +<код страны><номер> или null, если номер не распознан
+ */
+function normalizePhone(phone, defaultCountry = DEFAULT_COUNTRY) {
+  if (typeof phone !== "string") {
+    return null;
+  }
+
+  const compact = phone.trim().replace(/[\s().\-]/g, "");
+
+  if (!/^(\+|00)?\d+$/.test(compact)) {
+    return null;
+  }
+
+  let digits;
+
+  if (compact.startsWith("+")) {
+    digits = compact.slice(1);
+  } else if (compact.startsWith("00")) {
+    digits = compact.slice(2);
+  } else {
+    const country = COUNTRIES[defaultCountry] || COUNTRIES[DEFAULT_COUNTRY];
+
+    if (country.lengths.includes(compact.length)) {
+      digits = country.code + compact;
+    } else if (country.trunk && compact.startsWith(country.trunk) &&
+      country.lengths.includes(compact.length - country.trunk.length)) {
+      digits = country.code + compact.slice(country.trunk.length);
+    } else if (compact.startsWith(country.code) &&
+      country.lengths.includes(compact.length - country.code.length)) {
+      digits = compact;
+    } else {
+      return null;
+    }
+  }
+
+  // E.164: не больше 15 цифр, код страны не начинается с 0
+  if (digits.length < 8 || digits.length > 15 || digits.startsWith("0")) {
+    return null;
+  }
+
+  return `+${digits}`;
+}
+
+/**
+ * Очистка имени: без управляющих символов, тегов и лишних пробелов
+ * @returns {string} Пустая строка, если в имени нет букв
+ */
+function sanitizeName(name) {
+  if (typeof name !== "string") {
+    return "";
+  }
+
+  const cleaned = name
+    .normalize("NFC")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u206f<>]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_NAME_LENGTH)
+    .trim();
+
+  return /\p{L}/u.test(cleaned) ? cleaned : "";
+}
+
+/**
+ * Проверка контактных данных лида
+ * @param {Object} input - { name, phone } из запроса
+ * @returns {Object} { name, phone, phone_raw } - phone в E.164 или ""
+ * @throws NO_CONTACT_DATA, INVALID_NAME, INVALID_PHONE
+ */
+function validateLead(input, botConfig) {
+  const hasName = typeof input.name === "string" && input.name.trim() !== "";
+  const hasPhone = typeof input.phone === "string" && input.phone.trim() !== "";
+
+  if (!hasName && !hasPhone) {
+    throw createServiceError("NO_CONTACT_DATA", "At least one of name or phone is required", 400);
+  }
+
+  const name = hasName ? sanitizeName(input.name) : "";
+
+  if (hasName && !name) {
+    throw createServiceError("INVALID_NAME", "Name must contain letters", 400, {
+      message: "Укажите имя буквами"
+    });
+  }
+
+  const phone = hasPhone ? normalizePhone(input.phone, getDefaultCountry(botConfig)) : "";
+
+  if (hasPhone && !phone) {
+    throw createServiceError("INVALID_PHONE", "Phone number is not valid", 400, {
+      message: "Проверьте номер телефона"
+    });
+  }
+
+  return {
+    name,
+    phone,
+    phone_raw: hasPhone ? input.phone.trim().slice(0, 50) : ""
+  };
+}
+
+/**
+ * Статусы, в которые можно перевести лид
+ * Лид без статуса считается новым
+ */
+function getAllowedTransitions(status) {
+  return LEAD_TRANSITIONS[status || "new"] || [];
+}
+
+/**
+ * Проверка смены статуса лида
+ * @throws INVALID_LEAD_STATUS, INVALID_TRANSITION
+ */
+function assertTransition(from, to) {
+  if (!LEAD_STATUSES.includes(to)) {
+    throw createServiceError("INVALID_LEAD_STATUS", `status must be one of: ${LEAD_STATUSES.join(", ")}`, 400);
+  }
+
+  const allowed = getAllowedTransitions(from);
+
+  if (!allowed.includes(to)) {
+    throw createServiceError("INVALID_TRANSITION", `Lead cannot be moved from ${from || "new"} to ${to}`, 409, {
+      status: from || "new",
+      allowed
+    });
+  }
+}
+
+/**
+ * Очистка заметки оператора
+ * @returns {string} Пустая строка, если заметки нет
+ * @throws INVALID_NOTE
+ */
+function sanitizeNote(note) {
+  if (note === undefined || note === null) {
+    return "";
+  }
+
+  if (typeof note !== "string") {
+    throw createServiceError("INVALID_NOTE", "note must be a string", 400);
+  }
+
+  const cleaned = note
+    .replace(/[\u0000-\u0009\u000b-\u001f\u007f]/g, "")
+    .trim();
+
+  if (cleaned.length > MAX_NOTE_LENGTH) {
+    throw createServiceError("INVALID_NOTE", `note must be at most ${MAX_NOTE_LENGTH} characters`, 400);
+  }
+
+  return cleaned;
+}
+
+module.exports = {
+  LEAD_STATUSES,
+  getDefaultCountry,
+  normalizePhone,
+  sanitizeName,
+  validateLead,
+  getAllowedTransitions,
+  assertTransition,
+  sanitizeNote
+};
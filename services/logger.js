@@ -0,0 +1,35 @@
+// services/logger.js - Логи сервиса
+//
+// Уровень задаётся переменной LOG_LEVEL: info (по умолчанию), error или silent.
+// info и выше пишутся в stdout, error - в stderr. Тесты запускаются с
+// LOG_LEVEL=error: stdout тестового процесса занят протоколом node --test.
+
+const LEVELS = { info: 1, error: 2, silent: 3 };
+
+function isEnabled(level) {
+  const threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+  return LEVELS[level] >= threshold;
+}
+
+/**
+ * Обычное сообщение (события, предупреждения)
+ */
+function info(...args) {
+  if (isEnabled("info")) {
+    console.log(...args);
+  }
+}
+
+/**
+ * Ошибка
+ */
+function error(...args) {
+  if (isEnabled("error")) {
+    console.error(...args);
+  }
+}
+
+module.exports = {
+  info,
+  error
+};
@@ -0,0 +1,165 @@
+// services/notifications.js - Уведомления о выигрыше в чат с ботом
+//
+// Настраиваются в notifications конфигурации бота:
+//   notifications: {
+//     enabled: true,
+//     defaultLanguage: "ru",
+//     templates: { ru: { spin: "...", lead: "...", claim_instructions: "..." }, en: { ... } }
+//   }
+// В шаблонах доступны {first_name}, {prize}, {promo_code} и {claim_instructions}.
+// Для выигрыша с промокодом используется шаблон promo_code вместо spin.
+// Инструкцию можно задать и у приза: claimInstructions (строка или { ru, en }).
+//
+// Сообщения отправляются через outbox, статус доставки пишется в спин:
+// notifications.spin / notifications.lead.
+const repository = require("./repository");
+const outbox = require("./outbox");
+const telegramClient = require("./telegramClient");
+const prizeEngine = require("./prizeEngine");
+const logger = require("./logger");
+
+const JOB_TYPE = "win_notification";
+const DEFAULT_LANGUAGE = "ru";
+
+const DEFAULT_TEMPLATES = {
+  ru: {
+    spin: "🎉 {first_name}, вы выиграли: {prize}!\n\n{claim_instructions}",
+    promo_code: "🎉 {first_name}, вы выиграли: {prize}!\n\nВаш промокод: {promo_code}\n\n{claim_instructions}",
+    lead: "✅ Заявка на приз «{prize}» принята. Мы свяжемся с вами в ближайшее время.",
+    claim_instructions: "Чтобы получить приз, оставьте контакты в приложении."
+  },
+  en: {
+    spin: "🎉 {first_name}, you won: {prize}!\n\n{claim_instructions}",
+    promo_code: "🎉 {first_name}, you won: {prize}!\n\nYour promo code: {promo_code}\n\n{claim_instructions}",
+    lead: "✅ Your request for «{prize}» has been received. We will contact you soon.",
+    claim_instructions: "To claim your prize, leave your contact details in the app."
+  }
+};
+
+/**
+ * Настройки уведомлений бота
+ * @returns {Object} { enabled, defaultLanguage, templates }
+ */
+function getNotificationSettings(botConfig) {
+  const notifications = botConfig?.notifications || {};
+
+  return {
+    enabled: notifications.enabled === true && Boolean(botConfig?.botToken),
+    defaultLanguage: notifications.defaultLanguage || DEFAULT_LANGUAGE,
+    templates: notifications.templates || {}
+  };
+}
+
+/**
+ * Строка шаблона на языке пользователя
+ * Порядок: шаблон бота на языке пользователя, на языке по умолчанию, встроенные шаблоны
+ */
+function getTemplate(settings, language, key) {
+  const languages = [language, settings.defaultLanguage, DEFAULT_LANGUAGE];
+
+  for (const lang of languages) {
+    if (settings.templates[lang]?.[key]) {
+      return settings.templates[lang][key];
+    }
+  }
+
+  for (const lang of languages) {
+    if (DEFAULT_TEMPLATES[lang]?.[key]) {
+      return DEFAULT_TEMPLATES[lang][key];
+    }
+  }
+
+  return "";
+}
+
+function getLocalized(value, language, defaultLanguage) {
+  if (!value || typeof value === "string") {
+    return value || null;
+  }
+
+  return value[language] || value[defaultLanguage] || null;
+}
+
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+}
+
+/**
+ * Постановка уведомления о спине в outbox
+ * Ошибки не прерывают ответ пользователю
+ * @param {Object} user - Пользователь Telegram (req.telegramUser)
+ * @param {Object} spin - Запись спина
+ * @param {string} kind - "spin" (выигрыш) или "lead" (заявка на приз принята)
+ */
+async function notifyWin(botId, botConfig, user, spin, kind) {
+  const settings = getNotificationSettings(botConfig);
+
+  if (!settings.enabled || !spin) {
+    return false;
+  }
+
+  try {
+    const language = (user.language_code || settings.defaultLanguage).slice(0, 2);
+    const prize = prizeEngine.getWheelPrizes(botConfig)
+      .find(item => item.id !== undefined && String(item.id) === spin.prize_id);
+
+    const claimInstructions = getLocalized(prize?.claimInstructions, language, settings.defaultLanguage) ||
+      getTemplate(settings, language, "claim_instructions");
+
+    const templateKey = kind === "spin" && spin.promo_code ? "promo_code" : kind;
+    const text = renderTemplate(getTemplate(settings, language, templateKey), {
+      first_name: user.first_name || "",
+      prize: spin.prize,
+      promo_code: spin.promo_code || "",
+      claim_instructions: claimInstructions
+    }).trim();
+
+    return await outbox.enqueue(JOB_TYPE, {
+      id: `notify_${kind}_${spin.spin_id}`,
+      botId,
+      payload: {
+        bot_id: botId,
+        user_id: String(user.id),
+        spin_id: spin.spin_id,
+        kind,
+        chat_id: user.id,
+        text
+      }
+    });
+  } catch (error) {
+    logger.error(`❌ Не удалось поставить уведомление для спина ${spin.spin_id}:`, error.message);
+    return false;
+  }
+}
+
+outbox.registerHandler(JOB_TYPE, {
+  async deliver(job) {
+    const { bot_id: botId, chat_id: chatId, text } = job.payload;
+    const botConfig = await repository.getBotConfig(botId);
+
+    if (!botConfig?.botToken) {
+      const error = new Error(`Bot ${botId} has no token`);
+      error.retryable = false;
+      throw error;
+    }
+
+    const message = await telegramClient.getTelegramClient().sendMessage(botConfig.botToken, chatId, text);
+    return { message_id: message.message_id };
+  },
+
+  async onStatus(job, status) {
+    const { bot_id: botId, user_id: userId, spin_id: spinId, kind } = job.payload;
+
+    await repository.updateSpinNotification(botId, userId, spinId, kind, {
+      status: status.status,
+      attempts: status.attempts,
+      error: status.error || null,
+      message_id: status.result?.message_id || null
+    });
+  }
+});
+
+module.exports = {
+  getNotificationSettings,
+  notifyWin
+};
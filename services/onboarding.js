@@ -0,0 +1,93 @@
+// services/onboarding.js - Регистрация пользователей и рефералы
+//
+// Используется и Mini App (/api/user-status), и вебхуком бота (/start), чтобы
+// пользователь и его реферер записывались одинаково, откуда бы он ни пришёл.
+//
+// Payload команды /start (и start_param Mini App) состоит из частей через "-":
+//   uid_<userId>  - пригласивший пользователь
+//   c_<code>      - код кампании
+// Например: uid_12345-c_summer
+const repository = require("./repository");
+const logger = require("./logger");
+
+const REFERRER_PREFIX = "uid_";
+const CAMPAIGN_PREFIX = "c_";
+
+/**
+ * Разбор payload команды /start
+ * @returns {Object} { referrerId, campaign }
+ */
+function parseStartPayload(payload) {
+  const result = { referrerId: null, campaign: null };
+
+  if (!payload || typeof payload !== "string") {
+    return result;
+  }
+
+  for (const part of payload.split("-")) {
+    if (part.startsWith(REFERRER_PREFIX) && part.length > REFERRER_PREFIX.length) {
+      result.referrerId = part.slice(REFERRER_PREFIX.length);
+    } else if (part.startsWith(CAMPAIGN_PREFIX) && part.length > CAMPAIGN_PREFIX.length) {
+      result.campaign = part.slice(CAMPAIGN_PREFIX.length);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Обработка реферера
+ * Ошибки не прерывают регистрацию пользователя
+ */
+async function handleReferrer(botId, userId, referrerId) {
+  try {
+    // Награда начисляется позже, когда приглашённый выполнит целевое действие
+    const result = await repository.addReferral(botId, referrerId, userId);
+
+    if (result.added) {
+      logger.info(`✅ Реферер ${referrerId} получил реферала ${userId}`);
+    }
+  } catch (error) {
+    logger.error("❌ Ошибка обработки реферера:", error);
+  }
+}
+
+/**
+ * Регистрация пользователя, если его ещё нет
+ * Реферер записывается только при создании пользователя
+ * @param {string} botId - ID бота
+ * @param {Object} user - Пользователь Telegram { id, username, first_name, last_name, language_code }
+ * @param {Object} start - { referrerId, campaign } из payload
+ * @param {Object} botConfig - Конфигурация бота
+ * @returns {Promise<Object>} { userData, isNewUser }
+ */
+async function registerUser(botId, user, start, botConfig) {
+  const userId = String(user.id);
+  const existing = await repository.getUserData(botId, userId, botConfig);
+
+  if (existing) {
+    return { userData: existing, isNewUser: false };
+  }
+
+  await repository.createUser(botId, userId, {
+    username: user.username,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    languageCode: user.language_code,
+    campaign: start.campaign
+  }, botConfig);
+
+  if (start.referrerId) {
+    await handleReferrer(botId, userId, start.referrerId);
+  }
+
+  // Данные перечитываются в формате getUserData (с учётом дня вращений)
+  const userData = await repository.getUserData(botId, userId, botConfig);
+  return { userData, isNewUser: true };
+}
+
+module.exports = {
+  parseStartPayload,
+  handleReferrer,
+  registerUser
+};
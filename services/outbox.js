@@ -0,0 +1,190 @@
+// services/outbox.js - Надёжная очередь исходящих задач
+//
+// Задача сначала записывается в коллекцию outbox, а выполняется фоновым
+// обработчиком. Сбой внешнего API не ломает запрос пользователя: задача
+// повторяется с экспоненциальной задержкой, пока не будет выполнена или
+// не исчерпает max_attempts.
+//
+// Обработчик регистрируется для типа задачи:
+//   registerHandler("type", { deliver: async (job) => result, onStatus: async (job, status) => {} })
+// Ошибка с retryable === false завершает задачу сразу (например, бот заблокирован).
+const repository = require("./repository");
+const logger = require("./logger");
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_SECONDS = 5;
+const MAX_BACKOFF_SECONDS = 3600;
+// Сколько задача считается занятой обработчиком
+const LEASE_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+const POLL_INTERVAL_ENV = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10);
+// 0 - явное отключение обработчика, поэтому || здесь не подходит
+const DEFAULT_POLL_INTERVAL_MS = Number.isNaN(POLL_INTERVAL_ENV) ? 5000 : POLL_INTERVAL_ENV;
+
+const handlers = new Map();
+
+let timer = null;
+let running = false;
+
+/**
+ * Регистрация обработчика задач
+ * @param {string} type - Тип задачи
+ * @param {Object} handler - { deliver(job), onStatus(job, status) }
+ */
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Постановка задачи в очередь
+ * @param {string} type - Тип задачи
+ * @param {Object} options - { id, botId, payload, maxAttempts } - id делает постановку идемпотентной
+ * @returns {Promise<boolean>} Поставлена ли задача (false - задача с таким id уже есть)
+ */
+async function enqueue(type, options) {
+  const queued = await repository.enqueueOutboxJob({
+    id: options.id,
+    type,
+    bot_id: options.botId,
+    payload: options.payload,
+    max_attempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS
+  });
+
+  if (queued) {
+    logger.info(`📮 Задача ${options.id} (${type}) поставлена в outbox`);
+  }
+
+  return queued;
+}
+
+/**
+ * Задержка перед повтором: 5с, 10с, 20с... но не больше часа
+ */
+function getBackoffSeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+async function reportStatus(handler, job, status) {
+  if (!handler.onStatus) {
+    return;
+  }
+
+  try {
+    await handler.onStatus(job, status);
+  } catch (error) {
+    logger.error(`❌ Ошибка записи статуса задачи ${job.job_id}:`, error.message);
+  }
+}
+
+/**
+ * Выполнение одной задачи
+ */
+async function processJob(jobId) {
+  const job = await repository.claimOutboxJob(jobId, LEASE_MS);
+
+  if (!job) {
+    return;
+  }
+
+  const handler = handlers.get(job.type);
+
+  if (!handler) {
+    logger.error(`❌ Нет обработчика для задачи ${job.type}`);
+    await repository.updateOutboxJob(jobId, { status: "failed", last_error: `No handler for ${job.type}` });
+    return;
+  }
+
+  try {
+    const result = await handler.deliver(job);
+
+    await repository.updateOutboxJob(jobId, { status: "sent", last_error: null, result: result || null, sent_at: new Date() });
+    await reportStatus(handler, job, { status: "sent", attempts: job.attempts, result: result || null });
+
+    logger.info(`✅ Задача ${jobId} выполнена с попытки ${job.attempts}`);
+  } catch (error) {
+    const willRetry = error.retryable !== false && job.attempts < job.max_attempts;
+    const status = willRetry ? "pending" : "failed";
+    const nextAttemptAt = willRetry ? new Date(Date.now() + getBackoffSeconds(job.attempts) * 1000) : null;
+
+    await repository.updateOutboxJob(jobId, {
+      status,
+      next_attempt_at: nextAttemptAt,
+      last_error: error.message
+    });
+    await reportStatus(handler, job, {
+      status: willRetry ? "retrying" : "failed",
+      attempts: job.attempts,
+      error: error.message,
+      next_attempt_at: nextAttemptAt
+    });
+
+    logger.info(`⚠️ Задача ${jobId} не выполнена (попытка ${job.attempts}): ${error.message}${willRetry ? "" : ", больше не повторяется"}`);
+  }
+}
+
+/**
+ * Выполнение задач, время которых наступило
+ * @returns {Promise<number>} Сколько задач обработано
+ */
+async function processDueJobs() {
+  const jobs = await repository.getDueOutboxJobs(BATCH_SIZE);
+
+  for (const job of jobs) {
+    await processJob(job.job_id);
+  }
+
+  return jobs.length;
+}
+
+/**
+ * Запуск фонового обработчика
+ * OUTBOX_POLL_INTERVAL_MS задаёт интервал опроса, 0 - не запускать
+ */
+function startWorker(intervalMs = DEFAULT_POLL_INTERVAL_MS) {
+  if (timer) {
+    return;
+  }
+
+  if (intervalMs <= 0) {
+    logger.info("⏸️ Обработчик outbox отключён (OUTBOX_POLL_INTERVAL_MS=0)");
+    return;
+  }
+
+  timer = setInterval(async () => {
+    // Следующий опрос не начинается, пока не закончился предыдущий
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await processDueJobs();
+    } catch (error) {
+      logger.error("❌ Ошибка обработки outbox:", error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  logger.info(`📮 Обработчик outbox запущен, интервал ${intervalMs}мс`);
+}
+
+/**
+ * Остановка фонового обработчика
+ */
+function stopWorker() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  getBackoffSeconds,
+  processDueJobs,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,160 @@
+// services/prizeEngine.js - Выбор приза с доказуемой честностью
+//
+// Схема commit-reveal:
+//   1. Для пользователя заранее генерируется server_seed, клиенту публикуется
+//      только его хэш server_seed_hash = sha256(server_seed) (в /api/user-status
+//      и в ответе предыдущего спина).
+//   2. При спине вычисляется roll = HMAC_SHA256(server_seed, `${client_seed}:${nonce}`),
+//      первые 52 бита которого делятся на 2^52 - получается число от 0 до 1.
+//   3. Приз выбирается по roll из весов сегментов (weights в записи спина).
+//   4. В ответе раскрывается server_seed и публикуется хэш следующего seed.
+// Проверка: sha256(server_seed) совпадает с опубликованным хэшем, а roll и
+// веса дают тот же segment_index.
+const crypto = require("crypto");
+const { createServiceError } = require("./errors");
+const prizeInventory = require("./prizeInventory");
+
+// Призы по умолчанию, если у бота не настроено колесо
+const DEFAULT_PRIZES = [
+  { id: 1, text: "10 баллов", value: 10, probability: 0.3, type: "points" },
+  { id: 2, text: "20 баллов", value: 20, probability: 0.25, type: "points" },
+  { id: 3, text: "30 баллов", value: 30, probability: 0.2, type: "points" },
+  { id: 4, text: "50 баллов", value: 50, probability: 0.15, type: "points" },
+  { id: 5, text: "100 баллов", value: 100, probability: 0.08, type: "points" },
+  { id: 6, text: "Главный приз", value: 500, probability: 0.02, type: "grand_prize" }
+];
+
+const ROLL_BITS = 52;
+
+/**
+ * Призы колеса из конфигурации или призы по умолчанию
+ */
+function getWheelPrizes(botConfig) {
+  const prizes = botConfig?.wheel?.prizes;
+  return Array.isArray(prizes) && prizes.length > 0 ? prizes : DEFAULT_PRIZES;
+}
+
+/**
+ * Проверка вероятностей призов
+ * Вероятности не обязаны давать в сумме 1 - они нормализуются при выборе
+ * @throws INVALID_WHEEL_CONFIG при отрицательных или нечисловых вероятностях
+ */
+function validatePrizes(prizes) {
+  const invalid = prizes.filter(prize => {
+    const weight = prizeInventory.getPrizeWeight(prize);
+    return !Number.isFinite(weight) || weight < 0;
+  });
+
+  if (invalid.length > 0) {
+    throw createServiceError("INVALID_WHEEL_CONFIG", "Wheel prizes have invalid probabilities", 500, {
+      invalid_prizes: invalid.map(prize => prize.id ?? prize.text)
+    });
+  }
+
+  const total = prizes.reduce((sum, prize) => sum + prizeInventory.getPrizeWeight(prize), 0);
+
+  if (total <= 0) {
+    throw createServiceError("INVALID_WHEEL_CONFIG", "Wheel prizes probabilities sum to zero", 500);
+  }
+}
+
+/**
+ * Новый server seed и его хэш
+ * @returns {Object} { server_seed, server_seed_hash }
+ */
+function createServerSeed() {
+  const serverSeed = crypto.randomBytes(32).toString("hex");
+
+  return {
+    server_seed: serverSeed,
+    server_seed_hash: hashServerSeed(serverSeed)
+  };
+}
+
+function hashServerSeed(serverSeed) {
+  return crypto.createHash("sha256").update(serverSeed).digest("hex");
+}
+
+/**
+ * Число от 0 до 1, определяемое seed'ами и номером спина
+ */
+function computeRoll(serverSeed, clientSeed, nonce) {
+  const digest = crypto
+    .createHmac("sha256", serverSeed)
+    .update(`${clientSeed}:${nonce}`)
+    .digest();
+
+  // Первые 52 бита помещаются в double без потерь
+  const value = digest.readUIntBE(0, 6) * 16 + (digest[6] >> 4);
+  return value / 2 ** ROLL_BITS;
+}
+
+/**
+ * Выбор сегмента колеса по roll
+ * @param {Array<number>} weights - Веса сегментов (0 у недоступных)
+ * @param {number} roll - Число от 0 до 1
+ * @returns {number} Индекс сегмента
+ */
+function pickSegment(weights, roll) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let threshold = roll * total;
+
+  for (let index = 0; index < weights.length; index++) {
+    if (weights[index] > 0 && threshold < weights[index]) {
+      return index;
+    }
+    threshold -= weights[index];
+  }
+
+  // Погрешность округления - последний сегмент с ненулевым весом
+  for (let index = weights.length - 1; index >= 0; index--) {
+    if (weights[index] > 0) {
+      return index;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Вращение колеса
+ * @param {Array} prizes - Призы с вероятностями, учитывающими остатки (см. prizeInventory.applyAvailability)
+ * @param {Object} seeds - { server_seed, client_seed, nonce }
+ * @returns {Object} { prize, segment_index, roll, weights }
+ */
+function spin(prizes, seeds) {
+  const weights = prizes.map(prize => prize.probability);
+  const roll = computeRoll(seeds.server_seed, seeds.client_seed, seeds.nonce);
+  const segmentIndex = pickSegment(weights, roll);
+
+  return {
+    prize: prizes[segmentIndex],
+    segment_index: segmentIndex,
+    roll,
+    weights
+  };
+}
+
+/**
+ * Проверка спина по раскрытым данным
+ * @param {Object} record - { server_seed, server_seed_hash, client_seed, nonce, weights, segment_index }
+ * @returns {boolean}
+ */
+function verifySpin(record) {
+  if (hashServerSeed(record.server_seed) !== record.server_seed_hash) {
+    return false;
+  }
+
+  const roll = computeRoll(record.server_seed, record.client_seed, record.nonce);
+  return pickSegment(record.weights, roll) === record.segment_index;
+}
+
+module.exports = {
+  DEFAULT_PRIZES,
+  getWheelPrizes,
+  validatePrizes,
+  createServerSeed,
+  hashServerSeed,
+  spin,
+  verifySpin
+};
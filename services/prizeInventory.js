@@ -0,0 +1,117 @@
+// services/prizeInventory.js - Остатки призов колеса
+//
+// Приз может ограничивать количество выигрышей:
+//   { id: 6, text: "Главный приз", stock: { total: 10, daily: 1, perUser: 1 } }
+// Счётчики хранятся в bots/{botId}/prize_stock/{prizeId}, выигрыши пользователя -
+// в поле prizes_won его документа. Когда приз закончился, его вероятность
+// переходит призу fallbackPrizeId (самого приза или wheel.fallbackPrizeId).
+
+// Вероятность по умолчанию, если у приза она не указана
+const DEFAULT_PROBABILITY = 0.1;
+
+/**
+ * Ключ приза для счётчиков (null, если у приза нет id)
+ */
+function getPrizeKey(prize) {
+  return prize.id !== undefined && prize.id !== null ? String(prize.id) : null;
+}
+
+/**
+ * Вероятность приза из конфигурации
+ */
+function getPrizeWeight(prize) {
+  return typeof prize.probability === "number" ? prize.probability : DEFAULT_PROBABILITY;
+}
+
+function isLimit(value) {
+  return Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Есть ли у приза ограничения по количеству
+ */
+function hasStockLimits(prize) {
+  const stock = prize.stock;
+  return Boolean(getPrizeKey(prize) && stock && (isLimit(stock.total) || isLimit(stock.daily) || isLimit(stock.perUser)));
+}
+
+/**
+ * Остатки приза
+ * @param {Object} prize - Приз из конфигурации
+ * @param {Object|null} stockDoc - Документ счётчиков приза
+ * @param {Object} prizesWon - Поле prizes_won пользователя (или пустой объект)
+ * @param {string} today - Текущий день вращений
+ * @returns {Object} { available, sold_out, sold_out_today, user_limit_reached, remaining_total, remaining_today }
+ */
+function getStockStatus(prize, stockDoc, prizesWon, today) {
+  const stock = prize.stock || {};
+  const key = getPrizeKey(prize);
+
+  const wonTotal = stockDoc?.won_total || 0;
+  const wonToday = stockDoc?.day === today ? (stockDoc.won_today || 0) : 0;
+  const wonByUser = (key && prizesWon?.[key]) || 0;
+
+  const remainingTotal = isLimit(stock.total) ? Math.max(0, stock.total - wonTotal) : null;
+  const remainingToday = isLimit(stock.daily) ? Math.max(0, stock.daily - wonToday) : null;
+
+  const soldOut = remainingTotal === 0;
+  const soldOutToday = remainingToday === 0;
+  const userLimitReached = isLimit(stock.perUser) && wonByUser >= stock.perUser;
+
+  return {
+    available: !soldOut && !soldOutToday && !userLimitReached,
+    sold_out: soldOut,
+    sold_out_today: soldOutToday,
+    user_limit_reached: userLimitReached,
+    remaining_total: remainingTotal,
+    remaining_today: remainingToday
+  };
+}
+
+/**
+ * Призы с вероятностями, учитывающими остатки
+ * Вероятность недоступного приза переходит его fallback-призу, если тот доступен,
+ * иначе распределяется между остальными призами пропорционально.
+ * @param {Array} prizes - Призы колеса
+ * @param {Object} statuses - Ключ приза -> результат getStockStatus
+ * @param {string|number} defaultFallbackId - wheel.fallbackPrizeId
+ * @returns {Array} Призы с полем probability (0 у недоступных)
+ */
+function applyAvailability(prizes, statuses, defaultFallbackId) {
+  const isAvailable = (prize) => {
+    const key = getPrizeKey(prize);
+    return !key || !statuses[key] || statuses[key].available;
+  };
+
+  const result = prizes.map(prize => ({
+    ...prize,
+    probability: isAvailable(prize) ? getPrizeWeight(prize) : 0
+  }));
+
+  prizes.forEach(prize => {
+    if (isAvailable(prize)) {
+      return;
+    }
+
+    const fallbackId = prize.fallbackPrizeId ?? defaultFallbackId;
+    if (fallbackId === undefined || fallbackId === null) {
+      return;
+    }
+
+    const fallback = result.find(item => getPrizeKey(item) === String(fallbackId));
+    if (fallback && isAvailable(fallback)) {
+      fallback.probability += getPrizeWeight(prize);
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_PROBABILITY,
+  getPrizeKey,
+  getPrizeWeight,
+  hasStockLimits,
+  getStockStatus,
+  applyAvailability
+};
@@ -0,0 +1,93 @@
+// services/promoCodes.js - Пулы уникальных промокодов
+//
+// Приз с type "promo_code" выдаёт один код из пула, загруженного админом:
+//   { id: "sale10", text: "Скидка 10%", type: "promo_code", probability: 0.2 }
+// Коды хранятся в bots/{botId}/promo_codes, счётчики пула - в
+// bots/{botId}/promo_pools/{prizeId}. Когда коды закончились, приз недоступен
+// и его вероятность переходит fallback-призу (см. prizeInventory).
+const crypto = require("crypto");
+const prizeInventory = require("./prizeInventory");
+
+const PROMO_CODE_TYPE = "promo_code";
+const MAX_CODE_LENGTH = 64;
+
+/**
+ * Выдаёт ли приз промокоды
+ */
+function isPromoPrize(prize) {
+  return prize.type === PROMO_CODE_TYPE && prizeInventory.getPrizeKey(prize) !== null;
+}
+
+/**
+ * ID документа кода (одинаковый код в пуле приза хранится один раз)
+ */
+function getCodeId(prizeKey, code) {
+  return crypto.createHash("sha256").update(`${prizeKey}:${code}`).digest("hex").slice(0, 40);
+}
+
+/**
+ * Очистка загружаемых кодов
+ * @returns {Object} { codes, invalid } - уникальные коды и отклонённые строки
+ */
+function normalizeCodes(input) {
+  const codes = new Set();
+  const invalid = [];
+
+  for (const raw of input) {
+    const code = typeof raw === "string" ? raw.trim() : "";
+
+    if (!code || code.length > MAX_CODE_LENGTH || !/^[\x21-\x7e]+$/.test(code)) {
+      invalid.push(raw);
+      continue;
+    }
+
+    codes.add(code);
+  }
+
+  return { codes: [...codes], invalid };
+}
+
+/**
+ * Остаток пула в формате prizeInventory.getStockStatus
+ * @param {Object|null} poolDoc - Документ счётчиков пула { total, issued }
+ */
+function getPoolStatus(poolDoc) {
+  const remaining = Math.max(0, (poolDoc?.total || 0) - (poolDoc?.issued || 0));
+
+  return {
+    available: remaining > 0,
+    sold_out: remaining === 0,
+    sold_out_today: false,
+    user_limit_reached: false,
+    remaining_total: remaining,
+    remaining_today: null
+  };
+}
+
+/**
+ * Объединение остатков приза и пула кодов
+ * Приз доступен, только если доступны оба
+ */
+function mergeStatus(stockStatus, poolStatus) {
+  if (!stockStatus) {
+    return poolStatus;
+  }
+
+  return {
+    ...stockStatus,
+    available: stockStatus.available && poolStatus.available,
+    sold_out: stockStatus.sold_out || poolStatus.sold_out,
+    remaining_total: stockStatus.remaining_total === null ?
+      poolStatus.remaining_total :
+      Math.min(stockStatus.remaining_total, poolStatus.remaining_total)
+  };
+}
+
+module.exports = {
+  PROMO_CODE_TYPE,
+  isPromoPrize,
+  getCodeId,
+  normalizeCodes,
+  getPoolStatus,
+  mergeStatus
+};
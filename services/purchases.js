@@ -0,0 +1,199 @@
+// services/purchases.js - Покупка попыток за Telegram Stars
+//
+// Пакеты настраиваются в purchases конфигурации бота:
+//   purchases: { spinPacks: [{ id: "pack5", spins: 5, stars: 50, title: "5 вращений" }] }
+// Порядок оплаты:
+//   1. /api/purchase/spins создаёт покупку и ссылку на счёт (createInvoiceLink, валюта XTR);
+//   2. вебхук отвечает на pre_checkout_query, сверяя счёт с покупкой;
+//   3. successful_payment начисляет бонусные попытки - один раз на telegram_payment_charge_id.
+//
+// Платёж, который не сопоставился с покупкой (покупка уже оплачена, сумма не
+// совпала), сохраняется со статусом unmatched, и звёзды возвращаются через
+// outbox (refundStarPayment). Если возврат не удался, refund.status у платежа
+// в bots/{botId}/payments/{chargeId} будет failed - такой платёж возвращается
+// вручную: POST https://api.telegram.org/bot<token>/refundStarPayment
+// { user_id, telegram_payment_charge_id }, после чего status платежа меняется на refunded.
+const crypto = require("crypto");
+const repository = require("./repository");
+const outbox = require("./outbox");
+const telegramClient = require("./telegramClient");
+const { createServiceError } = require("./errors");
+const logger = require("./logger");
+
+const CURRENCY = "XTR";
+const REFUND_JOB_TYPE = "star_refund";
+
+/**
+ * Пакеты попыток бота (некорректные пропускаются)
+ */
+function getSpinPacks(botConfig) {
+  const packs = botConfig?.purchases?.spinPacks || [];
+
+  return packs
+    .filter(pack => pack.id && Number.isInteger(pack.spins) && pack.spins > 0 && Number.isInteger(pack.stars) && pack.stars > 0)
+    .map(pack => ({
+      id: String(pack.id),
+      spins: pack.spins,
+      stars: pack.stars,
+      title: pack.title || `${pack.spins} вращений`,
+      description: pack.description || `Дополнительные вращения колеса: ${pack.spins}`
+    }));
+}
+
+/**
+ * Создание покупки и ссылки на оплату
+ * @returns {Promise<Object>} { purchase, invoiceLink }
+ * @throws PACK_NOT_FOUND, PURCHASES_DISABLED
+ */
+async function createSpinPurchase(botId, botConfig, userId, packId) {
+  const packs = getSpinPacks(botConfig);
+
+  if (packs.length === 0) {
+    throw createServiceError("PURCHASES_DISABLED", "Purchases are not configured for this bot", 400);
+  }
+
+  const pack = packs.find(item => item.id === String(packId));
+
+  if (!pack) {
+    throw createServiceError("PACK_NOT_FOUND", "Spin pack not found", 404, {
+      available_packs: packs.map(item => item.id)
+    });
+  }
+
+  // ID покупки передаётся в payload счёта (до 128 байт)
+  const purchaseId = `pur_${Date.now()}_${crypto.randomBytes(6).toString("hex")}`;
+
+  const purchase = await repository.createPurchase(botId, {
+    purchase_id: purchaseId,
+    user_id: String(userId),
+    pack_id: pack.id,
+    spins: pack.spins,
+    stars: pack.stars,
+    currency: CURRENCY
+  });
+
+  const invoiceLink = await telegramClient.getTelegramClient().createInvoiceLink(botConfig.botToken, {
+    title: pack.title,
+    description: pack.description,
+    payload: purchaseId,
+    currency: CURRENCY,
+    prices: [{ label: pack.title, amount: pack.stars }]
+  });
+
+  return { purchase, invoiceLink };
+}
+
+/**
+ * Похоже ли значение на ID покупки (payload чужого счёта пропускается)
+ */
+function isPurchaseId(value) {
+  return typeof value === "string" && /^pur_\w+$/.test(value);
+}
+
+/**
+ * Проверка pre_checkout_query перед списанием звёзд
+ * @returns {Promise<string|null>} Текст ошибки для пользователя или null, если оплату можно принять
+ */
+async function validatePreCheckout(botId, query) {
+  const purchase = isPurchaseId(query.invoice_payload) ? await repository.getPurchase(botId, query.invoice_payload) : null;
+
+  if (!purchase || purchase.user_id !== String(query.from?.id)) {
+    return "Покупка не найдена, создайте новый счёт";
+  }
+
+  if (purchase.status !== "pending") {
+    return "Этот счёт уже оплачен";
+  }
+
+  if (query.currency !== CURRENCY || query.total_amount !== purchase.stars) {
+    return "Сумма счёта изменилась, создайте новый счёт";
+  }
+
+  return null;
+}
+
+/**
+ * Ответ на pre_checkout_query
+ */
+async function handlePreCheckoutQuery(botId, botConfig, query) {
+  const errorMessage = await validatePreCheckout(botId, query);
+
+  await telegramClient.getTelegramClient().answerPreCheckoutQuery(botConfig.botToken, query.id, !errorMessage, errorMessage);
+  logger.info(`⭐ pre_checkout ${query.invoice_payload}: ${errorMessage || "ok"}`);
+}
+
+/**
+ * Начисление попыток по successful_payment
+ * Повторная доставка того же платежа ничего не начисляет
+ */
+async function handleSuccessfulPayment(botId, message) {
+  const payment = message.successful_payment;
+
+  const result = await repository.recordPayment(botId, {
+    telegram_payment_charge_id: payment.telegram_payment_charge_id,
+    provider_payment_charge_id: payment.provider_payment_charge_id || null,
+    purchase_id: isPurchaseId(payment.invoice_payload) ? payment.invoice_payload : null,
+    user_id: String(message.from.id),
+    currency: payment.currency,
+    total_amount: payment.total_amount
+  });
+
+  logger.info(`⭐ Платёж ${payment.telegram_payment_charge_id}: ${result.status}${result.duplicate ? " (повтор)" : ""}`);
+
+  // Задача ставится и при повторной доставке - на случай, если первая постановка не удалась
+  if (result.status === "unmatched") {
+    await outbox.enqueue(REFUND_JOB_TYPE, {
+      id: `refund_${payment.telegram_payment_charge_id}`,
+      botId,
+      payload: {
+        bot_id: botId,
+        user_id: String(message.from.id),
+        telegram_payment_charge_id: payment.telegram_payment_charge_id,
+        total_amount: payment.total_amount
+      }
+    });
+  }
+
+  return result;
+}
+
+outbox.registerHandler(REFUND_JOB_TYPE, {
+  async deliver(job) {
+    const { bot_id: botId, user_id: userId, telegram_payment_charge_id: chargeId } = job.payload;
+    const botConfig = await repository.getBotConfig(botId);
+
+    if (!botConfig?.botToken) {
+      const error = new Error(`Bot ${botId} has no token`);
+      error.retryable = false;
+      throw error;
+    }
+
+    await telegramClient.getTelegramClient().refundStarPayment(botConfig.botToken, userId, chargeId);
+    return { refunded: true };
+  },
+
+  async onStatus(job, status) {
+    const { bot_id: botId, user_id: userId, telegram_payment_charge_id: chargeId, total_amount: amount } = job.payload;
+
+    if (status.status === "sent") {
+      logger.info(`↩️ Возвращено ${amount} ⭐ пользователю ${userId} за платёж ${chargeId}`);
+    } else if (status.status === "failed") {
+      logger.error(`❌ Не удалось вернуть ${amount} ⭐ пользователю ${userId} за платёж ${chargeId} - нужен ручной возврат: ${status.error}`);
+    }
+
+    await repository.updatePaymentRefund(botId, chargeId, {
+      status: status.status,
+      attempts: status.attempts,
+      error: status.error || null
+    });
+  }
+});
+
+module.exports = {
+  CURRENCY,
+  REFUND_JOB_TYPE,
+  getSpinPacks,
+  createSpinPurchase,
+  handlePreCheckoutQuery,
+  handleSuccessfulPayment
+};
@@ -0,0 +1,54 @@
+// services/referrals.js - Награды за приглашённых друзей
+//
+// Настраивается в referrals конфигурации бота:
+//   { qualifyOn: "first_spin", reward: { bonusAttempts: 1, points: 50 }, dailyCap: 5 }
+// qualifyOn - действие приглашённого, после которого реферал засчитывается:
+//   "first_spin"   - первое вращение колеса
+//   "subscription" - подтверждённая подписка на канал (/api/check-subscription)
+// dailyCap - сколько наград пригласивший может получить за день вращений (0 - без лимита).
+const repository = require("./repository");
+const logger = require("./logger");
+
+const QUALIFY_EVENTS = ["first_spin", "subscription"];
+const DEFAULT_QUALIFY_ON = "first_spin";
+
+function toCount(value) {
+  return Number.isInteger(value) && value > 0 ? value : 0;
+}
+
+/**
+ * Настройки реферальных наград бота
+ * @returns {Object} { qualifyOn, reward: { bonusAttempts, points }, dailyCap }
+ */
+function getReferralSettings(botConfig) {
+  const referrals = botConfig?.referrals || {};
+  const reward = referrals.reward || {};
+
+  return {
+    qualifyOn: QUALIFY_EVENTS.includes(referrals.qualifyOn) ? referrals.qualifyOn : DEFAULT_QUALIFY_ON,
+    reward: {
+      bonusAttempts: toCount(reward.bonusAttempts),
+      points: toCount(reward.points)
+    },
+    dailyCap: toCount(referrals.dailyCap)
+  };
+}
+
+/**
+ * Засчитывание реферала после действия приглашённого
+ * Ошибки не прерывают основной запрос (спин, проверку подписки)
+ * @param {string} event - "first_spin" или "subscription"
+ */
+async function handleQualifyingAction(botId, inviteeId, event, botConfig) {
+  try {
+    return await repository.qualifyReferral(botId, inviteeId, event, getReferralSettings(botConfig), botConfig);
+  } catch (error) {
+    logger.error(`❌ Ошибка засчитывания реферала ${inviteeId}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  getReferralSettings,
+  handleQualifyingAction
+};
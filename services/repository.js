@@ -0,0 +1,2164 @@
+// services/repository.js - Репозиторий ботов, пользователей, спинов и лидов
+//
+// Работает поверх адаптера хранилища (Firestore или память), поэтому
+// логика одинакова для продакшена, локальной разработки и тестов.
+const crypto = require("crypto");
+const storage = require("./storage");
+const { createServiceError } = require("./errors");
+const spinDay = require("./spinDay");
+const cooldown = require("./cooldown");
+const prizeInventory = require("./prizeInventory");
+const prizeEngine = require("./prizeEngine");
+const promoCodes = require("./promoCodes");
+const wallet = require("./wallet");
+const streaks = require("./streaks");
+const leaderboard = require("./leaderboard");
+const leads = require("./leads");
+const logger = require("./logger");
+
+const { FieldValue, STORAGE_ERROR_CODES } = storage;
+
+// Сколько последних спинов хранится в документе пользователя
+const RECENT_SPINS_LIMIT = 10;
+
+// Размер страницы журнала баллов при сверке
+const LEDGER_PAGE_SIZE = 500;
+
+// Сколько промокодов записывается в одной транзакции
+const PROMO_UPLOAD_BATCH_SIZE = 100;
+
+// Сколько лидов просматривается при поиске по имени за один запрос
+const LEAD_SEARCH_SCAN_LIMIT = 5000;
+
+// Сколько свободных промокодов перебирает спин, прежде чем сдаться
+const PROMO_CODE_CANDIDATES = 20;
+
+// Сколько ключ идемпотентности занят незавершённым запросом
+const IDEMPOTENCY_LEASE_SECONDS = 60;
+
+/**
+ * Текущий адаптер хранилища
+ */
+function db() {
+  return storage.getStorage();
+}
+
+/**
+ * Проверка ID, из которого строится путь документа
+ */
+function docId(value) {
+  const id = String(value);
+
+  if (!id || id.includes("/") || id === "." || id === "..") {
+    throw createServiceError("INVALID_ID", `Invalid identifier: ${id}`, 400);
+  }
+
+  return id;
+}
+
+function botPath(botId) {
+  return `bots/${docId(botId)}`;
+}
+
+function userPath(botId, userId) {
+  return `${botPath(botId)}/users/${docId(userId)}`;
+}
+
+function spinPath(botId, userId, spinId) {
+  return `${userPath(botId, userId)}/spins/${docId(spinId)}`;
+}
+
+function prizeStockPath(botId, prizeKey) {
+  return `${botPath(botId)}/prize_stock/${docId(prizeKey)}`;
+}
+
+function ledgerPath(botId, userId, entryId) {
+  return `${userPath(botId, userId)}/ledger/${docId(entryId)}`;
+}
+
+function promoPoolPath(botId, prizeKey) {
+  return `${botPath(botId)}/promo_pools/${docId(prizeKey)}`;
+}
+
+function promoCodePath(botId, codeId) {
+  return `${botPath(botId)}/promo_codes/${docId(codeId)}`;
+}
+
+function purchasePath(botId, purchaseId) {
+  return `${botPath(botId)}/purchases/${docId(purchaseId)}`;
+}
+
+function paymentPath(botId, chargeId) {
+  return `${botPath(botId)}/payments/${docId(chargeId)}`;
+}
+
+function referralPath(botId, inviteeId) {
+  return `${botPath(botId)}/referrals/${docId(inviteeId)}`;
+}
+
+function leaderboardScorePath(botId, boardId, userId) {
+  return `${botPath(botId)}/leaderboards/${docId(boardId)}/scores/${docId(userId)}`;
+}
+
+function experimentStatsPath(botId, experimentId, variantId) {
+  return `${botPath(botId)}/experiments/${docId(experimentId)}/variants/${docId(variantId)}`;
+}
+
+function leadPath(leadId) {
+  return `leads/${docId(leadId)}`;
+}
+
+function outboxPath(jobId) {
+  return `outbox/${docId(jobId)}`;
+}
+
+/**
+ * Проверка инициализации хранилища
+ */
+function isInitialized() {
+  return storage.isInitialized();
+}
+
+/**
+ * Получение конфигурации бота
+ */
+async function getBotConfig(botId) {
+  logger.info(`🔍 Ищем конфигурацию бота ${botId}...`);
+
+  const data = await db().getDoc(botPath(botId));
+
+  if (!data) {
+    logger.info(`❌ Конфигурация бота ${botId} не найдена`);
+    return null;
+  }
+
+  logger.info(`✅ Конфигурация бота ${botId} загружена`);
+  return data;
+}
+
+/**
+ * Новый server seed пользователя (хэш публикуется до спина)
+ */
+function createFairness(nonce = 0) {
+  return { ...prizeEngine.createServerSeed(), nonce };
+}
+
+/**
+ * Публичная часть fairness - без самого server seed
+ */
+function getPublicFairness(fairness) {
+  return fairness ? { server_seed_hash: fairness.server_seed_hash, nonce: fairness.nonce || 0 } : null;
+}
+
+/**
+ * Получение данных пользователя
+ * Счётчики за день сбрасываются по дню вращений бота
+ * @param {Object} botConfig - Конфигурация бота (расписание и лимиты)
+ */
+async function getUserData(botId, userId, botConfig = null) {
+  try {
+    const data = await db().getDoc(userPath(botId, userId));
+
+    if (!data) {
+      logger.info(`⚠️ Пользователь ${userId} не найден в боте ${botId}`);
+      return null;
+    }
+
+    // Счётчики действительны только в день последнего сброса
+    const isNewDay = data.last_reset_day !== spinDay.getSpinDay(botConfig);
+    const spinsToday = isNewDay ? 0 : (data.spins_today || 0);
+    const attemptsLeft = isNewDay || data.attempts_left === undefined ?
+      spinDay.getSpinsPerDay(botConfig) :
+      data.attempts_left;
+
+    // Форматируем ответ для фронтенда
+    const formattedData = {
+      ...data,
+      fairness: getPublicFairness(data.fairness),
+      user_id: String(userId),
+      bot_id: botId,
+      attempts_left: attemptsLeft,
+      attemptsLeft: attemptsLeft,
+      spins_today: spinsToday,
+      total_spins: data.total_spins || 0,
+      total_prizes: data.total_prizes || 0,
+      referrals: data.referrals || 0,
+      ref_link: data.referral_link || `https://t.me/${botId}?start=uid_${userId}`,
+      referral_link: data.referral_link || `https://t.me/${botId}?start=uid_${userId}`,
+      is_new_user: !data.created_at,
+      is_active: data.is_active !== false
+    };
+
+    logger.info(`✅ Данные пользователя ${userId} загружены, попыток: ${formattedData.attempts_left}`);
+    return formattedData;
+  } catch (error) {
+    logger.error(`❌ Ошибка получения данных пользователя ${userId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Создание пользователя
+ * Если пользователь уже существует, возвращаются его данные
+ * @param {Object} botConfig - Конфигурация бота (расписание и лимиты)
+ */
+async function createUser(botId, userId, userData, botConfig = null) {
+  try {
+    const spinsPerDay = spinDay.getSpinsPerDay(botConfig);
+    const newUser = {
+      user_id: String(userId),
+      username: userData.username || "",
+      first_name: userData.firstName || "",
+      last_name: userData.lastName || "",
+      language_code: userData.languageCode || "ru",
+      created_at: FieldValue.serverTimestamp(),
+      last_activity: FieldValue.serverTimestamp(),
+      last_spin: null,
+      attempts_left: userData.attemptsLeft || spinsPerDay,
+      attempts_total: spinsPerDay,
+      bonus_attempts: 0,
+      points_balance: 0,
+      spins_today: 0,
+      total_spins: 0,
+      total_prizes: 0,
+      recent_spins: [],
+      invited_users: [],
+      referrals: 0,
+      qualified_referrals: 0,
+      referral_link: `https://t.me/${botId}?start=uid_${userId}`,
+      referred_by: null,
+      campaign: userData.campaign || null,
+      is_active: true,
+      bot_id: botId,
+      fairness: createFairness(),
+      last_reset_day: spinDay.getSpinDay(botConfig)
+    };
+
+    await db().createDoc(userPath(botId, userId), newUser);
+    logger.info(`✅ Пользователь ${userId} создан в боте ${botId}`);
+
+    return db().getDoc(userPath(botId, userId));
+  } catch (error) {
+    if (error.code === STORAGE_ERROR_CODES.ALREADY_EXISTS) {
+      logger.info(`ℹ️ Пользователь ${userId} уже существует`);
+      return db().getDoc(userPath(botId, userId));
+    }
+
+    logger.error(`❌ Ошибка создания пользователя ${userId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Обновление данных пользователя
+ */
+async function updateUser(botId, userId, updateData) {
+  try {
+    await db().updateDoc(userPath(botId, userId), {
+      ...updateData,
+      last_activity: FieldValue.serverTimestamp(),
+      last_updated: FieldValue.serverTimestamp()
+    });
+
+    logger.info(`✅ Данные пользователя ${userId} обновлены`);
+  } catch (error) {
+    logger.error(`❌ Ошибка обновления пользователя ${userId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Добавление реферала пригласившему пользователю
+ *
+ * Реферал записывается в bots/{botId}/referrals/{inviteeId} со статусом pending
+ * и вознаграждается позже, при выполнении условия (см. qualifyReferral).
+ * Отклоняются: приглашение самого себя, повторное приглашение того же
+ * пользователя и встречное приглашение (A пригласил B, B приглашает A).
+ * @returns {Promise<Object>} { added, reason }
+ */
+async function addReferral(botId, referrerId, userId) {
+  const inviteeId = String(userId);
+  const inviterId = String(referrerId);
+
+  if (inviteeId === inviterId) {
+    return { added: false, reason: "self_referral" };
+  }
+
+  const result = await db().runTransaction(async (tx) => {
+    const referrer = await tx.get(userPath(botId, inviterId));
+    const existing = await tx.get(referralPath(botId, inviteeId));
+    const referrerReferral = await tx.get(referralPath(botId, inviterId));
+
+    if (!referrer) {
+      return { added: false, reason: "referrer_not_found" };
+    }
+
+    if (existing || (referrer.invited_users || []).includes(inviteeId)) {
+      return { added: false, reason: "already_referred" };
+    }
+
+    if (referrerReferral?.referrer_id === inviteeId) {
+      return { added: false, reason: "referral_loop" };
+    }
+
+    tx.set(referralPath(botId, inviteeId), {
+      referrer_id: inviterId,
+      invitee_id: inviteeId,
+      status: "pending",
+      created_at: FieldValue.serverTimestamp()
+    });
+
+    tx.update(userPath(botId, inviterId), {
+      invited_users: FieldValue.arrayUnion(inviteeId),
+      referrals: FieldValue.increment(1),
+      last_activity: FieldValue.serverTimestamp(),
+      last_updated: FieldValue.serverTimestamp()
+    });
+
+    tx.update(userPath(botId, inviteeId), {
+      referred_by: inviterId,
+      last_updated: FieldValue.serverTimestamp()
+    });
+
+    return { added: true, reason: null };
+  });
+
+  if (result.added) {
+    logger.info(`✅ Реферал ${inviteeId} добавлен пользователю ${inviterId}`);
+  } else {
+    logger.info(`⚠️ Реферал ${inviteeId} от ${inviterId} отклонён: ${result.reason}`);
+  }
+
+  return result;
+}
+
+/**
+ * Очки пользователя в рейтингах текущих дня, недели и всего времени
+ * Только запись - можно вызывать после чтений транзакции
+ * @param {Object} userData - Документ пользователя (имя и leaderboard_hidden)
+ * @param {string} metric - Метрика рейтинга (spins, points, referrals)
+ */
+function addLeaderboardScore(tx, botId, userId, userData, metric, amount, botConfig = null) {
+  const boardIds = leaderboard.getBoardIds(metric, botConfig);
+
+  for (const boardId of Object.values(boardIds)) {
+    tx.set(leaderboardScorePath(botId, boardId, userId), {
+      user_id: String(userId),
+      display_name: leaderboard.getDisplayName(userData),
+      hidden: userData.leaderboard_hidden === true,
+      score: FieldValue.increment(amount),
+      updated_at: FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+}
+
+/**
+ * Счётчик вариантов экспериментов (spins или leads)
+ * Только запись - можно вызывать после чтений транзакции
+ * @param {Object} record - Варианты спина { experimentId: variantId }
+ */
+function addExperimentStat(tx, botId, record, field) {
+  for (const [experimentId, variantId] of Object.entries(record || {})) {
+    tx.set(experimentStatsPath(botId, experimentId, variantId), {
+      experiment_id: experimentId,
+      variant_id: variantId,
+      [field]: FieldValue.increment(1),
+      updated_at: FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+}
+
+/**
+ * Начисление награды внутри транзакции
+ * Баллы проводятся через журнал, бонусные попытки - инкрементом
+ * @param {Object} userData - Документ пользователя, прочитанный в транзакции
+ * @param {Object} reward - { bonusAttempts, points }
+ * @param {Object} operation - { reason, reference } для записи журнала
+ * @param {Object} botConfig - Конфигурация бота (периоды рейтинга)
+ * @returns {Object} Поля для обновления документа пользователя
+ */
+function applyReward(tx, botId, userId, userData, reward, operation, botConfig = null) {
+  const update = {};
+
+  if (reward.points > 0) {
+    const credit = wallet.createLedgerEntry(userData.points_balance || 0, { ...operation, amount: reward.points });
+    tx.set(ledgerPath(botId, userId, credit.entry.entry_id), credit.entry);
+    addLeaderboardScore(tx, botId, userId, userData, "points", reward.points, botConfig);
+    update.points_balance = credit.balance;
+  }
+
+  if (reward.bonusAttempts > 0) {
+    update.bonus_attempts = FieldValue.increment(reward.bonusAttempts);
+  }
+
+  return update;
+}
+
+/**
+ * Засчитывание реферала после целевого действия приглашённого
+ *
+ * Реферал засчитывается один раз. Если пригласивший уже получил dailyCap
+ * наград за день, реферал засчитывается без награды.
+ * @param {string} inviteeId - Приглашённый пользователь
+ * @param {string} event - Выполненное действие ("first_spin", "subscription")
+ * @param {Object} settings - { qualifyOn, reward: { bonusAttempts, points }, dailyCap }
+ * @param {Object} botConfig - Конфигурация бота (для дня вращений)
+ * @returns {Promise<Object|null>} { referrerId, rewarded, reward } или null, если засчитывать нечего
+ */
+async function qualifyReferral(botId, inviteeId, event, settings, botConfig = null) {
+  if (settings.qualifyOn !== event) {
+    return null;
+  }
+
+  const today = spinDay.getSpinDay(botConfig);
+
+  const result = await db().runTransaction(async (tx) => {
+    const referral = await tx.get(referralPath(botId, inviteeId));
+
+    if (!referral || referral.status !== "pending") {
+      return null;
+    }
+
+    const referrer = await tx.get(userPath(botId, referral.referrer_id));
+
+    if (!referrer) {
+      tx.update(referralPath(botId, inviteeId), { status: "rejected", reject_reason: "referrer_not_found" });
+      return null;
+    }
+
+    const rewardsToday = referrer.referral_rewards_day === today ? (referrer.referral_rewards_today || 0) : 0;
+    const rewarded = !(settings.dailyCap > 0 && rewardsToday >= settings.dailyCap);
+
+    tx.update(referralPath(botId, inviteeId), {
+      status: "qualified",
+      qualified_on: event,
+      qualified_at: FieldValue.serverTimestamp(),
+      reward: rewarded ? settings.reward : null,
+      reward_skipped: rewarded ? null : "daily_cap"
+    });
+
+    const rewardUpdate = rewarded ?
+      applyReward(tx, botId, referral.referrer_id, referrer, settings.reward, {
+        reason: wallet.LEDGER_REASONS.REFERRAL,
+        reference: { type: "referral", id: String(inviteeId) }
+      }, botConfig) :
+      {};
+
+    addLeaderboardScore(tx, botId, referral.referrer_id, referrer, "referrals", 1, botConfig);
+
+    tx.update(userPath(botId, referral.referrer_id), {
+      qualified_referrals: FieldValue.increment(1),
+      ...rewardUpdate,
+      ...(rewarded ? {
+        referral_rewards_day: today,
+        referral_rewards_today: rewardsToday + 1
+      } : {}),
+      last_updated: FieldValue.serverTimestamp()
+    });
+
+    return { referrerId: referral.referrer_id, rewarded, reward: rewarded ? settings.reward : null };
+  });
+
+  if (result) {
+    logger.info(`🎁 Реферал ${inviteeId} засчитан пользователю ${result.referrerId}${result.rewarded ? "" : " (дневной лимит наград)"}`);
+  }
+
+  return result;
+}
+
+/**
+ * Хэш server seed для следующего спина
+ * Пользователям, созданным до появления fairness, seed создаётся при первом запросе
+ * @returns {Promise<Object|null>} { server_seed_hash, nonce } или null, если пользователя нет
+ */
+async function getFairnessCommitment(botId, userId) {
+  return db().runTransaction(async (tx) => {
+    const userData = await tx.get(userPath(botId, userId));
+
+    if (!userData) {
+      return null;
+    }
+
+    if (userData.fairness?.server_seed) {
+      return getPublicFairness(userData.fairness);
+    }
+
+    const fairness = createFairness(userData.total_spins || 0);
+    tx.update(userPath(botId, userId), { fairness });
+
+    return getPublicFairness(fairness);
+  });
+}
+
+/**
+ * Отметка об открытии приложения в текущий день вращений
+ *
+ * Серия дней подряд продолжается, если перерыв не больше 1 + graceDays дней.
+ * Награда дня серии начисляется в той же транзакции - один раз за день.
+ * @param {Object} botConfig - Конфигурация бота (день вращений и streaks)
+ * @returns {Promise<Object|null>} { open_streak, best_open_streak, last_open_day, is_new_day, reward,
+ *   bonus_attempts, points_balance } или null, если пользователя нет
+ */
+async function recordAppOpen(botId, userId, botConfig = null) {
+  const today = spinDay.getSpinDay(botConfig);
+  const settings = streaks.getStreakSettings(botConfig);
+
+  const result = await db().runTransaction(async (tx) => {
+    const userData = await tx.get(userPath(botId, userId));
+
+    if (!userData) {
+      return null;
+    }
+
+    const state = {
+      open_streak: userData.open_streak || 1,
+      best_open_streak: userData.best_open_streak || userData.open_streak || 1,
+      last_open_day: today,
+      is_new_day: false,
+      reward: null,
+      bonus_attempts: userData.bonus_attempts || 0,
+      points_balance: userData.points_balance || 0
+    };
+
+    if (userData.last_open_day === today) {
+      return state;
+    }
+
+    const gap = spinDay.getDaysBetween(userData.last_open_day, today);
+    const streak = streaks.getNextStreak(userData.open_streak, gap, settings);
+    const reward = streaks.getRewardForDay(streak, settings);
+
+    const rewardUpdate = reward ?
+      applyReward(tx, botId, userId, userData, reward, {
+        reason: wallet.LEDGER_REASONS.STREAK,
+        reference: { type: "streak", id: today }
+      }, botConfig) :
+      {};
+
+    tx.update(userPath(botId, userId), {
+      ...rewardUpdate,
+      last_open_day: today,
+      open_streak: streak,
+      best_open_streak: Math.max(streak, userData.best_open_streak || 0)
+    });
+
+    return {
+      ...state,
+      open_streak: streak,
+      best_open_streak: Math.max(streak, userData.best_open_streak || 0),
+      is_new_day: true,
+      reward: reward ? { day: streak, bonusAttempts: reward.bonusAttempts, points: reward.points } : null,
+      bonus_attempts: state.bonus_attempts + (reward ? reward.bonusAttempts : 0),
+      points_balance: rewardUpdate.points_balance ?? state.points_balance
+    };
+  });
+
+  if (result?.reward) {
+    logger.info(`🔥 Пользователь ${userId} получил награду за ${result.open_streak}-й день серии`);
+  }
+
+  return result;
+}
+
+/**
+ * Отметка о начале задания (переход по ссылке)
+ * Повторный вызов не сдвигает время начала
+ * @returns {Promise<Date>} Время начала задания
+ */
+async function startTask(botId, userId, taskId) {
+  return db().runTransaction(async (tx) => {
+    const userData = await tx.get(userPath(botId, userId));
+
+    if (!userData) {
+      throw createServiceError("USER_NOT_FOUND", "User not found", 404);
+    }
+
+    const startedAt = userData.tasks?.[taskId]?.started_at;
+
+    if (startedAt) {
+      return new Date(startedAt);
+    }
+
+    const now = new Date();
+    tx.update(userPath(botId, userId), { [`tasks.${taskId}.started_at`]: now });
+
+    return now;
+  });
+}
+
+/**
+ * Получение награды за задание
+ *
+ * Выполнение проверяется повторно внутри транзакции по данным пользователя,
+ * поэтому награду за задание нельзя получить дважды.
+ * @param {Object} task - Задание ({ id, reward })
+ * @param {Function} verify - verify(userData) бросает ошибку, если задание не выполнено
+ * @param {Object} botConfig - Конфигурация бота (периоды рейтинга)
+ * @returns {Promise<Object>} { reward, bonus_attempts, points_balance, claimed_at }
+ * @throws USER_NOT_FOUND, TASK_ALREADY_CLAIMED
+ */
+async function claimTask(botId, userId, task, verify, botConfig = null) {
+  const result = await db().runTransaction(async (tx) => {
+    const userData = await tx.get(userPath(botId, userId));
+
+    if (!userData) {
+      throw createServiceError("USER_NOT_FOUND", "User not found", 404);
+    }
+
+    if (userData.tasks?.[task.id]?.claimed_at) {
+      throw createServiceError("TASK_ALREADY_CLAIMED", "Task reward already claimed", 409, {
+        message: "Награда за задание уже получена"
+      });
+    }
+
+    verify(userData);
+
+    const claimedAt = new Date();
+    const rewardUpdate = applyReward(tx, botId, userId, userData, task.reward, {
+      reason: wallet.LEDGER_REASONS.TASK,
+      reference: { type: "task", id: task.id }
+    }, botConfig);
+
+    tx.update(userPath(botId, userId), {
+      ...rewardUpdate,
+      [`tasks.${task.id}.claimed_at`]: claimedAt,
+      [`tasks.${task.id}.reward`]: task.reward,
+      last_updated: FieldValue.serverTimestamp()
+    });
+
+    return {
+      reward: task.reward,
+      bonus_attempts: (userData.bonus_attempts || 0) + task.reward.bonusAttempts,
+      points_balance: rewardUpdate.points_balance ?? (userData.points_balance || 0),
+      claimed_at: claimedAt
+    };
+  });
+
+  logger.info(`🏅 Пользователь ${userId} получил награду за задание ${task.id}`);
+  return result;
+}
+
+/**
+ * Ошибка параллельного спина того же пользователя
+ */
+function createConcurrentSpinError() {
+  return createServiceError("CONCURRENT_SPIN", "Another spin is already in progress", 409, {
+    message: "Предыдущее вращение ещё обрабатывается"
+  });
+}
+
+/**
+ * Ошибка конкуренции за документы хранилища - спин можно повторить
+ */
+function createStorageBusyError() {
+  return createServiceError("STORAGE_BUSY", "Storage is busy, retry the spin", 503, {
+    retryable: true,
+    retry_after: 1,
+    message: "Сервер занят, повторите вращение через секунду"
+  });
+}
+
+/**
+ * Свободный промокод приза в транзакции спина
+ *
+ * Кандидаты ищутся вне транзакции, в ней перечитываются только сами коды,
+ * поэтому выдача кода не конфликтует со спинами на другие призы.
+ * @returns {Promise<Object|null>} { id, code } или null, если свободных кодов нет
+ * @throws STORAGE_BUSY, если все найденные коды уже забрали параллельные спины
+ */
+async function pickPromoCode(tx, botId, prizeKey) {
+  const candidates = await db().query(`${botPath(botId)}/promo_codes`, {
+    where: [["prize_id", "==", prizeKey], ["status", "==", "available"]],
+    limit: PROMO_CODE_CANDIDATES
+  });
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  // Случайный порядок - параллельные спины реже берут один и тот же код
+  const shuffled = candidates
+    .map(candidate => ({ candidate, order: crypto.randomInt(1 << 30) }))
+    .sort((a, b) => a.order - b.order)
+    .map(item => item.candidate);
+
+  for (const candidate of shuffled) {
+    const codeDoc = await tx.get(promoCodePath(botId, candidate.id));
+
+    if (codeDoc?.status === "available") {
+      return { id: candidate.id, code: codeDoc.code };
+    }
+  }
+
+  throw createStorageBusyError();
+}
+
+/**
+ * Сохранение спина пользователя
+ *
+ * Проверка дневного лимита и кулдауна, выбор приза с учётом остатков, запись
+ * спина и списание попытки выполняются в одной транзакции. Если между началом
+ * спина и транзакцией у пользователя появился другой спин (двойное нажатие),
+ * возвращается ошибка CONCURRENT_SPIN.
+ *
+ * Остатки всех призов читаются до транзакции, в ней перечитываются только
+ * остаток и промокод выпавшего приза - спины разных пользователей на разные
+ * призы не мешают друг другу. Если транзакция так и не прошла из-за
+ * конкуренции, возвращается повторяемая ошибка STORAGE_BUSY (503).
+ *
+ * Приз выбирается prizeEngine по server seed пользователя, хэш которого был
+ * опубликован заранее. Seed раскрывается в записи спина и заменяется новым.
+ * @param {string} botId - ID бота
+ * @param {string} userId - ID пользователя
+ * @param {Object} spinData - { username, clientSeed, campaignId, experiments }
+ * @param {Object} botConfig - Конфигурация бота (расписание, лимиты, колесо) - с колесом кампании, если она есть
+ * @returns {Promise<Object>} spinId, запись спина, обновлённые счётчики пользователя
+ *   и fairness (раскрытый seed и хэш следующего)
+ */
+async function saveSpin(botId, userId, spinData, botConfig = null) {
+  const spinsPerDay = spinDay.getSpinsPerDay(botConfig);
+  const spinId = `spin_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const now = new Date();
+  const today = spinDay.getSpinDay(botConfig, now);
+
+  const prizes = prizeEngine.getWheelPrizes(botConfig);
+  prizeEngine.validatePrizes(prizes);
+
+  const clientSeed = spinData.clientSeed || String(userId);
+  const stockedPrizes = prizes.filter(prizeInventory.hasStockLimits);
+  const promoPrizes = prizes.filter(promoCodes.isPromoPrize);
+
+  // Число спинов до начала транзакции - по нему определяется параллельный спин
+  const baseline = await db().getDoc(userPath(botId, userId));
+  const baselineTotalSpins = baseline?.total_spins || 0;
+
+  // Снимок остатков для выбора приза
+  const stockSnapshot = {};
+  for (const prize of stockedPrizes) {
+    const key = prizeInventory.getPrizeKey(prize);
+    stockSnapshot[key] = await db().getDoc(prizeStockPath(botId, key));
+  }
+
+  const poolSnapshot = {};
+  for (const prize of promoPrizes) {
+    const key = prizeInventory.getPrizeKey(prize);
+    poolSnapshot[key] = await db().getDoc(promoPoolPath(botId, key));
+  }
+
+  try {
+    const result = await db().runTransaction(async (tx) => {
+      const userData = await tx.get(userPath(botId, userId));
+
+      if ((userData?.total_spins || 0) !== baselineTotalSpins) {
+        throw createConcurrentSpinError();
+      }
+
+      // Новый день - счётчики начинаются заново
+      const isNewDay = !userData || userData.last_reset_day !== today;
+      const spinsToday = isNewDay ? 0 : (userData.spins_today || 0);
+      // Лимит кампании может быть меньше лимита бота - остаток не больше лимита дня
+      const attemptsLeft = isNewDay || userData.attempts_left === undefined ?
+        spinsPerDay :
+        Math.min(userData.attempts_left, Math.max(0, spinsPerDay - spinsToday));
+
+      // Бонусные попытки (рефералы и т.п.) не сгорают и тратятся после дневных
+      const bonusAttempts = userData?.bonus_attempts || 0;
+      const useBonus = (spinsToday >= spinsPerDay || attemptsLeft <= 0) && bonusAttempts > 0;
+
+      if (!useBonus && spinsToday >= spinsPerDay) {
+        throw createServiceError("DAILY_LIMIT_REACHED", `Daily spin limit reached (${spinsPerDay} per day)`, 400, {
+          max_spins_per_day: spinsPerDay,
+          spins_today: spinsToday,
+          message: `Достигнут дневной лимит: ${spinsPerDay} вращений`
+        });
+      }
+
+      if (!useBonus && attemptsLeft <= 0) {
+        throw createServiceError("NO_ATTEMPTS_LEFT", "No attempts left", 400, {
+          attempts_left: attemptsLeft,
+          message: "Попытки закончились"
+        });
+      }
+
+      // Кулдаун отсчитывается от last_spin, записанного сервером
+      const cooldownState = cooldown.getCooldownState(botConfig, {
+        lastSpin: userData?.last_spin,
+        spinsToday
+      }, now);
+
+      if (cooldownState.remainingSeconds > 0) {
+        throw createServiceError("SPIN_COOLDOWN", "Spin cooldown active", 429, {
+          cooldown: cooldownState.remainingSeconds,
+          cooldown_remaining: cooldownState.remainingSeconds,
+          cooldown_seconds: cooldownState.cooldownSeconds,
+          cooldown_until: cooldownState.nextSpinAt,
+          nextSpinAt: cooldownState.nextSpinAt,
+          message: `Подождите ${cooldownState.remainingSeconds} секунд перед следующим вращением`
+        });
+      }
+
+      // Seed, хэш которого был опубликован до спина
+      const committed = Boolean(userData?.fairness?.server_seed);
+      const fairness = committed ? userData.fairness : createFairness(userData?.total_spins || 0);
+      const nonce = fairness.nonce || 0;
+
+      // Остатки, перечитанные в транзакции, и пулы без свободных кодов
+      const stockDocs = {};
+      const emptyPools = new Set();
+      let outcome;
+      let promoCode = null;
+
+      // Приз выбирается по снимку остатков. Если выпавший приз по данным транзакции
+      // уже закончился, он исключается и выбор повторяется с тем же seed -
+      // в спин записываются итоговые веса, поэтому результат остаётся проверяемым
+      for (;;) {
+        const statuses = {};
+        for (const prize of stockedPrizes) {
+          const key = prizeInventory.getPrizeKey(prize);
+          const stockDoc = key in stockDocs ? stockDocs[key] : stockSnapshot[key];
+          statuses[key] = prizeInventory.getStockStatus(prize, stockDoc, userData?.prizes_won, today);
+        }
+
+        // Приз с промокодом недоступен, когда пул пуст
+        for (const prize of promoPrizes) {
+          const key = prizeInventory.getPrizeKey(prize);
+          const poolStatus = promoCodes.getPoolStatus(emptyPools.has(key) ? null : poolSnapshot[key]);
+          statuses[key] = promoCodes.mergeStatus(statuses[key], poolStatus);
+        }
+
+        const availablePrizes = prizeInventory.applyAvailability(prizes, statuses, botConfig?.wheel?.fallbackPrizeId);
+
+        if (!availablePrizes.some(prize => prize.probability > 0)) {
+          throw createServiceError("NO_PRIZES_AVAILABLE", "All prizes are out of stock", 409, {
+            message: "Все призы закончились"
+          });
+        }
+
+        outcome = prizeEngine.spin(availablePrizes, {
+          server_seed: fairness.server_seed,
+          client_seed: clientSeed,
+          nonce
+        });
+
+        const rolledKey = prizeInventory.getPrizeKey(outcome.prize);
+
+        if (prizeInventory.hasStockLimits(outcome.prize) && !(rolledKey in stockDocs)) {
+          stockDocs[rolledKey] = await tx.get(prizeStockPath(botId, rolledKey));
+
+          if (!prizeInventory.getStockStatus(outcome.prize, stockDocs[rolledKey], userData?.prizes_won, today).available) {
+            continue;
+          }
+        }
+
+        // Код выдаётся в той же транзакции - один код достаётся ровно одному спину
+        if (promoCodes.isPromoPrize(outcome.prize)) {
+          promoCode = await pickPromoCode(tx, botId, rolledKey);
+
+          if (!promoCode) {
+            emptyPools.add(rolledKey);
+            continue;
+          }
+        }
+
+        break;
+      }
+
+      const nextFairness = createFairness(nonce + 1);
+
+      const prize = outcome.prize;
+      const prizeKey = prizeInventory.getPrizeKey(prize);
+      const isStocked = prizeInventory.hasStockLimits(prize);
+
+      // Создаем объект спина
+      const spin = {
+        spin_id: spinId,
+        spinId: spinId,
+        prize_id: prizeKey,
+        prize: prize.text || prize.label || "Неизвестный приз",
+        prize_type: prize.type || "points",
+        prize_value: prize.value || 0,
+        promo_code: promoCode ? promoCode.code : null,
+        segment_index: outcome.segment_index,
+        fairness: {
+          server_seed: fairness.server_seed,
+          server_seed_hash: fairness.server_seed_hash,
+          client_seed: clientSeed,
+          nonce,
+          roll: outcome.roll,
+          weights: outcome.weights,
+          committed
+        },
+        timestamp: now,
+        claimed: false,
+        lead_submitted: false,
+        campaign_id: spinData.campaignId || null,
+        experiments: spinData.experiments || {},
+        bot_id: botId,
+        user_id: String(userId)
+      };
+
+      // Краткая запись для окна последних спинов в документе пользователя
+      const recentSpin = {
+        spin_id: spinId,
+        prize: spin.prize,
+        prize_type: spin.prize_type,
+        prize_value: spin.prize_value,
+        campaign_id: spin.campaign_id,
+        timestamp: spin.timestamp
+      };
+
+      // Выигранные баллы зачисляются на баланс через журнал
+      const pointsCredit = spin.prize_type === "points" && Number.isInteger(spin.prize_value) && spin.prize_value > 0 ?
+        wallet.createLedgerEntry(userData?.points_balance || 0, {
+          amount: spin.prize_value,
+          reason: wallet.LEDGER_REASONS.SPIN,
+          reference: { type: "spin", id: spinId }
+        }, now) :
+        null;
+
+      const counters = {
+        attempts_left: useBonus ? attemptsLeft : attemptsLeft - 1,
+        bonus_attempts: useBonus ? bonusAttempts - 1 : bonusAttempts,
+        points_balance: pointsCredit ? pointsCredit.balance : (userData?.points_balance || 0),
+        spins_today: spinsToday + 1,
+        total_spins: (userData?.total_spins || 0) + 1
+      };
+
+      if (!userData) {
+        // Если пользователь не существует, создаем его
+        tx.set(userPath(botId, userId), {
+          user_id: String(userId),
+          username: spinData.username || "",
+          first_name: spinData.first_name || "",
+          last_name: spinData.last_name || "",
+          language_code: spinData.language_code || "ru",
+          created_at: FieldValue.serverTimestamp(),
+          last_activity: FieldValue.serverTimestamp(),
+          last_spin: now,
+          ...counters,
+          attempts_total: spinsPerDay,
+          total_prizes: 0,
+          recent_spins: [recentSpin],
+          prizes_won: isStocked ? { [prizeKey]: 1 } : {},
+          invited_users: [],
+          referrals: 0,
+          referral_link: `https://t.me/${botId}?start=uid_${userId}`,
+          is_active: true,
+          bot_id: botId,
+          fairness: nextFairness,
+          last_updated: FieldValue.serverTimestamp(),
+          last_reset_day: today
+        });
+      } else {
+        tx.update(userPath(botId, userId), {
+          ...counters,
+          recent_spins: [recentSpin, ...(userData.recent_spins || [])].slice(0, RECENT_SPINS_LIMIT),
+          // Карта записывается целиком: ID приза с точкой в пути поля стал бы вложенным ключом
+          ...(isStocked ? { prizes_won: { ...userData.prizes_won, [prizeKey]: (userData.prizes_won?.[prizeKey] || 0) + 1 } } : {}),
+          last_spin: now,
+          fairness: nextFairness,
+          last_activity: FieldValue.serverTimestamp(),
+          total_prizes: userData.total_prizes || 0,
+          last_updated: FieldValue.serverTimestamp(),
+          last_reset_day: today
+        });
+      }
+
+      if (isStocked) {
+        const stockDoc = stockDocs[prizeKey];
+        tx.set(prizeStockPath(botId, prizeKey), {
+          prize_id: prizeKey,
+          won_total: (stockDoc?.won_total || 0) + 1,
+          won_today: stockDoc?.day === today ? (stockDoc.won_today || 0) + 1 : 1,
+          day: today,
+          updated_at: FieldValue.serverTimestamp()
+        }, { merge: true });
+      }
+
+      if (promoCode) {
+        tx.update(promoCodePath(botId, promoCode.id), {
+          status: "issued",
+          spin_id: spinId,
+          user_id: String(userId),
+          issued_at: now
+        });
+        tx.set(promoPoolPath(botId, prizeKey), {
+          issued: FieldValue.increment(1),
+          updated_at: FieldValue.serverTimestamp()
+        }, { merge: true });
+      }
+
+      if (pointsCredit) {
+        tx.set(ledgerPath(botId, userId, pointsCredit.entry.entry_id), pointsCredit.entry);
+      }
+
+      const scoreUser = userData || { username: spinData.username, first_name: spinData.first_name };
+      addLeaderboardScore(tx, botId, userId, scoreUser, "spins", 1, botConfig);
+      addExperimentStat(tx, botId, spin.experiments, "spins");
+
+      if (pointsCredit) {
+        addLeaderboardScore(tx, botId, userId, scoreUser, "points", pointsCredit.entry.amount, botConfig);
+      }
+
+      tx.set(spinPath(botId, userId, spinId), spin);
+
+      return {
+        spinId,
+        spin,
+        last_spin: now,
+        ...counters,
+        fairness: {
+          ...spin.fairness,
+          next_server_seed_hash: nextFairness.server_seed_hash
+        }
+      };
+    });
+
+    logger.info(`✅ Спин сохранён для ${userId}, ID: ${spinId}, попыток осталось: ${result.attempts_left}`);
+    return result;
+  } catch (error) {
+    // Транзакция не прошла после всех повторов - клиент может повторить спин
+    if (error.code === STORAGE_ERROR_CODES.ABORTED) {
+      error = createStorageBusyError();
+    }
+
+    if (error.code === "CONCURRENT_SPIN") {
+      logger.info(`⚠️ Параллельный спин для ${userId} в боте ${botId}`);
+    }
+
+    if (error.code === "STORAGE_BUSY") {
+      logger.info(`⚠️ Спин ${userId} в боте ${botId} не сохранён из-за конкуренции за остатки`);
+    }
+
+    if (!error.isServiceError) {
+      logger.error(`❌ Ошибка сохранения спина для ${userId}:`, error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Остатки призов бота (без ограничений на пользователя)
+ * Учитываются и пулы промокодов
+ * @param {Array} prizes - Призы колеса
+ * @param {Object} botConfig - Конфигурация бота (для дня вращений)
+ * @returns {Promise<Object>} Ключ приза -> результат getStockStatus
+ */
+async function getPrizeStock(botId, prizes, botConfig = null) {
+  const today = spinDay.getSpinDay(botConfig);
+  const statuses = {};
+
+  for (const prize of prizes.filter(prizeInventory.hasStockLimits)) {
+    const key = prizeInventory.getPrizeKey(prize);
+    const stockDoc = await db().getDoc(prizeStockPath(botId, key));
+    statuses[key] = prizeInventory.getStockStatus(prize, stockDoc, {}, today);
+  }
+
+  for (const prize of prizes.filter(promoCodes.isPromoPrize)) {
+    const key = prizeInventory.getPrizeKey(prize);
+    const poolDoc = await db().getDoc(promoPoolPath(botId, key));
+    statuses[key] = promoCodes.mergeStatus(statuses[key], promoCodes.getPoolStatus(poolDoc));
+  }
+
+  return statuses;
+}
+
+/**
+ * Загрузка промокодов в пул приза
+ * Уже загруженные коды пропускаются
+ * @param {Array<string>} codes - Очищенные коды (см. promoCodes.normalizeCodes)
+ * @returns {Promise<Object>} { added, duplicates }
+ */
+async function addPromoCodes(botId, prizeKey, codes) {
+  let added = 0;
+
+  for (let i = 0; i < codes.length; i += PROMO_UPLOAD_BATCH_SIZE) {
+    const batch = codes.slice(i, i + PROMO_UPLOAD_BATCH_SIZE);
+
+    added += await db().runTransaction(async (tx) => {
+      const missing = [];
+
+      for (const code of batch) {
+        const codeId = promoCodes.getCodeId(prizeKey, code);
+        if (!await tx.get(promoCodePath(botId, codeId))) {
+          missing.push({ codeId, code });
+        }
+      }
+
+      for (const { codeId, code } of missing) {
+        tx.set(promoCodePath(botId, codeId), {
+          code,
+          prize_id: prizeKey,
+          status: "available",
+          uploaded_at: FieldValue.serverTimestamp()
+        });
+      }
+
+      if (missing.length > 0) {
+        tx.set(promoPoolPath(botId, prizeKey), {
+          prize_id: prizeKey,
+          total: FieldValue.increment(missing.length),
+          updated_at: FieldValue.serverTimestamp()
+        }, { merge: true });
+      }
+
+      return missing.length;
+    });
+  }
+
+  logger.info(`✅ В пул ${prizeKey} бота ${botId} загружено кодов: ${added}`);
+  return { added, duplicates: codes.length - added };
+}
+
+/**
+ * Счётчики пулов промокодов
+ * @param {Array<string>} prizeKeys - Ключи призов с промокодами
+ * @returns {Promise<Array>} [{ prize_id, total, issued, remaining }]
+ */
+async function getPromoPools(botId, prizeKeys) {
+  const pools = [];
+
+  for (const key of prizeKeys) {
+    const poolDoc = await db().getDoc(promoPoolPath(botId, key));
+    const total = poolDoc?.total || 0;
+    const issued = poolDoc?.issued || 0;
+
+    pools.push({ prize_id: key, total, issued, remaining: Math.max(0, total - issued) });
+  }
+
+  return pools;
+}
+
+/**
+ * Начисление или списание баллов
+ * Операция с той же ссылкой (reason + reference.id) проводится один раз
+ * Начисление попадает и в рейтинг баллов, списание очки рейтинга не уменьшает
+ * @param {Object} operation - { amount, reason, reference: { type, id }, note } - amount < 0 для списания
+ * @param {Object} botConfig - Конфигурация бота (периоды рейтинга)
+ * @returns {Promise<Object>} { entry, balance, duplicate }
+ */
+async function applyPointsOperation(botId, userId, operation, botConfig = null) {
+  const result = await db().runTransaction(async (tx) => {
+    const userData = await tx.get(userPath(botId, userId));
+
+    if (!userData) {
+      throw createServiceError("USER_NOT_FOUND", "User not found", 404);
+    }
+
+    const balance = userData.points_balance || 0;
+
+    if (operation.reference?.id) {
+      const existing = await tx.get(ledgerPath(botId, userId, wallet.getEntryId(operation.reason, operation.reference.id)));
+      if (existing) {
+        return { entry: existing, balance, duplicate: true };
+      }
+    }
+
+    const { entry, balance: newBalance } = wallet.createLedgerEntry(balance, operation);
+
+    tx.set(ledgerPath(botId, userId, entry.entry_id), entry);
+
+    if (entry.amount > 0) {
+      addLeaderboardScore(tx, botId, userId, userData, "points", entry.amount, botConfig);
+    }
+
+    tx.update(userPath(botId, userId), {
+      points_balance: newBalance,
+      last_updated: FieldValue.serverTimestamp()
+    });
+
+    return { entry, balance: newBalance, duplicate: false };
+  });
+
+  if (!result.duplicate) {
+    logger.info(`💰 Баллы ${userId} в боте ${botId}: ${result.entry.amount > 0 ? "+" : ""}${result.entry.amount} (${result.entry.reason}), баланс ${result.balance}`);
+  }
+
+  return result;
+}
+
+/**
+ * Журнал операций с баллами, от новых к старым
+ * @param {Object} options - { limit, cursor } - cursor это entry_id последней записи предыдущей страницы
+ * @returns {Promise<Object>} { entries, next_cursor }
+ */
+async function getLedger(botId, userId, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+  const docs = await db().query(`${userPath(botId, userId)}/ledger`, {
+    orderBy: [["created_at", "desc"]],
+    startAfter: options.cursor || null,
+    limit
+  });
+
+  return {
+    entries: docs.map(doc => doc.data),
+    next_cursor: docs.length === limit ? docs[docs.length - 1].id : null
+  };
+}
+
+/**
+ * Сверка баланса с журналом
+ * @returns {Promise<Object|null>} { balance, ledger_balance, entry_count, consistent } или null, если пользователя нет
+ */
+async function reconcileWallet(botId, userId) {
+  const userData = await db().getDoc(userPath(botId, userId));
+
+  if (!userData) {
+    return null;
+  }
+
+  let ledgerBalance = 0;
+  let entryCount = 0;
+  let cursor = null;
+
+  while (true) {
+    const docs = await db().query(`${userPath(botId, userId)}/ledger`, {
+      orderBy: [["created_at", "asc"]],
+      startAfter: cursor,
+      limit: LEDGER_PAGE_SIZE
+    });
+
+    for (const doc of docs) {
+      ledgerBalance += doc.data.amount || 0;
+      entryCount += 1;
+    }
+
+    if (docs.length < LEDGER_PAGE_SIZE) {
+      break;
+    }
+
+    cursor = docs[docs.length - 1].id;
+  }
+
+  const balance = userData.points_balance || 0;
+  return { balance, ledger_balance: ledgerBalance, entry_count: entryCount, consistent: balance === ledgerBalance };
+}
+
+/**
+ * Лучшие пользователи рейтинга (скрытые пропускаются)
+ * @param {string} boardId - ID рейтинга (см. leaderboard.getBoardIds)
+ * @returns {Promise<Array>} [{ rank, user_id, display_name, score }]
+ */
+async function getLeaderboard(botId, boardId, limit) {
+  const docs = await db().query(`${botPath(botId)}/leaderboards/${docId(boardId)}/scores`, {
+    where: [["hidden", "==", false]],
+    orderBy: [["score", "desc"]],
+    limit
+  });
+
+  return leaderboard.assignRanks(docs.map(doc => ({
+    user_id: doc.data.user_id,
+    display_name: doc.data.display_name,
+    score: doc.data.score || 0
+  })));
+}
+
+/**
+ * Место пользователя в рейтинге
+ * Место считается среди публичных участников, даже если сам пользователь скрыт
+ * @returns {Promise<Object>} { rank, score, hidden } - rank null, если очков нет
+ */
+async function getLeaderboardPosition(botId, boardId, userId) {
+  const scoreDoc = await db().getDoc(leaderboardScorePath(botId, boardId, userId));
+
+  if (!scoreDoc || !(scoreDoc.score > 0)) {
+    return { rank: null, score: 0, hidden: scoreDoc?.hidden === true };
+  }
+
+  const ahead = await db().count(`${botPath(botId)}/leaderboards/${docId(boardId)}/scores`, {
+    where: [["hidden", "==", false], ["score", ">", scoreDoc.score]]
+  });
+
+  return { rank: ahead + 1, score: scoreDoc.score, hidden: scoreDoc.hidden === true };
+}
+
+/**
+ * Скрытие пользователя из публичных рейтингов
+ * Флаг переносится в очки текущих периодов, новые очки получают его при начислении
+ * @param {boolean} hidden - true - скрыть, false - показывать
+ * @returns {Promise<boolean>} Новое значение флага
+ * @throws USER_NOT_FOUND
+ */
+async function setLeaderboardVisibility(botId, userId, hidden, botConfig = null) {
+  const boardIds = leaderboard.METRICS.flatMap(metric => Object.values(leaderboard.getBoardIds(metric, botConfig)));
+
+  await db().runTransaction(async (tx) => {
+    const userData = await tx.get(userPath(botId, userId));
+
+    if (!userData) {
+      throw createServiceError("USER_NOT_FOUND", "User not found", 404);
+    }
+
+    const scoreDocs = [];
+    for (const boardId of boardIds) {
+      scoreDocs.push(await tx.get(leaderboardScorePath(botId, boardId, userId)));
+    }
+
+    boardIds.forEach((boardId, index) => {
+      if (scoreDocs[index]) {
+        tx.update(leaderboardScorePath(botId, boardId, userId), { hidden });
+      }
+    });
+
+    tx.update(userPath(botId, userId), {
+      leaderboard_hidden: hidden,
+      last_updated: FieldValue.serverTimestamp()
+    });
+  });
+
+  logger.info(`🏆 Пользователь ${userId} ${hidden ? "скрыт из рейтингов" : "показывается в рейтингах"}`);
+  return hidden;
+}
+
+/**
+ * Счётчики вариантов эксперимента
+ * @returns {Promise<Array>} [{ variant_id, spins, leads }]
+ */
+async function getExperimentStats(botId, experimentId) {
+  const docs = await db().query(`${botPath(botId)}/experiments/${docId(experimentId)}/variants`);
+
+  return docs.map(doc => ({
+    variant_id: doc.data.variant_id || doc.id,
+    spins: doc.data.spins || 0,
+    leads: doc.data.leads || 0
+  }));
+}
+
+/**
+ * Создание покупки попыток (ожидает оплаты)
+ * @param {Object} purchase - { purchase_id, user_id, pack_id, spins, stars, currency }
+ */
+async function createPurchase(botId, purchase) {
+  const record = {
+    ...purchase,
+    bot_id: botId,
+    status: "pending",
+    created_at: new Date()
+  };
+
+  await db().createDoc(purchasePath(botId, purchase.purchase_id), record);
+  logger.info(`🧾 Покупка ${purchase.purchase_id} создана для ${purchase.user_id}`);
+
+  return record;
+}
+
+/**
+ * Получение покупки по ID
+ */
+async function getPurchase(botId, purchaseId) {
+  return db().getDoc(purchasePath(botId, purchaseId));
+}
+
+/**
+ * Запись платежа Telegram и начисление попыток
+ *
+ * Платёж хранится по telegram_payment_charge_id, поэтому повторная доставка
+ * successful_payment ничего не начисляет. Платёж, который не удалось
+ * сопоставить с покупкой, сохраняется со статусом unmatched - звёзды по нему
+ * возвращаются (см. purchases.js).
+ * @param {Object} payment - { telegram_payment_charge_id, provider_payment_charge_id, purchase_id, user_id, currency, total_amount }
+ * @returns {Promise<Object>} { status: "credited" | "unmatched", spins, duplicate }
+ */
+async function recordPayment(botId, payment) {
+  return db().runTransaction(async (tx) => {
+    const existing = await tx.get(paymentPath(botId, payment.telegram_payment_charge_id));
+
+    if (existing) {
+      return { status: existing.status, spins: existing.spins_credited || 0, duplicate: true };
+    }
+
+    const purchase = payment.purchase_id ? await tx.get(purchasePath(botId, payment.purchase_id)) : null;
+    const userData = await tx.get(userPath(botId, payment.user_id));
+
+    const matched = Boolean(purchase && userData) &&
+      purchase.status === "pending" &&
+      purchase.user_id === payment.user_id &&
+      purchase.currency === payment.currency &&
+      purchase.stars === payment.total_amount;
+
+    const spins = matched ? purchase.spins : 0;
+    const status = matched ? "credited" : "unmatched";
+
+    tx.set(paymentPath(botId, payment.telegram_payment_charge_id), {
+      ...payment,
+      bot_id: botId,
+      status,
+      spins_credited: spins,
+      created_at: new Date()
+    });
+
+    if (matched) {
+      tx.update(purchasePath(botId, payment.purchase_id), {
+        status: "paid",
+        telegram_payment_charge_id: payment.telegram_payment_charge_id,
+        paid_at: new Date()
+      });
+
+      tx.update(userPath(botId, payment.user_id), {
+        bonus_attempts: FieldValue.increment(spins),
+        purchased_spins: FieldValue.increment(spins),
+        last_updated: FieldValue.serverTimestamp()
+      });
+    } else {
+      logger.info(`⚠️ Платёж ${payment.telegram_payment_charge_id} не сопоставлен с покупкой ${payment.purchase_id}`);
+    }
+
+    return { status, spins, duplicate: false };
+  });
+}
+
+/**
+ * Запись статуса возврата звёзд в платёж
+ * После успешного возврата платёж получает статус refunded
+ * @param {Object} refund - { status, attempts, error }
+ */
+async function updatePaymentRefund(botId, chargeId, refund) {
+  await db().updateDoc(paymentPath(botId, chargeId), {
+    refund: { ...refund, updated_at: new Date() },
+    ...(refund.status === "sent" ? { status: "refunded", refunded_at: new Date() } : {})
+  });
+}
+
+/**
+ * Спин из старого формата (timestamp мог быть ISO-строкой)
+ * @param {number} index - Позиция в массиве spins - для спинов без ID
+ */
+function normalizeLegacySpin(spin, botId, userId, index = 0) {
+  const spinId = spin.spin_id || spin.spinId || `spin_migrated_${userId}_${index}`;
+
+  return {
+    ...spin,
+    spin_id: spinId,
+    spinId: spinId,
+    timestamp: spin.timestamp ? new Date(spin.timestamp) : new Date(0),
+    bot_id: botId,
+    user_id: String(userId)
+  };
+}
+
+/**
+ * Спин из массива spins в документе пользователя
+ * Пользователи, которых ещё не обошёл scripts/migrate-spins.js, хранят историю там
+ */
+function findLegacySpin(userData, botId, userId, spinId) {
+  const spins = Array.isArray(userData?.spins) ? userData.spins : [];
+  const index = spins.findIndex(spin => (spin.spin_id || spin.spinId) === spinId);
+
+  return index === -1 ? null : normalizeLegacySpin(spins[index], botId, userId, index);
+}
+
+/**
+ * Отправка лида по выигрышному спину
+ *
+ * В одной транзакции проверяется, что спин существует, принадлежит пользователю
+ * и ещё не получен (нет лида и фолбэка), создаётся лид и спин отмечается
+ * полученным. ID лида строится из бота и спина, поэтому на спин приходится
+ * один лид. Лид с уже известным телефоном сохраняется с пометкой duplicate_of.
+ * Спин, который ещё лежит в массиве spins пользователя, при этом переносится
+ * в подколлекцию.
+ * @param {Object} contact - { name, phone, phone_raw } после leads.validateLead
+ * @returns {Promise<Object>} { lead, spin }
+ * @throws SPIN_NOT_FOUND, LEAD_ALREADY_SUBMITTED, SPIN_ALREADY_CLAIMED
+ */
+async function submitLead(botId, userId, spinId, contact) {
+  const leadId = `lead_${docId(botId)}_${docId(spinId)}`;
+
+  const result = await db().runTransaction(async (tx) => {
+    const storedSpin = await tx.get(spinPath(botId, userId, spinId));
+    const spin = storedSpin || findLegacySpin(await tx.get(userPath(botId, userId)), botId, userId, spinId);
+
+    if (!spin || (spin.user_id && spin.user_id !== String(userId))) {
+      throw createServiceError("SPIN_NOT_FOUND", "Spin not found", 404);
+    }
+
+    if (spin.lead_submitted) {
+      throw createServiceError("LEAD_ALREADY_SUBMITTED", "Lead for this spin is already submitted", 409, {
+        lead_id: spin.lead_id || null,
+        message: "Заявка по этому выигрышу уже отправлена"
+      });
+    }
+
+    if (spin.claimed) {
+      throw createServiceError("SPIN_ALREADY_CLAIMED", "Prize for this spin is already claimed", 409, {
+        message: "Выигрыш уже получен"
+      });
+    }
+
+    const [samePhone] = contact.phone ?
+      await tx.query("leads", {
+        where: [["bot_id", "==", botId], ["phone", "==", contact.phone]],
+        limit: 1
+      }) :
+      [];
+
+    const now = new Date();
+    const lead = {
+      lead_id: leadId,
+      bot_id: botId,
+      user_id: String(userId),
+      spin_id: spinId,
+      prize_id: spin.prize_id ?? null,
+      prize: spin.prize || null,
+      campaign_id: spin.campaign_id || null,
+      experiments: spin.experiments || {},
+      name: contact.name,
+      phone: contact.phone,
+      phone_raw: contact.phone_raw,
+      duplicate_of: samePhone ? samePhone.id : null,
+      duplicate_reason: samePhone ? "phone" : null,
+      submitted_at: now,
+      status: "new",
+      processed: false,
+      source: "wheel"
+    };
+
+    tx.create(leadPath(leadId), lead);
+
+    const spinUpdate = {
+      lead_submitted: true,
+      lead_id: leadId,
+      lead_data: {
+        name: contact.name,
+        phone: contact.phone,
+        submitted_at: now.toISOString()
+      },
+      claimed: true
+    };
+
+    if (storedSpin) {
+      tx.update(spinPath(botId, userId, spinId), spinUpdate);
+    } else {
+      tx.set(spinPath(botId, userId, spinId), { ...spin, ...spinUpdate });
+    }
+
+    tx.update(userPath(botId, userId), {
+      total_prizes: FieldValue.increment(1),
+      last_activity: FieldValue.serverTimestamp()
+    });
+
+    addExperimentStat(tx, botId, spin.experiments, "leads");
+
+    return {
+      lead,
+      spin: { ...spin, lead_submitted: true, lead_id: leadId, lead_data: { name: contact.name, phone: contact.phone }, claimed: true }
+    };
+  });
+
+  logger.info(`✅ Лид ${leadId} сохранён для пользователя ${userId}${result.lead.duplicate_of ? ` (дубль ${result.lead.duplicate_of})` : ""}`);
+  return result;
+}
+
+/**
+ * Обновление спина при фолбэке
+ * Спин с отправленным лидом не изменяется
+ * @returns {Promise<boolean>} Применён ли фолбэк
+ */
+async function updateSpinFallback(botId, userId, spinId) {
+  try {
+    const updated = await db().runTransaction(async (tx) => {
+      const storedSpin = await tx.get(spinPath(botId, userId, spinId));
+      const spin = storedSpin || findLegacySpin(await tx.get(userPath(botId, userId)), botId, userId, spinId);
+
+      if (!spin || spin.lead_submitted) {
+        return false;
+      }
+
+      const spinUpdate = {
+        lead_fallback: true,
+        fallback_time: new Date().toISOString(),
+        fallback_reason: "timeout",
+        claimed: true
+      };
+
+      if (storedSpin) {
+        tx.update(spinPath(botId, userId, spinId), spinUpdate);
+      } else {
+        tx.set(spinPath(botId, userId, spinId), { ...spin, ...spinUpdate });
+      }
+
+      tx.update(userPath(botId, userId), {
+        total_prizes: FieldValue.increment(spin.claimed ? 0 : 1),
+        last_activity: FieldValue.serverTimestamp()
+      });
+
+      return true;
+    });
+
+    if (!updated) {
+      logger.info(`⚠️ Фолбэк не применен: спин ${spinId} не найден или лид уже отправлен`);
+      return false;
+    }
+
+    logger.info(`✅ Фолбэк применен для спина ${spinId}`);
+    return true;
+  } catch (error) {
+    logger.error(`❌ Ошибка обновления фолбэка для спина ${spinId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Получение спина по ID
+ * Если спина нет в подколлекции, он ищется в массиве spins пользователя
+ */
+async function getSpin(botId, userId, spinId) {
+  const spin = await db().getDoc(spinPath(botId, userId, spinId));
+
+  if (spin) {
+    return spin;
+  }
+
+  return findLegacySpin(await db().getDoc(userPath(botId, userId)), botId, userId, spinId);
+}
+
+/**
+ * История спинов пользователя, от новых к старым
+ * @param {Object} options - { limit, cursor } - cursor это spin_id последнего спина предыдущей страницы
+ * @returns {Promise<Object>} { spins, next_cursor }
+ */
+async function getUserSpins(botId, userId, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+  const docs = await db().query(`${userPath(botId, userId)}/spins`, {
+    orderBy: [["timestamp", "desc"]],
+    startAfter: options.cursor || null,
+    limit
+  });
+
+  return {
+    spins: docs.map(doc => doc.data),
+    next_cursor: docs.length === limit ? docs[docs.length - 1].id : null
+  };
+}
+
+/**
+ * Страница лидов бота, по умолчанию от старых к новым
+ * Приз берётся из спина, если лид сохранён без него (лиды до проверки спина)
+ * @param {Object} options - { from, to, status, phone, order, cursor, limit } - from/to это Date,
+ *   order - "asc" или "desc", cursor - ID последнего лида
+ * @returns {Promise<Object>} { leads, next_cursor }
+ */
+async function getLeadsPage(botId, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 100, 1), 500);
+  const where = [["bot_id", "==", botId]];
+
+  if (options.status) {
+    where.push(["status", "==", options.status]);
+  }
+  if (options.phone) {
+    where.push(["phone", "==", options.phone]);
+  }
+  if (options.from) {
+    where.push(["submitted_at", ">=", options.from]);
+  }
+  if (options.to) {
+    where.push(["submitted_at", "<", options.to]);
+  }
+
+  const docs = await db().query("leads", {
+    where,
+    orderBy: [["submitted_at", options.order === "desc" ? "desc" : "asc"]],
+    startAfter: options.cursor || null,
+    limit
+  });
+
+  const page = await Promise.all(docs.map(async (doc) => {
+    const lead = { ...doc.data, lead_id: doc.data.lead_id || doc.id };
+
+    if (lead.prize || !lead.spin_id || !lead.user_id) {
+      return lead;
+    }
+
+    const spin = await getSpin(botId, lead.user_id, lead.spin_id).catch(() => null);
+    return spin ? { ...lead, prize: spin.prize || null, prize_id: spin.prize_id ?? null } : lead;
+  }));
+
+  return {
+    leads: page,
+    next_cursor: docs.length === limit ? docs[docs.length - 1].id : null
+  };
+}
+
+/**
+ * Поиск лидов бота по части имени
+ * Хранилище не ищет по подстроке, поэтому лиды просматриваются постранично,
+ * но не больше LEAD_SEARCH_SCAN_LIMIT за запрос - дальше поиск продолжается по next_cursor.
+ * @param {Object} options - Фильтры getLeadsPage и name - искомая часть имени
+ * @returns {Promise<Object>} { leads, next_cursor }
+ */
+async function searchLeads(botId, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 200);
+  const needle = String(options.name || "").toLocaleLowerCase();
+  const found = [];
+  let cursor = options.cursor || null;
+  let scanned = 0;
+
+  while (scanned < LEAD_SEARCH_SCAN_LIMIT) {
+    const page = await getLeadsPage(botId, { ...options, cursor, limit: 500 });
+
+    for (const lead of page.leads) {
+      if (!String(lead.name || "").toLocaleLowerCase().includes(needle)) {
+        continue;
+      }
+
+      found.push(lead);
+
+      if (found.length === limit) {
+        return { leads: found, next_cursor: lead.lead_id };
+      }
+    }
+
+    scanned += page.leads.length;
+    cursor = page.next_cursor;
+
+    if (!cursor) {
+      break;
+    }
+  }
+
+  return { leads: found, next_cursor: cursor };
+}
+
+/**
+ * Лид по ID
+ */
+async function getLead(leadId) {
+  return db().getDoc(leadPath(leadId));
+}
+
+/**
+ * Лид бота в транзакции
+ * @throws LEAD_NOT_FOUND - лида нет или он принадлежит другому боту
+ */
+async function getBotLead(tx, botId, leadId) {
+  const lead = await tx.get(leadPath(leadId));
+
+  if (!lead || lead.bot_id !== botId) {
+    throw createServiceError("LEAD_NOT_FOUND", "Lead not found", 404);
+  }
+
+  return lead;
+}
+
+/**
+ * Смена статуса лида оператором
+ * Изменение добавляется в history лида
+ * @param {Object} change - { status, note, operator } - note после leads.sanitizeNote
+ * @returns {Promise<Object>} Лид после изменения
+ * @throws LEAD_NOT_FOUND, INVALID_LEAD_STATUS, INVALID_TRANSITION
+ */
+async function updateLeadStatus(botId, leadId, change) {
+  const updated = await db().runTransaction(async (tx) => {
+    const lead = await getBotLead(tx, botId, leadId);
+    const from = lead.status || "new";
+
+    leads.assertTransition(from, change.status);
+
+    const now = new Date();
+    const entry = {
+      action: "status",
+      from,
+      to: change.status,
+      note: change.note || null,
+      operator: change.operator,
+      at: now
+    };
+    const update = {
+      status: change.status,
+      status_updated_at: now,
+      handled_by: change.operator,
+      history: [...(lead.history || []), entry],
+      updated_at: now
+    };
+
+    tx.update(leadPath(leadId), update);
+    return { ...lead, ...update };
+  });
+
+  logger.info(`📋 ${change.operator} перевёл лид ${leadId}: ${updated.history[updated.history.length - 1].from} → ${change.status}`);
+  return updated;
+}
+
+/**
+ * Заметка оператора к лиду (без смены статуса)
+ * @param {Object} change - { note, operator }
+ * @returns {Promise<Object>} Лид после изменения
+ * @throws LEAD_NOT_FOUND
+ */
+async function addLeadNote(botId, leadId, change) {
+  return db().runTransaction(async (tx) => {
+    const lead = await getBotLead(tx, botId, leadId);
+
+    const now = new Date();
+    const update = {
+      history: [...(lead.history || []), {
+        action: "note",
+        status: lead.status || "new",
+        note: change.note,
+        operator: change.operator,
+        at: now
+      }],
+      updated_at: now
+    };
+
+    tx.update(leadPath(leadId), update);
+    return { ...lead, ...update };
+  });
+}
+
+/**
+ * Запись результата доставки лида в вебхук CRM
+ * Лид становится processed, когда доставлен во все вебхуки, в которые был отправлен
+ * @param {Array} webhookIds - Вебхуки, в которые был отправлен лид
+ * @param {Object} delivery - { job_id, status, attempts, error, status_code, response, next_attempt_at }
+ */
+async function updateLeadDelivery(leadId, webhookId, webhookIds, delivery) {
+  await db().runTransaction(async (tx) => {
+    const lead = await tx.get(leadPath(leadId));
+
+    if (!lead) {
+      logger.info(`⚠️ Лид ${leadId} не найден для статуса доставки`);
+      return;
+    }
+
+    const now = new Date();
+    const deliveries = { ...(lead.deliveries || {}), [webhookId]: delivery };
+    const statuses = webhookIds.map(id => deliveries[id]?.status);
+    const processed = statuses.every(status => status === "sent");
+
+    let deliveryStatus = "pending";
+    if (processed) {
+      deliveryStatus = "sent";
+    } else if (statuses.includes("failed")) {
+      deliveryStatus = "failed";
+    }
+
+    tx.update(leadPath(leadId), {
+      [`deliveries.${webhookId}`]: { ...delivery, updated_at: now },
+      delivery_status: deliveryStatus,
+      processed,
+      processed_at: processed ? (lead.processed_at || now) : null
+    });
+  });
+}
+
+/**
+ * Путь записи ключа идемпотентности
+ * Ключи хранятся отдельно для каждого бота и пользователя
+ */
+function getIdempotencyPath(botId, userId, key) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${userId}:${key}`)
+    .digest("hex");
+
+  return `${botPath(botId)}/idempotency_keys/${hash}`;
+}
+
+/**
+ * Резервирование ключа идемпотентности
+ *
+ * Незавершённый запрос держит ключ только IDEMPOTENCY_LEASE_SECONDS: если процесс
+ * упал до ответа, повтор с тем же ключом после этого выполнится заново.
+ * Полный TTL получает только сохранённый ответ.
+ * @param {string} botId - ID бота
+ * @param {string} userId - ID пользователя
+ * @param {string} key - Значение заголовка Idempotency-Key
+ * @param {string} requestHash - Хэш метода, пути и тела запроса
+ * @returns {Promise<Object>} { state: "reserved" | "completed" | "in_progress" | "mismatch", record }
+ */
+async function reserveIdempotencyKey(botId, userId, key, requestHash) {
+  const keyPath = getIdempotencyPath(botId, userId, key);
+
+  return db().runTransaction(async (tx) => {
+    const record = await tx.get(keyPath);
+    const now = Date.now();
+    const activeUntil = record?.state === "completed" ? record.expires_at : record?.lease_until;
+
+    if (activeUntil && activeUntil.getTime() > now) {
+      if (record.request_hash !== requestHash) {
+        return { state: "mismatch", record };
+      }
+
+      return { state: record.state === "completed" ? "completed" : "in_progress", record };
+    }
+
+    // expires_at можно использовать как поле TTL-политики Firestore
+    const leaseUntil = new Date(now + IDEMPOTENCY_LEASE_SECONDS * 1000);
+    tx.set(keyPath, {
+      bot_id: botId,
+      user_id: String(userId),
+      request_hash: requestHash,
+      state: "pending",
+      created_at: FieldValue.serverTimestamp(),
+      lease_until: leaseUntil,
+      expires_at: leaseUntil
+    });
+
+    return { state: "reserved", record: null };
+  });
+}
+
+/**
+ * Сохранение ответа для ключа идемпотентности
+ * @param {number} statusCode - HTTP статус ответа
+ * @param {string} body - Тело ответа в том виде, в котором оно было отправлено
+ * @param {number} ttlSeconds - Сколько секунд хранить ответ
+ */
+async function completeIdempotencyKey(botId, userId, key, statusCode, body, ttlSeconds) {
+  await db().updateDoc(getIdempotencyPath(botId, userId, key), {
+    state: "completed",
+    status_code: statusCode,
+    body: body,
+    completed_at: FieldValue.serverTimestamp(),
+    expires_at: new Date(Date.now() + ttlSeconds * 1000)
+  });
+}
+
+/**
+ * Освобождение ключа идемпотентности (запрос можно повторить)
+ */
+async function releaseIdempotencyKey(botId, userId, key) {
+  await db().deleteDoc(getIdempotencyPath(botId, userId, key));
+}
+
+/**
+ * Запись статуса уведомления в спин
+ * @param {string} kind - Вид уведомления ("spin", "lead")
+ * @param {Object} status - { status, attempts, error, message_id }
+ */
+async function updateSpinNotification(botId, userId, spinId, kind, status) {
+  try {
+    await db().updateDoc(spinPath(botId, userId, spinId), {
+      [`notifications.${kind}`]: { ...status, updated_at: new Date() }
+    });
+  } catch (error) {
+    if (error.code === STORAGE_ERROR_CODES.NOT_FOUND) {
+      logger.info(`⚠️ Спин ${spinId} не найден для статуса уведомления`);
+      return;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Постановка задачи в outbox
+ * Задача с тем же ID ставится один раз
+ * @param {Object} job - { id, type, bot_id, payload, max_attempts }
+ * @returns {Promise<boolean>} Поставлена ли задача
+ */
+async function enqueueOutboxJob(job) {
+  try {
+    await db().createDoc(outboxPath(job.id), {
+      job_id: job.id,
+      type: job.type,
+      bot_id: job.bot_id || null,
+      payload: job.payload || {},
+      status: "pending",
+      attempts: 0,
+      max_attempts: job.max_attempts,
+      next_attempt_at: new Date(),
+      last_error: null,
+      created_at: FieldValue.serverTimestamp(),
+      updated_at: FieldValue.serverTimestamp()
+    });
+
+    return true;
+  } catch (error) {
+    if (error.code === STORAGE_ERROR_CODES.ALREADY_EXISTS) {
+      return false;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Задачи outbox, время выполнения которых наступило
+ * processing с истёкшей арендой тоже попадают сюда (обработчик упал посреди задачи).
+ * Для Firestore нужен составной индекс outbox: status + next_attempt_at.
+ */
+async function getDueOutboxJobs(limit, now = new Date()) {
+  const docs = await db().query("outbox", {
+    where: [
+      ["status", "in", ["pending", "processing"]],
+      ["next_attempt_at", "<=", now]
+    ],
+    orderBy: [["next_attempt_at", "asc"]],
+    limit
+  });
+
+  return docs.map(doc => doc.data);
+}
+
+/**
+ * Захват задачи outbox на время обработки
+ * @param {number} leaseMs - Через сколько задачу можно захватить снова
+ * @returns {Promise<Object|null>} Задача с увеличенным attempts или null, если её уже захватили
+ */
+async function claimOutboxJob(jobId, leaseMs) {
+  return db().runTransaction(async (tx) => {
+    const job = await tx.get(outboxPath(jobId));
+    const now = new Date();
+
+    if (!job || !["pending", "processing"].includes(job.status) || job.next_attempt_at > now) {
+      return null;
+    }
+
+    const claimed = {
+      status: "processing",
+      attempts: (job.attempts || 0) + 1,
+      next_attempt_at: new Date(now.getTime() + leaseMs),
+      updated_at: FieldValue.serverTimestamp()
+    };
+
+    tx.update(outboxPath(jobId), claimed);
+    return { ...job, ...claimed };
+  });
+}
+
+/**
+ * Результат обработки задачи outbox
+ * @param {Object} update - { status, next_attempt_at, last_error, result }
+ */
+async function updateOutboxJob(jobId, update) {
+  await db().updateDoc(outboxPath(jobId), {
+    ...update,
+    updated_at: FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Задачи outbox бота, от новых к старым
+ * Для Firestore нужен составной индекс outbox: bot_id + type + status + created_at.
+ * @param {Object} options - { type, status, cursor, limit } - cursor это job_id последней задачи
+ * @returns {Promise<Object>} { jobs, next_cursor }
+ */
+async function getOutboxJobs(botId, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 200);
+  const where = [["bot_id", "==", botId]];
+
+  if (options.type) {
+    where.push(["type", "==", options.type]);
+  }
+  if (options.status) {
+    where.push(["status", "==", options.status]);
+  }
+
+  const docs = await db().query("outbox", {
+    where,
+    orderBy: [["created_at", "desc"]],
+    startAfter: options.cursor || null,
+    limit
+  });
+
+  return {
+    jobs: docs.map(doc => doc.data),
+    next_cursor: docs.length === limit ? docs[docs.length - 1].id : null
+  };
+}
+
+/**
+ * Повтор задачи outbox, которая не была выполнена
+ * Счётчик попыток обнуляется, задача выполняется при следующем опросе
+ * @param {string|null} type - Тип задачи (задача другого типа считается ненайденной)
+ * @returns {Promise<Object>} Задача после сброса
+ * @throws OUTBOX_JOB_NOT_FOUND, OUTBOX_JOB_NOT_FAILED
+ */
+async function retryOutboxJob(botId, jobId, type = null) {
+  return db().runTransaction(async (tx) => {
+    const job = await tx.get(outboxPath(jobId));
+
+    if (!job || job.bot_id !== botId || (type && job.type !== type)) {
+      throw createServiceError("OUTBOX_JOB_NOT_FOUND", "Delivery not found", 404);
+    }
+
+    if (job.status !== "failed") {
+      throw createServiceError("OUTBOX_JOB_NOT_FAILED", "Only failed deliveries can be retried", 409, {
+        status: job.status
+      });
+    }
+
+    const reset = {
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: new Date(),
+      retries: (job.retries || 0) + 1,
+      updated_at: FieldValue.serverTimestamp()
+    };
+
+    tx.update(outboxPath(jobId), reset);
+    return { ...job, ...reset, updated_at: new Date() };
+  });
+}
+
+/**
+ * Сброс попыток пользователя (для отладки)
+ */
+async function resetUserAttempts(botId, userId, attempts = 3) {
+  try {
+    await db().updateDoc(userPath(botId, userId), {
+      attempts_left: attempts,
+      last_updated: FieldValue.serverTimestamp()
+    });
+
+    logger.info(`✅ Попытки сброшены для пользователя ${userId}: ${attempts}`);
+    return true;
+  } catch (error) {
+    logger.error(`❌ Ошибка сброса попыток для ${userId}:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  isInitialized,
+  getBotConfig,
+  getUserData,
+  createUser,
+  updateUser,
+  addReferral,
+  qualifyReferral,
+  getFairnessCommitment,
+  recordAppOpen,
+  startTask,
+  claimTask,
+  saveSpin,
+  getPrizeStock,
+  addPromoCodes,
+  getPromoPools,
+  applyPointsOperation,
+  getLedger,
+  reconcileWallet,
+  getLeaderboard,
+  getLeaderboardPosition,
+  setLeaderboardVisibility,
+  getExperimentStats,
+  createPurchase,
+  getPurchase,
+  recordPayment,
+  updatePaymentRefund,
+  normalizeLegacySpin,
+  submitLead,
+  updateSpinFallback,
+  getSpin,
+  getUserSpins,
+  getLeadsPage,
+  searchLeads,
+  getLead,
+  updateLeadStatus,
+  addLeadNote,
+  updateLeadDelivery,
+  updateSpinNotification,
+  enqueueOutboxJob,
+  getDueOutboxJobs,
+  claimOutboxJob,
+  updateOutboxJob,
+  getOutboxJobs,
+  retryOutboxJob,
+  reserveIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  resetUserAttempts
+};
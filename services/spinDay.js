@@ -0,0 +1,171 @@
+// services/spinDay.js - Границы "дня вращений" бота
+//
+// День вращений считается в часовом поясе бота и начинается в час сброса:
+//   schedule: { timezone: "Europe/Moscow", resetHour: 3 }
+// Все маршруты и репозиторий используют эти функции, чтобы лимиты
+// сбрасывались в одно и то же время.
+
+const logger = require("./logger");
+
+const DEFAULT_TIMEZONE = "UTC";
+const DEFAULT_RESET_HOUR = 0;
+const DEFAULT_SPINS_PER_DAY = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Форматтер даты и времени для часового пояса (кэшируется)
+ */
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    }));
+  }
+
+  return formatters.get(timezone);
+}
+
+/**
+ * Проверка названия часового пояса IANA
+ */
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Настройки расписания бота с значениями по умолчанию
+ * @returns {Object} { timezone, resetHour }
+ */
+function getScheduleSettings(botConfig) {
+  const schedule = botConfig?.schedule || {};
+  let timezone = schedule.timezone || DEFAULT_TIMEZONE;
+
+  if (!isValidTimezone(timezone)) {
+    logger.info(`⚠️ Неизвестный часовой пояс ${timezone}, используем ${DEFAULT_TIMEZONE}`);
+    timezone = DEFAULT_TIMEZONE;
+  }
+
+  const resetHour = Number.isInteger(schedule.resetHour) && schedule.resetHour >= 0 && schedule.resetHour < 24 ?
+    schedule.resetHour :
+    DEFAULT_RESET_HOUR;
+
+  return { timezone, resetHour };
+}
+
+/**
+ * Дата и время в часовом поясе
+ */
+function getZonedParts(date, timezone) {
+  const parts = {};
+
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+}
+
+/**
+ * Смещение часового пояса относительно UTC в миллисекундах
+ */
+function getTimezoneOffsetMs(date, timezone) {
+  const parts = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * День вращений в формате YYYY-MM-DD
+ * @param {Object} botConfig - Конфигурация бота
+ * @param {Date} date - Момент времени (по умолчанию сейчас)
+ */
+function getSpinDay(botConfig, date = new Date()) {
+  const { timezone, resetHour } = getScheduleSettings(botConfig);
+  const parts = getZonedParts(new Date(date.getTime() - resetHour * HOUR_MS), timezone);
+
+  return [
+    parts.year,
+    String(parts.month).padStart(2, "0"),
+    String(parts.day).padStart(2, "0")
+  ].join("-");
+}
+
+/**
+ * Момент начала следующего дня вращений
+ * @returns {Date}
+ */
+function getNextResetAt(botConfig, date = new Date()) {
+  const { timezone, resetHour } = getScheduleSettings(botConfig);
+  const [year, month, day] = getSpinDay(botConfig, date).split("-").map(Number);
+
+  // Время сброса "по часам" бота, затем перевод в UTC (два шага - для перехода на летнее время)
+  const wallClock = Date.UTC(year, month - 1, day + 1, resetHour);
+  let resetAt = wallClock - getTimezoneOffsetMs(new Date(wallClock), timezone);
+  resetAt = wallClock - getTimezoneOffsetMs(new Date(resetAt), timezone);
+
+  return new Date(resetAt);
+}
+
+/**
+ * Неделя вращений - понедельник недели дня вращений в формате YYYY-MM-DD
+ */
+function getSpinWeek(botConfig, date = new Date()) {
+  const [year, month, day] = getSpinDay(botConfig, date).split("-").map(Number);
+  const dayStart = new Date(Date.UTC(year, month - 1, day));
+  const monday = new Date(dayStart.getTime() - ((dayStart.getUTCDay() + 6) % 7) * 24 * HOUR_MS);
+
+  return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * Число дней между двумя днями вращений (YYYY-MM-DD)
+ * @returns {number|null} null, если один из дней не задан
+ */
+function getDaysBetween(fromDay, toDay) {
+  if (!fromDay || !toDay) {
+    return null;
+  }
+
+  const [fromYear, fromMonth, fromDate] = fromDay.split("-").map(Number);
+  const [toYear, toMonth, toDate] = toDay.split("-").map(Number);
+
+  return Math.round((Date.UTC(toYear, toMonth - 1, toDate) - Date.UTC(fromYear, fromMonth - 1, fromDate)) / (24 * HOUR_MS));
+}
+
+/**
+ * Количество вращений в день из limits.spinsPerDay
+ */
+function getSpinsPerDay(botConfig) {
+  return botConfig?.limits?.spinsPerDay || DEFAULT_SPINS_PER_DAY;
+}
+
+module.exports = {
+  getScheduleSettings,
+  getSpinDay,
+  getNextResetAt,
+  getSpinWeek,
+  getDaysBetween,
+  getSpinsPerDay
+};
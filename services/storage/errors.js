@@ -0,0 +1,23 @@
+// services/storage/errors.js - Ошибки адаптеров хранилища
+
+// Коды ошибок, одинаковые для всех адаптеров
+const STORAGE_ERROR_CODES = {
+  ABORTED: "aborted",
+  NOT_FOUND: "not-found",
+  ALREADY_EXISTS: "already-exists"
+};
+
+/**
+ * Ошибка хранилища с кодом из STORAGE_ERROR_CODES
+ */
+function createStorageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.isStorageError = true;
+  return error;
+}
+
+module.exports = {
+  STORAGE_ERROR_CODES,
+  createStorageError
+};
@@ -0,0 +1,69 @@
+// services/storage/fieldValues.js - Специальные значения полей, общие для всех адаптеров
+//
+// Репозиторий использует эти значения вместо admin.firestore.FieldValue,
+// а каждый адаптер превращает их в собственные операции.
+
+const FIELD_VALUE_KEY = "__fieldValue";
+
+function createFieldValue(type, operand) {
+  return { [FIELD_VALUE_KEY]: type, operand };
+}
+
+/**
+ * Увеличение числового поля
+ */
+function increment(amount) {
+  return createFieldValue("increment", amount);
+}
+
+/**
+ * Добавление элементов в массив без дублей
+ */
+function arrayUnion(...values) {
+  return createFieldValue("arrayUnion", values);
+}
+
+/**
+ * Удаление элементов из массива
+ */
+function arrayRemove(...values) {
+  return createFieldValue("arrayRemove", values);
+}
+
+/**
+ * Время сервера хранилища на момент записи
+ */
+function serverTimestamp() {
+  return createFieldValue("serverTimestamp");
+}
+
+/**
+ * Удаление поля (для update и set с merge)
+ */
+function deleteField() {
+  return createFieldValue("delete");
+}
+
+/**
+ * Является ли значение специальным значением поля
+ */
+function isFieldValue(value) {
+  return Boolean(value) && typeof value === "object" && FIELD_VALUE_KEY in value;
+}
+
+/**
+ * Тип специального значения поля
+ */
+function getFieldValueType(value) {
+  return value[FIELD_VALUE_KEY];
+}
+
+module.exports = {
+  increment,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp,
+  deleteField,
+  isFieldValue,
+  getFieldValueType
+};
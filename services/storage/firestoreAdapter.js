@@ -0,0 +1,313 @@
+// services/storage/firestoreAdapter.js - Адаптер хранилища для Firestore
+const admin = require("firebase-admin");
+const path = require("path");
+const fs = require("fs");
+const fieldValues = require("./fieldValues");
+const { STORAGE_ERROR_CODES, createStorageError } = require("./errors");
+const logger = require("../logger");
+
+const SERVICE_ACCOUNT_PATH = path.join(__dirname, "..", "..", "firebasekey.json");
+
+// Числовые коды gRPC, которые возвращает Firestore
+const GRPC_ERROR_CODES = {
+  5: STORAGE_ERROR_CODES.NOT_FOUND,
+  6: STORAGE_ERROR_CODES.ALREADY_EXISTS,
+  10: STORAGE_ERROR_CODES.ABORTED
+};
+
+let firestore = null;
+let firebaseInitialized = false;
+
+/**
+ * Есть ли учётные данные Firebase (файл или переменные окружения)
+ */
+function hasCredentials() {
+  return fs.existsSync(SERVICE_ACCOUNT_PATH) ||
+    Boolean(process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY);
+}
+
+/**
+ * Инициализация Firebase
+ * @returns {Promise<boolean>} Успешна ли инициализация
+ */
+async function initialize() {
+  try {
+    logger.info("🔥 Начинаем инициализацию Firebase...");
+
+    // Проверяем, инициализирован ли уже Firebase
+    if (admin.apps.length > 0) {
+      logger.info("✅ Firebase уже инициализирован");
+      firestore = admin.firestore();
+      firebaseInitialized = true;
+      return true;
+    }
+
+    // Вариант 1: Использовать файл сервисного аккаунта
+    if (fs.existsSync(SERVICE_ACCOUNT_PATH)) {
+      logger.info("📁 Найден файл firebasekey.json");
+      const serviceAccount = require(SERVICE_ACCOUNT_PATH);
+
+      if (!serviceAccount.project_id) {
+        logger.error("❌ В firebasekey.json отсутствует project_id");
+        return false;
+      }
+
+      admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+        projectId: serviceAccount.project_id
+      });
+      logger.info("✅ Firebase Admin SDK инициализирован из файла");
+    }
+    // Вариант 2: Использовать переменные окружения
+    else if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+      logger.info("🌐 Используем переменные окружения для Firebase");
+
+      const serviceAccount = {
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+      };
+
+      admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+        projectId: serviceAccount.projectId
+      });
+      logger.info("✅ Firebase Admin SDK инициализирован из env");
+    }
+    else {
+      logger.error("❌ Не найден firebasekey.json и отсутствуют переменные окружения");
+      logger.error("   Проверьте наличие файла или установите переменные окружения:");
+      logger.error("   - FIREBASE_PROJECT_ID");
+      logger.error("   - FIREBASE_CLIENT_EMAIL");
+      logger.error("   - FIREBASE_PRIVATE_KEY");
+      return false;
+    }
+
+    // Инициализируем Firestore
+    firestore = admin.firestore();
+
+    // Настройки Firestore
+    firestore.settings({
+      ignoreUndefinedProperties: true
+    });
+
+    logger.info("🔄 Подключаемся к Firestore...");
+
+    // Простая проверка подключения
+    try {
+      await firestore.listCollections();
+      logger.info("✅ Firestore успешно подключен");
+
+      firebaseInitialized = true;
+      return true;
+    } catch (error) {
+      logger.error("❌ Ошибка подключения к Firestore:", error.message);
+      logger.error("Stack:", error.stack);
+      return false;
+    }
+
+  } catch (error) {
+    logger.error("❌ Ошибка инициализации Firebase:", error.message);
+    logger.error("Stack:", error.stack);
+    return false;
+  }
+}
+
+/**
+ * Проверка инициализации Firebase
+ */
+function isInitialized() {
+  return firebaseInitialized;
+}
+
+/**
+ * Преобразование значений для записи в Firestore
+ */
+function toFirestore(value) {
+  if (fieldValues.isFieldValue(value)) {
+    const FieldValue = admin.firestore.FieldValue;
+
+    switch (fieldValues.getFieldValueType(value)) {
+      case "increment": return FieldValue.increment(value.operand);
+      case "arrayUnion": return FieldValue.arrayUnion(...value.operand.map(toFirestore));
+      case "arrayRemove": return FieldValue.arrayRemove(...value.operand.map(toFirestore));
+      case "serverTimestamp": return FieldValue.serverTimestamp();
+      case "delete": return FieldValue.delete();
+      default: throw new Error(`Unknown field value: ${fieldValues.getFieldValueType(value)}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toFirestore);
+  }
+
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toFirestore(item)]));
+  }
+
+  return value;
+}
+
+/**
+ * Преобразование прочитанных значений: Timestamp превращается в Date
+ */
+function fromFirestore(value) {
+  if (value instanceof admin.firestore.Timestamp) {
+    return value.toDate();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(fromFirestore);
+  }
+
+  if (value && typeof value === "object" && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromFirestore(item)]));
+  }
+
+  return value;
+}
+
+/**
+ * Приведение кода ошибки Firestore к STORAGE_ERROR_CODES
+ */
+function normalizeError(error) {
+  if (GRPC_ERROR_CODES[error.code]) {
+    const storageError = createStorageError(GRPC_ERROR_CODES[error.code], error.message);
+    storageError.cause = error;
+    return storageError;
+  }
+
+  return error;
+}
+
+function toDocuments(snapshot) {
+  return snapshot.docs.map(doc => ({
+    id: doc.id,
+    path: doc.ref.path,
+    data: fromFirestore(doc.data())
+  }));
+}
+
+/**
+ * Построение запроса Firestore из описания
+ * @param {string} collectionPath - Путь коллекции
+ * @param {Object} options - { where: [[field, op, value]], orderBy: [[field, direction]], limit, startAfter }
+ */
+async function buildQuery(collectionPath, options = {}) {
+  let query = firestore.collection(collectionPath);
+
+  for (const [field, op, value] of options.where || []) {
+    query = query.where(field, op, toFirestore(value));
+  }
+
+  for (const [field, direction] of options.orderBy || []) {
+    query = query.orderBy(field, direction || "asc");
+  }
+
+  // Курсор - ID последнего документа предыдущей страницы
+  if (options.startAfter) {
+    const cursorDoc = await firestore.collection(collectionPath).doc(options.startAfter).get();
+
+    if (cursorDoc.exists) {
+      query = query.startAfter(cursorDoc);
+    }
+  }
+
+  if (options.limit) {
+    query = query.limit(options.limit);
+  }
+
+  return query;
+}
+
+async function getDoc(docPath) {
+  const doc = await firestore.doc(docPath).get();
+  return doc.exists ? fromFirestore(doc.data()) : null;
+}
+
+async function setDoc(docPath, data, options = {}) {
+  await firestore.doc(docPath).set(toFirestore(data), { merge: options.merge === true });
+}
+
+async function createDoc(docPath, data) {
+  try {
+    await firestore.doc(docPath).create(toFirestore(data));
+  } catch (error) {
+    throw normalizeError(error);
+  }
+}
+
+async function updateDoc(docPath, data) {
+  try {
+    await firestore.doc(docPath).update(toFirestore(data));
+  } catch (error) {
+    throw normalizeError(error);
+  }
+}
+
+async function deleteDoc(docPath) {
+  await firestore.doc(docPath).delete();
+}
+
+async function query(collectionPath, options = {}) {
+  const snapshot = await (await buildQuery(collectionPath, options)).get();
+  return toDocuments(snapshot);
+}
+
+async function count(collectionPath, options = {}) {
+  const snapshot = await (await buildQuery(collectionPath, { where: options.where })).count().get();
+  return snapshot.data().count;
+}
+
+/**
+ * Транзакция: все чтения должны выполняться до записей
+ * @param {Function} updateFunction - async (tx) => result
+ * @param {Object} options - { maxAttempts }
+ */
+async function runTransaction(updateFunction, options = {}) {
+  try {
+    return await firestore.runTransaction(async (transaction) => {
+      const tx = {
+        get: async (docPath) => {
+          const doc = await transaction.get(firestore.doc(docPath));
+          return doc.exists ? fromFirestore(doc.data()) : null;
+        },
+        query: async (collectionPath, queryOptions) => {
+          const snapshot = await transaction.get(await buildQuery(collectionPath, queryOptions));
+          return toDocuments(snapshot);
+        },
+        set: (docPath, data, setOptions = {}) => {
+          transaction.set(firestore.doc(docPath), toFirestore(data), { merge: setOptions.merge === true });
+        },
+        create: (docPath, data) => {
+          transaction.create(firestore.doc(docPath), toFirestore(data));
+        },
+        update: (docPath, data) => {
+          transaction.update(firestore.doc(docPath), toFirestore(data));
+        },
+        delete: (docPath) => {
+          transaction.delete(firestore.doc(docPath));
+        }
+      };
+
+      return updateFunction(tx);
+    }, options.maxAttempts ? { maxAttempts: options.maxAttempts } : undefined);
+  } catch (error) {
+    throw normalizeError(error);
+  }
+}
+
+module.exports = {
+  name: "firestore",
+  hasCredentials,
+  initialize,
+  isInitialized,
+  getDoc,
+  setDoc,
+  createDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  count,
+  runTransaction
+};
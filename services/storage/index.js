@@ -0,0 +1,77 @@
+// services/storage/index.js - Выбор адаптера хранилища
+//
+// Адаптер выбирается переменной STORAGE_DRIVER (firestore | memory).
+// По умолчанию - Firestore. Хранилище в памяти включается только явно
+// (STORAGE_DRIVER=memory): без учётных данных Firebase сервер не запускается,
+// чтобы спины, лиды и платежи не терялись при перезапуске.
+const firestoreAdapter = require("./firestoreAdapter");
+const memoryAdapter = require("./memoryAdapter");
+const fieldValues = require("./fieldValues");
+const { STORAGE_ERROR_CODES } = require("./errors");
+const logger = require("../logger");
+
+const ADAPTERS = {
+  firestore: firestoreAdapter,
+  memory: memoryAdapter
+};
+
+let adapter = null;
+
+/**
+ * Инициализация выбранного адаптера
+ * @returns {Promise<boolean>} Успешна ли инициализация
+ */
+async function initializeStorage() {
+  const driver = process.env.STORAGE_DRIVER || "firestore";
+
+  if (!ADAPTERS[driver]) {
+    logger.error(`❌ Неизвестный STORAGE_DRIVER: ${driver}`);
+    return false;
+  }
+
+  if (driver === "firestore" && !firestoreAdapter.hasCredentials()) {
+    logger.error("❌ Учётные данные Firebase не найдены. Для локальной разработки задайте STORAGE_DRIVER=memory");
+    return false;
+  }
+
+  if (driver === "memory") {
+    logger.info("⚠️ Используется хранилище в памяти (STORAGE_DRIVER=memory), данные не переживут перезапуск без STORAGE_FILE");
+  }
+
+  adapter = ADAPTERS[driver];
+  return adapter.initialize();
+}
+
+/**
+ * Текущий адаптер хранилища
+ */
+function getStorage() {
+  if (!adapter || !adapter.isInitialized()) {
+    throw new Error("Storage is not initialized");
+  }
+
+  return adapter;
+}
+
+/**
+ * Готово ли хранилище к работе
+ */
+function isInitialized() {
+  return Boolean(adapter && adapter.isInitialized());
+}
+
+/**
+ * Имя текущего адаптера (firestore | memory)
+ */
+function getDriverName() {
+  return adapter ? adapter.name : null;
+}
+
+module.exports = {
+  initializeStorage,
+  getStorage,
+  isInitialized,
+  getDriverName,
+  FieldValue: fieldValues,
+  STORAGE_ERROR_CODES
+};
@@ -0,0 +1,550 @@
+// services/storage/memoryAdapter.js - Адаптер хранилища в памяти процесса
+//
+// Повторяет семантику Firestore, которую использует репозиторий: документы по путям,
+// merge и update по вложенным полям, специальные значения полей, запросы с курсором
+// и транзакции с оптимистичной блокировкой (при конфликте - ошибка "aborted").
+//
+// Если задана переменная STORAGE_FILE, данные загружаются из JSON-файла при старте
+// и сохраняются в него после изменений. Формат файла:
+//   { "documents": { "bots/demo": { ... }, "bots/demo/users/1": { ... } } }
+// Даты хранятся как { "$date": "2024-01-01T00:00:00.000Z" }.
+const fs = require("fs");
+const fieldValues = require("./fieldValues");
+const { STORAGE_ERROR_CODES, createStorageError } = require("./errors");
+const logger = require("../logger");
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const SAVE_DELAY_MS = 200;
+
+// path -> данные документа
+const documents = new Map();
+// path документа или коллекции -> номер последнего изменения
+const versions = new Map();
+
+let clock = 0;
+let initialized = false;
+let storageFile = null;
+let saveTimer = null;
+
+// =====================================================
+// 🧰 ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ
+// =====================================================
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && value.constructor === Object;
+}
+
+function cloneValue(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(cloneValue);
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneValue(item)]));
+  }
+
+  return value;
+}
+
+function getParentPath(docPath) {
+  return docPath.split("/").slice(0, -1).join("/");
+}
+
+function getDocId(docPath) {
+  return docPath.split("/").pop();
+}
+
+function getVersion(path) {
+  return versions.get(path) || 0;
+}
+
+function touch(docPath) {
+  clock += 1;
+  versions.set(docPath, clock);
+  versions.set(getParentPath(docPath), clock);
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split(".").reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), data);
+}
+
+function isEqualValue(a, b) {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqualValue(item, b[index]));
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqualValue(a[key], b[key]));
+  }
+
+  return a === b;
+}
+
+/**
+ * Значение специального поля с учётом текущего значения
+ */
+function resolveFieldValue(value, currentValue) {
+  switch (fieldValues.getFieldValueType(value)) {
+    case "increment":
+      return (typeof currentValue === "number" ? currentValue : 0) + value.operand;
+    case "arrayUnion": {
+      const result = Array.isArray(currentValue) ? cloneValue(currentValue) : [];
+      for (const item of value.operand) {
+        if (!result.some(existing => isEqualValue(existing, item))) {
+          result.push(cloneValue(item));
+        }
+      }
+      return result;
+    }
+    case "arrayRemove":
+      return Array.isArray(currentValue) ?
+        currentValue.filter(existing => !value.operand.some(item => isEqualValue(existing, item))) :
+        [];
+    case "serverTimestamp":
+      return new Date();
+    default:
+      throw new Error(`Unknown field value: ${fieldValues.getFieldValueType(value)}`);
+  }
+}
+
+/**
+ * Запись значения: специальные значения вычисляются, объекты сливаются при merge
+ */
+function writeValue(value, currentValue, merge) {
+  if (fieldValues.isFieldValue(value)) {
+    return resolveFieldValue(value, currentValue);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => writeValue(item, undefined, false));
+  }
+
+  if (isPlainObject(value)) {
+    const base = merge && isPlainObject(currentValue) ? cloneValue(currentValue) : {};
+
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) {
+        continue;
+      }
+
+      if (fieldValues.isFieldValue(item) && fieldValues.getFieldValueType(item) === "delete") {
+        delete base[key];
+        continue;
+      }
+
+      base[key] = writeValue(item, base[key], merge);
+    }
+
+    return base;
+  }
+
+  return cloneValue(value);
+}
+
+/**
+ * Обновление по путям полей ("a.b.c"), как update в Firestore
+ */
+function applyUpdate(data, updateData) {
+  const result = cloneValue(data);
+
+  for (const [fieldPath, value] of Object.entries(updateData)) {
+    if (value === undefined) {
+      continue;
+    }
+
+    const keys = fieldPath.split(".");
+    const lastKey = keys.pop();
+    let target = result;
+
+    for (const key of keys) {
+      if (!isPlainObject(target[key])) {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+
+    if (fieldValues.isFieldValue(value) && fieldValues.getFieldValueType(value) === "delete") {
+      delete target[lastKey];
+    } else {
+      target[lastKey] = writeValue(value, target[lastKey], false);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Сравнение значений для where и orderBy
+ */
+function compareValues(a, b) {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+
+  if (left === right) return 0;
+  if (left === null || left === undefined) return -1;
+  if (right === null || right === undefined) return 1;
+  if (typeof left !== typeof right) return String(typeof left).localeCompare(String(typeof right));
+  return left < right ? -1 : 1;
+}
+
+function matchesFilter(data, [fieldPath, op, expected]) {
+  const value = getField(data, fieldPath);
+
+  if (value === undefined) {
+    return false;
+  }
+
+  switch (op) {
+    case "==": return isEqualValue(value, expected);
+    case "!=": return !isEqualValue(value, expected);
+    case "<": return compareValues(value, expected) < 0;
+    case "<=": return compareValues(value, expected) <= 0;
+    case ">": return compareValues(value, expected) > 0;
+    case ">=": return compareValues(value, expected) >= 0;
+    case "in": return expected.some(item => isEqualValue(value, item));
+    case "not-in": return !expected.some(item => isEqualValue(value, item));
+    case "array-contains": return Array.isArray(value) && value.some(item => isEqualValue(item, expected));
+    case "array-contains-any": return Array.isArray(value) && value.some(item => expected.some(other => isEqualValue(item, other)));
+    default: throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+function runQuery(collectionPath, options = {}) {
+  const where = options.where || [];
+  const orderBy = options.orderBy || [];
+
+  let results = [];
+
+  for (const [docPath, data] of documents) {
+    if (getParentPath(docPath) !== collectionPath) {
+      continue;
+    }
+
+    // Как и в Firestore, документы без поля сортировки не попадают в выборку
+    if (orderBy.some(([field]) => getField(data, field) === undefined)) {
+      continue;
+    }
+
+    if (where.every(filter => matchesFilter(data, filter))) {
+      results.push({ id: getDocId(docPath), path: docPath, data });
+    }
+  }
+
+  results.sort((a, b) => {
+    for (const [field, direction] of orderBy) {
+      const result = compareValues(getField(a.data, field), getField(b.data, field));
+      if (result !== 0) {
+        return direction === "desc" ? -result : result;
+      }
+    }
+    return a.id.localeCompare(b.id);
+  });
+
+  if (options.startAfter) {
+    const cursorIndex = results.findIndex(doc => doc.id === options.startAfter);
+    if (cursorIndex !== -1) {
+      results = results.slice(cursorIndex + 1);
+    }
+  }
+
+  if (options.limit) {
+    results = results.slice(0, options.limit);
+  }
+
+  return results.map(doc => ({ ...doc, data: cloneValue(doc.data) }));
+}
+
+/**
+ * Применение одной операции записи
+ */
+function applyWrite(write) {
+  const existing = documents.get(write.path);
+
+  switch (write.type) {
+    case "set":
+      documents.set(write.path, writeValue(write.data, write.merge ? existing : undefined, write.merge));
+      break;
+    case "create":
+      if (existing) {
+        throw createStorageError(STORAGE_ERROR_CODES.ALREADY_EXISTS, `Document already exists: ${write.path}`);
+      }
+      documents.set(write.path, writeValue(write.data, undefined, false));
+      break;
+    case "update":
+      if (!existing) {
+        throw createStorageError(STORAGE_ERROR_CODES.NOT_FOUND, `No document to update: ${write.path}`);
+      }
+      documents.set(write.path, applyUpdate(existing, write.data));
+      break;
+    case "delete":
+      documents.delete(write.path);
+      break;
+    default:
+      throw new Error(`Unknown write type: ${write.type}`);
+  }
+
+  touch(write.path);
+}
+
+/**
+ * Атомарное применение набора операций: при ошибке состояние откатывается
+ */
+function commitWrites(writes) {
+  const backup = new Map();
+
+  for (const write of writes) {
+    if (!backup.has(write.path)) {
+      backup.set(write.path, documents.get(write.path));
+    }
+  }
+
+  try {
+    writes.forEach(applyWrite);
+  } catch (error) {
+    for (const [docPath, data] of backup) {
+      if (data === undefined) {
+        documents.delete(docPath);
+      } else {
+        documents.set(docPath, data);
+      }
+    }
+    throw error;
+  }
+
+  scheduleSave();
+}
+
+// =====================================================
+// 💾 СОХРАНЕНИЕ В ФАЙЛ
+// =====================================================
+
+function encodeValue(value) {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeValue(item)]));
+  }
+
+  return value;
+}
+
+function decodeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+
+  if (isPlainObject(value)) {
+    if (Object.keys(value).length === 1 && typeof value.$date === "string") {
+      return new Date(value.$date);
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeValue(item)]));
+  }
+
+  return value;
+}
+
+function saveToFile() {
+  saveTimer = null;
+
+  if (!storageFile) {
+    return;
+  }
+
+  try {
+    const snapshot = { documents: encodeValue(Object.fromEntries(documents)) };
+    fs.writeFileSync(storageFile, JSON.stringify(snapshot, null, 2));
+  } catch (error) {
+    logger.error(`❌ Ошибка сохранения хранилища в ${storageFile}:`, error.message);
+  }
+}
+
+function scheduleSave() {
+  if (!storageFile || saveTimer) {
+    return;
+  }
+
+  saveTimer = setTimeout(saveToFile, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+function loadFromFile() {
+  if (!storageFile || !fs.existsSync(storageFile)) {
+    return;
+  }
+
+  const snapshot = JSON.parse(fs.readFileSync(storageFile, "utf8"));
+
+  for (const [docPath, data] of Object.entries(snapshot.documents || {})) {
+    documents.set(docPath, decodeValue(data));
+    touch(docPath);
+  }
+
+  logger.info(`📁 Загружено ${documents.size} документов из ${storageFile}`);
+}
+
+// =====================================================
+// 📦 ИНТЕРФЕЙС АДАПТЕРА
+// =====================================================
+
+/**
+ * Инициализация хранилища в памяти
+ * @returns {Promise<boolean>} Успешна ли инициализация
+ */
+async function initialize() {
+  try {
+    storageFile = process.env.STORAGE_FILE || null;
+    loadFromFile();
+
+    if (storageFile) {
+      // Несохранённые изменения записываем при завершении процесса
+      process.on("exit", () => {
+        if (saveTimer) {
+          clearTimeout(saveTimer);
+          saveToFile();
+        }
+      });
+    }
+
+    initialized = true;
+    logger.info(`✅ Хранилище в памяти готово${storageFile ? ` (файл ${storageFile})` : ""}`);
+    return true;
+  } catch (error) {
+    logger.error("❌ Ошибка инициализации хранилища в памяти:", error.message);
+    return false;
+  }
+}
+
+function isInitialized() {
+  return initialized;
+}
+
+/**
+ * Полная очистка хранилища (для тестов)
+ */
+function reset() {
+  documents.clear();
+  versions.clear();
+}
+
+async function getDoc(docPath) {
+  const data = documents.get(docPath);
+  return data ? cloneValue(data) : null;
+}
+
+async function setDoc(docPath, data, options = {}) {
+  commitWrites([{ type: "set", path: docPath, data, merge: options.merge === true }]);
+}
+
+async function createDoc(docPath, data) {
+  commitWrites([{ type: "create", path: docPath, data }]);
+}
+
+async function updateDoc(docPath, data) {
+  commitWrites([{ type: "update", path: docPath, data }]);
+}
+
+async function deleteDoc(docPath) {
+  commitWrites([{ type: "delete", path: docPath }]);
+}
+
+async function query(collectionPath, options = {}) {
+  return runQuery(collectionPath, options);
+}
+
+async function count(collectionPath, options = {}) {
+  return runQuery(collectionPath, { where: options.where }).length;
+}
+
+/**
+ * Транзакция с оптимистичной блокировкой
+ *
+ * Версии прочитанных документов и коллекций сверяются при фиксации. Если их
+ * изменила другая транзакция, попытка повторяется, а после maxAttempts
+ * выбрасывается ошибка "aborted" - как в Firestore.
+ * @param {Function} updateFunction - async (tx) => result
+ * @param {Object} options - { maxAttempts }
+ */
+async function runTransaction(updateFunction, options = {}) {
+  const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+
+  for (let attempt = 1; ; attempt++) {
+    const reads = new Map();
+    const writes = [];
+
+    const assertNoWrites = () => {
+      if (writes.length > 0) {
+        throw new Error("Transactions require all reads to be executed before all writes");
+      }
+    };
+
+    const tx = {
+      get: async (docPath) => {
+        assertNoWrites();
+        reads.set(docPath, getVersion(docPath));
+        return getDoc(docPath);
+      },
+      query: async (collectionPath, queryOptions) => {
+        assertNoWrites();
+        reads.set(collectionPath, getVersion(collectionPath));
+        return runQuery(collectionPath, queryOptions);
+      },
+      set: (docPath, data, setOptions = {}) => {
+        writes.push({ type: "set", path: docPath, data, merge: setOptions.merge === true });
+      },
+      create: (docPath, data) => {
+        writes.push({ type: "create", path: docPath, data });
+      },
+      update: (docPath, data) => {
+        writes.push({ type: "update", path: docPath, data });
+      },
+      delete: (docPath) => {
+        writes.push({ type: "delete", path: docPath });
+      }
+    };
+
+    const result = await updateFunction(tx);
+
+    const hasConflict = Array.from(reads.entries()).some(([path, version]) => getVersion(path) !== version);
+
+    if (hasConflict) {
+      if (attempt >= maxAttempts) {
+        throw createStorageError(STORAGE_ERROR_CODES.ABORTED, "Transaction was aborted due to a concurrent update");
+      }
+      continue;
+    }
+
+    commitWrites(writes);
+    return result;
+  }
+}
+
+module.exports = {
+  name: "memory",
+  initialize,
+  isInitialized,
+  reset,
+  getDoc,
+  setDoc,
+  createDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  count,
+  runTransaction
+};
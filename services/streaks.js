@@ -0,0 +1,113 @@
+// services/streaks.js - Серия дней подряд и награды за неё
+//
+// Настраивается в streaks конфигурации бота:
+//   streaks: {
+//     rewards: [{ day: 1, bonusAttempts: 1 }, { day: 3, points: 50 }, { day: 7, bonusAttempts: 2, points: 100 }],
+//     graceDays: 1,
+//     cycle: true
+//   }
+// День серии отсчитывается по дню вращений бота (см. services/spinDay.js) при
+// открытии приложения (/api/user-status). Награда дня начисляется один раз.
+// graceDays - сколько дней можно пропустить, не прерывая серию (пропуск не
+// увеличивает серию). cycle - после последнего дня таблицы награды идут заново.
+const spinDay = require("./spinDay");
+
+function toCount(value) {
+  return Number.isInteger(value) && value > 0 ? value : 0;
+}
+
+/**
+ * Настройки серии бота
+ * @returns {Object} { rewards: [{ day, bonusAttempts, points }], graceDays, cycle }
+ */
+function getStreakSettings(botConfig) {
+  const streaks = botConfig?.streaks || {};
+  const rewards = (Array.isArray(streaks.rewards) ? streaks.rewards : [])
+    .filter(item => toCount(item?.day))
+    .map(item => ({
+      day: item.day,
+      bonusAttempts: toCount(item.bonusAttempts),
+      points: toCount(item.points)
+    }))
+    .filter(item => item.bonusAttempts > 0 || item.points > 0)
+    .sort((a, b) => a.day - b.day);
+
+  return {
+    rewards,
+    graceDays: toCount(streaks.graceDays),
+    cycle: streaks.cycle === true
+  };
+}
+
+/**
+ * Продолжается ли серия после перерыва в gap дней
+ */
+function isStreakKept(gap, settings) {
+  return gap !== null && gap >= 0 && gap <= 1 + settings.graceDays;
+}
+
+/**
+ * Серия после открытия приложения в новый день
+ * @param {number} streak - Серия на день последнего открытия
+ * @param {number|null} gap - Дней с последнего открытия
+ */
+function getNextStreak(streak, gap, settings) {
+  return isStreakKept(gap, settings) ? (streak || 0) + 1 : 1;
+}
+
+/**
+ * Текущая серия пользователя (0, если серия прервалась)
+ */
+function getCurrentStreak(userData, botConfig) {
+  const gap = spinDay.getDaysBetween(userData.last_open_day, spinDay.getSpinDay(botConfig));
+  return isStreakKept(gap, getStreakSettings(botConfig)) ? (userData.open_streak || 0) : 0;
+}
+
+/**
+ * День таблицы наград для дня серии (с учётом cycle)
+ */
+function getTableDay(streak, settings) {
+  const lastDay = settings.rewards.length ? settings.rewards[settings.rewards.length - 1].day : 0;
+
+  if (!settings.cycle || lastDay === 0 || streak <= lastDay) {
+    return streak;
+  }
+
+  return ((streak - 1) % lastDay) + 1;
+}
+
+/**
+ * Награда за день серии
+ * @returns {Object|null} { day, bonusAttempts, points } или null
+ */
+function getRewardForDay(streak, settings) {
+  const day = getTableDay(streak, settings);
+  return settings.rewards.find(item => item.day === day) || null;
+}
+
+/**
+ * Ближайшая награда после текущего дня серии
+ * @returns {Object|null} { day, bonusAttempts, points, in_days } - day - день серии
+ */
+function getNextReward(streak, settings) {
+  const lastDay = settings.rewards.length ? settings.rewards[settings.rewards.length - 1].day : 0;
+  const limit = settings.cycle ? streak + lastDay : lastDay;
+
+  for (let day = streak + 1; day <= limit; day++) {
+    const reward = getRewardForDay(day, settings);
+
+    if (reward) {
+      return { day, bonusAttempts: reward.bonusAttempts, points: reward.points, in_days: day - streak };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getStreakSettings,
+  getNextStreak,
+  getCurrentStreak,
+  getRewardForDay,
+  getNextReward
+};
@@ -0,0 +1,125 @@
+// services/subscription.js - Проверка подписки пользователя на канал
+//
+// Настраивается в subscription конфигурации бота:
+//   { channelUsername: "@my_channel", required: true, cacheSeconds: 60 }
+// required: true - вращать колесо можно только подписчикам канала.
+// Бот должен быть администратором канала, иначе getChatMember вернёт ошибку.
+const telegramClient = require("./telegramClient");
+const logger = require("./logger");
+
+const DEFAULT_CACHE_SECONDS = 60;
+// Отрицательный результат кэшируется коротко, чтобы подписка засчитывалась сразу
+const NOT_SUBSCRIBED_CACHE_SECONDS = 5;
+const MAX_CACHE_ENTRIES = 10000;
+
+// Статусы участника чата, при которых пользователь считается подписанным
+const SUBSCRIBED_STATUSES = ["creator", "administrator", "member"];
+
+const cache = new Map();
+
+/**
+ * Настройки подписки бота
+ * @returns {Object} { channel, required, cacheSeconds } - channel null, если подписка не настроена
+ */
+function getSubscriptionSettings(botConfig) {
+  const subscription = botConfig?.subscription || {};
+  const channel = normalizeChannel(subscription.channelId || subscription.channelUsername);
+
+  return {
+    channel,
+    required: Boolean(channel) && subscription.required === true,
+    cacheSeconds: subscription.cacheSeconds >= 0 ? subscription.cacheSeconds : DEFAULT_CACHE_SECONDS
+  };
+}
+
+/**
+ * Подписан ли участник с данным статусом
+ * restricted - подписан, если остаётся участником чата
+ */
+function isSubscribedMember(member) {
+  if (SUBSCRIBED_STATUSES.includes(member.status)) {
+    return true;
+  }
+
+  return member.status === "restricted" && member.is_member === true;
+}
+
+function cacheResult(key, result, ttlSeconds) {
+  if (ttlSeconds <= 0) {
+    return;
+  }
+
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  cache.set(key, { result, expiresAt: Date.now() + ttlSeconds * 1000 });
+}
+
+/**
+ * Username канала в формате Bot API (с @), числовой ID - как есть
+ */
+function normalizeChannel(channel) {
+  if (channel && typeof channel === "string" && !/^-?\d+$/.test(channel) && !channel.startsWith("@")) {
+    return `@${channel}`;
+  }
+
+  return channel || null;
+}
+
+/**
+ * Участник ли пользователь канала (getChatMember с кэшем)
+ * @param {string} channel - @username или ID канала
+ * @param {number} cacheSeconds - Сколько хранить положительный результат
+ * @returns {Promise<Object>} { subscribed, status, cached }
+ */
+async function checkChannelMember(botId, botConfig, channel, userId, cacheSeconds = DEFAULT_CACHE_SECONDS) {
+  const key = `${botId}:${channel}:${userId}`;
+  const entry = cache.get(key);
+
+  if (entry && entry.expiresAt > Date.now()) {
+    return { ...entry.result, cached: true };
+  }
+
+  const member = await telegramClient.getTelegramClient().getChatMember(botConfig.botToken, channel, userId);
+  const result = { subscribed: isSubscribedMember(member), status: member.status };
+
+  cacheResult(key, result, result.subscribed ? cacheSeconds : Math.min(cacheSeconds, NOT_SUBSCRIBED_CACHE_SECONDS));
+  logger.info(`📺 Подписка ${userId} на ${channel}: ${member.status}`);
+
+  return { ...result, cached: false };
+}
+
+/**
+ * Проверка подписки на канал бота (subscription)
+ * @param {string} botId - ID бота
+ * @param {Object} botConfig - Конфигурация бота (botToken и subscription)
+ * @param {string} userId - ID пользователя Telegram
+ * @returns {Promise<Object>} { subscribed, status, channel, required, cached }
+ */
+async function checkSubscription(botId, botConfig, userId) {
+  const settings = getSubscriptionSettings(botConfig);
+
+  if (!settings.channel) {
+    return { subscribed: true, status: "not_required", channel: null, required: false, cached: false };
+  }
+
+  const result = await checkChannelMember(botId, botConfig, settings.channel, userId, settings.cacheSeconds);
+
+  return { ...result, channel: settings.channel, required: settings.required };
+}
+
+/**
+ * Очистка кэша (для тестов)
+ */
+function clearCache() {
+  cache.clear();
+}
+
+module.exports = {
+  getSubscriptionSettings,
+  normalizeChannel,
+  checkChannelMember,
+  checkSubscription,
+  clearCache
+};
@@ -0,0 +1,245 @@
+// services/tasks.js - Задания за бонусные попытки и баллы
+//
+// Задания настраиваются в tasks конфигурации бота:
+//   tasks: [
+//     { id: "join_news", type: "join_channel", channel: "@news", title: "Подпишитесь на канал",
+//       reward: { bonusAttempts: 1 } },
+//     { id: "invite_3", type: "invite_friends", count: 3, reward: { points: 100 } },
+//     { id: "visit_site", type: "visit_link", url: "https://example.com", minSeconds: 10,
+//       reward: { bonusAttempts: 1 } },
+//     { id: "streak_7", type: "daily_streak", days: 7, reward: { bonusAttempts: 2, points: 50 } }
+//   ]
+// Выполнение проверяется на сервере при получении награды:
+//   join_channel   - пользователь участник канала (getChatMember, бот - админ канала);
+//   invite_friends - засчитанных рефералов не меньше count (см. services/referrals.js);
+//   visit_link     - с перехода по ссылке (/api/tasks/:id/start) прошло minSeconds;
+//   daily_streak   - серия открытий приложения не меньше days (см. services/streaks.js).
+// Награда за каждое задание выдаётся один раз.
+const repository = require("./repository");
+const subscription = require("./subscription");
+const streaks = require("./streaks");
+const { createServiceError } = require("./errors");
+const logger = require("./logger");
+
+const TASK_TYPES = {
+  JOIN_CHANNEL: "join_channel",
+  INVITE_FRIENDS: "invite_friends",
+  VISIT_LINK: "visit_link",
+  DAILY_STREAK: "daily_streak"
+};
+
+const DEFAULT_VISIT_SECONDS = 10;
+
+function toCount(value) {
+  return Number.isInteger(value) && value > 0 ? value : 0;
+}
+
+/**
+ * Приведение задания из конфигурации
+ * @returns {Object|null} Задание или null, если оно настроено некорректно
+ */
+function normalizeTask(task) {
+  if (!task || typeof task.id !== "string" || !/^[\w-]{1,64}$/.test(task.id)) {
+    return null;
+  }
+
+  const reward = {
+    bonusAttempts: toCount(task.reward?.bonusAttempts),
+    points: toCount(task.reward?.points)
+  };
+
+  if (reward.bonusAttempts === 0 && reward.points === 0) {
+    return null;
+  }
+
+  const base = {
+    id: task.id,
+    type: task.type,
+    title: task.title || task.id,
+    description: task.description || null,
+    reward
+  };
+
+  switch (task.type) {
+    case TASK_TYPES.JOIN_CHANNEL: {
+      const channel = subscription.normalizeChannel(task.channel);
+      return channel ? { ...base, channel, url: task.url || null } : null;
+    }
+    case TASK_TYPES.INVITE_FRIENDS:
+      return toCount(task.count) ? { ...base, count: task.count } : null;
+    case TASK_TYPES.VISIT_LINK:
+      return typeof task.url === "string" && /^https?:\/\//.test(task.url) ?
+        { ...base, url: task.url, minSeconds: Number.isInteger(task.minSeconds) && task.minSeconds >= 0 ? task.minSeconds : DEFAULT_VISIT_SECONDS } :
+        null;
+    case TASK_TYPES.DAILY_STREAK:
+      return toCount(task.days) ? { ...base, days: task.days } : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Задания бота (некорректные пропускаются)
+ */
+function getTasks(botConfig) {
+  const tasks = Array.isArray(botConfig?.tasks) ? botConfig.tasks : [];
+  const seen = new Set();
+
+  return tasks.map(normalizeTask).filter(task => {
+    if (!task || seen.has(task.id)) {
+      return false;
+    }
+
+    seen.add(task.id);
+    return true;
+  });
+}
+
+/**
+ * Задание бота по ID
+ * @throws TASK_NOT_FOUND
+ */
+function findTask(botConfig, taskId) {
+  const task = getTasks(botConfig).find(item => item.id === taskId);
+
+  if (!task) {
+    throw createServiceError("TASK_NOT_FOUND", "Task not found", 404);
+  }
+
+  return task;
+}
+
+/**
+ * Прогресс задания по данным пользователя
+ * @param {Object} member - Результат проверки участия в канале (для join_channel)
+ * @returns {Object} { current, target, completed, started_at }
+ */
+function getProgress(task, userData, botConfig, member = null, now = new Date()) {
+  const state = userData.tasks?.[task.id] || {};
+  const startedAt = state.started_at ? new Date(state.started_at) : null;
+
+  switch (task.type) {
+    case TASK_TYPES.JOIN_CHANNEL: {
+      const current = member?.subscribed ? 1 : 0;
+      return { current, target: 1, completed: current === 1, started_at: startedAt };
+    }
+    case TASK_TYPES.INVITE_FRIENDS: {
+      const current = userData.qualified_referrals || 0;
+      return { current: Math.min(current, task.count), target: task.count, completed: current >= task.count, started_at: startedAt };
+    }
+    case TASK_TYPES.VISIT_LINK: {
+      const elapsed = startedAt ? Math.floor((now.getTime() - startedAt.getTime()) / 1000) : 0;
+      return { current: Math.min(elapsed, task.minSeconds), target: task.minSeconds, completed: Boolean(startedAt) && elapsed >= task.minSeconds, started_at: startedAt };
+    }
+    case TASK_TYPES.DAILY_STREAK: {
+      const current = streaks.getCurrentStreak(userData, botConfig);
+      return { current: Math.min(current, task.days), target: task.days, completed: current >= task.days, started_at: startedAt };
+    }
+    default:
+      return { current: 0, target: 1, completed: false, started_at: startedAt };
+  }
+}
+
+/**
+ * Участие в канале задания
+ * Ошибка Bot API не прерывает список заданий - задание считается невыполненным
+ * @returns {Promise<Object|null>} { subscribed, status } или null, если проверить не удалось
+ */
+async function checkMember(botId, botConfig, task, userId) {
+  try {
+    return await subscription.checkChannelMember(botId, botConfig, task.channel, userId);
+  } catch (error) {
+    logger.error(`❌ Не удалось проверить канал ${task.channel} задания ${task.id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Задание в формате ответа API
+ */
+function formatTask(task, userData, progress) {
+  const state = userData.tasks?.[task.id] || {};
+  const claimed = Boolean(state.claimed_at);
+
+  return {
+    id: task.id,
+    type: task.type,
+    title: task.title,
+    description: task.description,
+    url: task.url || null,
+    channel: task.channel || null,
+    reward: task.reward,
+    // Полученное задание остаётся выполненным, даже если пользователь отписался от канала
+    progress: { current: claimed ? progress.target : progress.current, target: progress.target },
+    started: Boolean(progress.started_at),
+    completed: claimed || progress.completed,
+    claimed,
+    claimed_at: state.claimed_at || null
+  };
+}
+
+/**
+ * Задания бота с прогрессом пользователя
+ * @returns {Promise<Array>} Список заданий
+ */
+async function getUserTasks(botId, botConfig, userData) {
+  const tasks = getTasks(botConfig);
+
+  return Promise.all(tasks.map(async (task) => {
+    const claimed = Boolean(userData.tasks?.[task.id]?.claimed_at);
+    const member = task.type === TASK_TYPES.JOIN_CHANNEL && !claimed ?
+      await checkMember(botId, botConfig, task, userData.user_id) :
+      null;
+
+    return formatTask(task, userData, getProgress(task, userData, botConfig, member));
+  }));
+}
+
+/**
+ * Начало задания - переход по ссылке
+ * @returns {Promise<Object>} { task, started_at }
+ * @throws TASK_NOT_FOUND
+ */
+async function startTask(botId, botConfig, userId, taskId) {
+  const task = findTask(botConfig, taskId);
+  const startedAt = await repository.startTask(botId, userId, task.id);
+
+  return { task, started_at: startedAt };
+}
+
+/**
+ * Получение награды за выполненное задание
+ * @returns {Promise<Object>} { task, reward, bonus_attempts, points_balance, claimed_at }
+ * @throws TASK_NOT_FOUND, TASK_NOT_COMPLETED, TASK_ALREADY_CLAIMED, USER_NOT_FOUND
+ */
+async function claimTask(botId, botConfig, userId, taskId) {
+  const task = findTask(botConfig, taskId);
+
+  // Участие в канале проверяется до транзакции - это запрос к Bot API
+  let member = null;
+
+  if (task.type === TASK_TYPES.JOIN_CHANNEL) {
+    member = await subscription.checkChannelMember(botId, botConfig, task.channel, userId);
+  }
+
+  const result = await repository.claimTask(botId, userId, task, (userData) => {
+    const progress = getProgress(task, userData, botConfig, member);
+
+    if (!progress.completed) {
+      throw createServiceError("TASK_NOT_COMPLETED", "Task is not completed", 409, {
+        progress: { current: progress.current, target: progress.target },
+        message: "Задание ещё не выполнено"
+      });
+    }
+  }, botConfig);
+
+  return { task, ...result };
+}
+
+module.exports = {
+  TASK_TYPES,
+  getTasks,
+  getUserTasks,
+  startTask,
+  claimTask
+};
@@ -0,0 +1,106 @@
+// services/telegramClient.js - Клиент Telegram Bot API
+//
+// Адрес API берётся из TELEGRAM_API_URL (по умолчанию https://api.telegram.org),
+// поэтому в тестах вместо Telegram можно поднять локальный сервер-заглушку.
+// Клиент также можно подменить целиком через setTelegramClient.
+const axios = require("axios");
+const { createServiceError } = require("./errors");
+const logger = require("./logger");
+
+const DEFAULT_API_URL = "https://api.telegram.org";
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Создание клиента Bot API
+ * @param {Object} options - { apiUrl, timeoutMs, httpClient }
+ * @returns {Object} { callMethod, getChatMember, sendMessage, createInvoiceLink, answerPreCheckoutQuery, refundStarPayment }
+ */
+function createTelegramClient(options = {}) {
+  const apiUrl = (options.apiUrl || process.env.TELEGRAM_API_URL || DEFAULT_API_URL).replace(/\/+$/, "");
+  const httpClient = options.httpClient || axios.create({
+    timeout: options.timeoutMs || Number(process.env.TELEGRAM_API_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+  });
+
+  /**
+   * Вызов метода Bot API
+   * @throws TELEGRAM_API_ERROR, если Telegram вернул ошибку или недоступен
+   */
+  async function callMethod(botToken, method, params = {}) {
+    if (!botToken) {
+      throw createServiceError("BOT_TOKEN_MISSING", "Bot token is not configured", 500);
+    }
+
+    let response;
+
+    try {
+      // validateStatus: ошибки Bot API приходят с телом { ok: false, description }
+      response = await httpClient.post(`${apiUrl}/bot${botToken}/${method}`, params, {
+        validateStatus: () => true
+      });
+    } catch (error) {
+      logger.error(`❌ Telegram API ${method} недоступен:`, error.message);
+      throw createServiceError("TELEGRAM_API_ERROR", "Telegram API is unavailable", 502);
+    }
+
+    const body = response.data || {};
+
+    if (!body.ok) {
+      const errorCode = body.error_code || response.status;
+      logger.error(`❌ Telegram API ${method}: ${response.status} ${body.description || ""}`);
+
+      const error = createServiceError("TELEGRAM_API_ERROR", body.description || "Telegram API request failed", 502, {
+        telegram_error_code: errorCode
+      });
+      // 400 и 403 (чат не найден, бот заблокирован) повтор не исправит
+      error.retryable = ![400, 403].includes(errorCode);
+      throw error;
+    }
+
+    return body.result;
+  }
+
+  return {
+    callMethod,
+    getChatMember: (botToken, chatId, userId) =>
+      callMethod(botToken, "getChatMember", { chat_id: chatId, user_id: Number(userId) }),
+    sendMessage: (botToken, chatId, text, extra = {}) =>
+      callMethod(botToken, "sendMessage", { chat_id: chatId, text, ...extra }),
+    // Для Telegram Stars provider_token пустой
+    createInvoiceLink: (botToken, invoice) =>
+      callMethod(botToken, "createInvoiceLink", { provider_token: "", ...invoice }),
+    answerPreCheckoutQuery: (botToken, queryId, ok, errorMessage = null) =>
+      callMethod(botToken, "answerPreCheckoutQuery", {
+        pre_checkout_query_id: queryId,
+        ok,
+        ...(ok ? {} : { error_message: errorMessage })
+      }),
+    refundStarPayment: (botToken, userId, chargeId) =>
+      callMethod(botToken, "refundStarPayment", { user_id: Number(userId), telegram_payment_charge_id: chargeId })
+  };
+}
+
+let client = null;
+
+/**
+ * Текущий клиент (создаётся при первом обращении)
+ */
+function getTelegramClient() {
+  if (!client) {
+    client = createTelegramClient();
+  }
+
+  return client;
+}
+
+/**
+ * Подмена клиента (для тестов); null - вернуть клиент по умолчанию
+ */
+function setTelegramClient(customClient) {
+  client = customClient;
+}
+
+module.exports = {
+  createTelegramClient,
+  getTelegramClient,
+  setTelegramClient
+};
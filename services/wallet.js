@@ -0,0 +1,76 @@
+// services/wallet.js - Баллы пользователя и журнал операций
+//
+// Баланс хранится в points_balance документа пользователя, каждая операция -
+// в bots/{botId}/users/{userId}/ledger/{entryId}. Баланс и запись журнала
+// меняются в одной транзакции, поэтому баланс всегда равен сумме журнала.
+// ID записи строится из причины и ссылки (spin_<spinId>), так что одна и та же
+// операция не может быть проведена дважды.
+const crypto = require("crypto");
+const { createServiceError } = require("./errors");
+
+const LEDGER_REASONS = {
+  SPIN: "spin",
+  REFERRAL: "referral",
+  ADMIN_GRANT: "admin_grant",
+  PURCHASE: "purchase",
+  TASK: "task",
+  STREAK: "streak"
+};
+
+/**
+ * ID записи журнала
+ * @param {string} reason - Причина (LEDGER_REASONS)
+ * @param {string|null} referenceId - ID связанного объекта; без него ID случайный
+ */
+function getEntryId(reason, referenceId) {
+  return referenceId ?
+    `${reason}_${referenceId}` :
+    `${reason}_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+}
+
+/**
+ * Запись журнала и новый баланс
+ * @param {number} balance - Текущий баланс
+ * @param {Object} operation - { amount, reason, reference: { type, id }, note } - amount < 0 для списания
+ * @param {Date} now - Время операции
+ * @returns {Object} { entry, balance }
+ * @throws INSUFFICIENT_POINTS, если списание больше баланса
+ */
+function createLedgerEntry(balance, operation, now = new Date()) {
+  const amount = operation.amount;
+
+  if (!Number.isInteger(amount) || amount === 0) {
+    throw createServiceError("INVALID_AMOUNT", "Amount must be a non-zero integer", 400);
+  }
+
+  const balanceAfter = balance + amount;
+
+  if (balanceAfter < 0) {
+    throw createServiceError("INSUFFICIENT_POINTS", "Not enough points", 409, {
+      balance,
+      message: "Недостаточно баллов"
+    });
+  }
+
+  const reference = operation.reference || null;
+
+  return {
+    entry: {
+      entry_id: getEntryId(operation.reason, reference?.id),
+      type: amount > 0 ? "credit" : "debit",
+      amount,
+      balance_after: balanceAfter,
+      reason: operation.reason,
+      reference,
+      note: operation.note || null,
+      created_at: now
+    },
+    balance: balanceAfter
+  };
+}
+
+module.exports = {
+  LEDGER_REASONS,
+  getEntryId,
+  createLedgerEntry
+};
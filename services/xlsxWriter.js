@@ -0,0 +1,279 @@
+// services/xlsxWriter.js - Потоковая запись XLSX без сторонних библиотек
+//
+// XLSX - это ZIP с XML-файлами. Лист пишется построчно: данные сжимаются
+// deflate по мере поступления, а CRC и размеры записываются после данных
+// (data descriptor), поэтому файл не нужно держать в памяти целиком.
+// Строки записываются inline-строками, без sharedStrings и стилей.
+// ZIP64 не поддерживается: архив больше 4 ГБ или с 65535+ файлами
+// не записывается, выгрузку нужно сузить по датам.
+const zlib = require("zlib");
+const { createServiceError } = require("./errors");
+
+// Пределы обычного ZIP без ZIP64
+const ZIP_MAX_ENTRIES = 0xffff;
+const ZIP_MAX_SIZE = 0xffffffff;
+
+const CRC_TABLE = new Uint32Array(256).map((value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+function updateCrc32(crc, buffer) {
+  let value = crc ^ 0xffffffff;
+  for (const byte of buffer) {
+    value = CRC_TABLE[(value ^ byte) & 0xff] ^ (value >>> 8);
+  }
+  return (value ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Запись в поток с ожиданием drain
+ */
+function writeToStream(output, buffer) {
+  if (output.write(buffer)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => { output.off("error", onError); resolve(); };
+    const onError = (error) => { output.off("drain", onDrain); reject(error); };
+    output.once("drain", onDrain);
+    output.once("error", onError);
+  });
+}
+
+function createTooLargeError() {
+  return createServiceError(
+    "EXPORT_TOO_LARGE",
+    "Export exceeds 4 GB ZIP limit, narrow the date range",
+    413
+  );
+}
+
+/**
+ * Запись ZIP-архива в поток
+ * Файлы пишутся последовательно: addFile - целиком, startFile/writeData/endFile - частями
+ */
+function createZipWriter(output) {
+  const entries = [];
+  let offset = 0;
+  let current = null;
+
+  async function write(buffer) {
+    if (offset + buffer.length > ZIP_MAX_SIZE) {
+      throw createTooLargeError();
+    }
+
+    offset += buffer.length;
+    await writeToStream(output, buffer);
+  }
+
+  function localHeader(name, flags, crc, compressedSize, size) {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(flags, 6);
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt32LE(0, 10); // время и дата
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressedSize, 18);
+    header.writeUInt32LE(size, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+    return Buffer.concat([header, name]);
+  }
+
+  function addEntry(entry) {
+    if (entries.length >= ZIP_MAX_ENTRIES) {
+      throw createTooLargeError();
+    }
+
+    entries.push(entry);
+  }
+
+  async function addFile(fileName, content) {
+    const name = Buffer.from(fileName, "utf8");
+    const data = Buffer.from(content, "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const entry = { name, flags: 0x0800, crc: updateCrc32(0, data), compressedSize: compressed.length, size: data.length, offset };
+
+    addEntry(entry);
+    await write(localHeader(name, entry.flags, entry.crc, entry.compressedSize, entry.size));
+    await write(compressed);
+  }
+
+  async function startFile(fileName) {
+    const name = Buffer.from(fileName, "utf8");
+    const deflate = zlib.createDeflateRaw();
+    const chunks = [];
+
+    deflate.on("data", chunk => chunks.push(chunk));
+    current = { name, flags: 0x0808, crc: 0, compressedSize: 0, size: 0, offset, deflate, chunks };
+    addEntry(current);
+
+    await write(localHeader(name, current.flags, 0, 0, 0));
+  }
+
+  async function flushCompressed() {
+    const data = Buffer.concat(current.chunks.splice(0));
+    current.compressedSize += data.length;
+    if (data.length > 0) {
+      await write(data);
+    }
+  }
+
+  async function writeData(content) {
+    const data = Buffer.from(content, "utf8");
+    // Несжатый размер тоже записывается в 32 бита
+    if (current.size + data.length > ZIP_MAX_SIZE) {
+      throw createTooLargeError();
+    }
+
+    current.crc = updateCrc32(current.crc, data);
+    current.size += data.length;
+
+    await new Promise((resolve, reject) => {
+      current.deflate.write(data, error => (error ? reject(error) : resolve()));
+    });
+    await new Promise(resolve => current.deflate.flush(zlib.constants.Z_SYNC_FLUSH, resolve));
+    await flushCompressed();
+  }
+
+  async function endFile() {
+    await new Promise((resolve, reject) => {
+      current.deflate.once("end", resolve);
+      current.deflate.once("error", reject);
+      current.deflate.end();
+    });
+    await flushCompressed();
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(current.crc, 4);
+    descriptor.writeUInt32LE(current.compressedSize, 8);
+    descriptor.writeUInt32LE(current.size, 12);
+    await write(descriptor);
+
+    delete current.deflate;
+    delete current.chunks;
+    current = null;
+  }
+
+  async function finish() {
+    const centralOffset = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(entry.flags, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt32LE(0, 12);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.name.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([header, entry.name]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - centralOffset, 12);
+    end.writeUInt32LE(centralOffset, 16);
+    await write(end);
+  }
+
+  return { addFile, startFile, writeData, endFile, finish };
+}
+
+function escapeXml(value) {
+  return String(value)
+    // Управляющие символы недопустимы в XML
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toCell(value) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c><v>${value}</v></c>`;
+  }
+
+  if (value === null || value === undefined || value === "") {
+    return "<c/>";
+  }
+
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Потоковая запись книги XLSX с одним листом
+ * @param {Stream} output - Поток ответа
+ * @param {string} sheetName - Название листа
+ * @returns {Object} { start(headers), writeRows(rows), finish() }
+ */
+function createXlsxWriter(output, sheetName = "Sheet1") {
+  const zip = createZipWriter(output);
+
+  async function start(headers) {
+    await zip.addFile("[Content_Types].xml",
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      "</Types>");
+    await zip.addFile("_rels/.rels",
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      "</Relationships>");
+    await zip.addFile("xl/workbook.xml",
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+      "</workbook>");
+    await zip.addFile("xl/_rels/workbook.xml.rels",
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      "</Relationships>");
+
+    await zip.startFile("xl/worksheets/sheet1.xml");
+    await zip.writeData(
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+    );
+    await writeRows([headers]);
+  }
+
+  async function writeRows(rows) {
+    if (rows.length > 0) {
+      await zip.writeData(rows.map(row => `<row>${row.map(toCell).join("")}</row>`).join(""));
+    }
+  }
+
+  async function finish() {
+    await zip.writeData("</sheetData></worksheet>");
+    await zip.endFile();
+    await zip.finish();
+  }
+
+  return { start, writeRows, finish };
+}
+
+module.exports = {
+  writeToStream,
+  createXlsxWriter
+};
@@ -0,0 +1,56 @@
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const express = require("express");
+const { resetStorage, setDoc, listen } = require("./helpers");
+const middleware = require("../middleware/middleware");
+
+const GLOBAL_KEY = "global-secret";
+const OPERATOR_KEY = "sales-secret";
+
+let server;
+
+beforeEach(async () => {
+  await resetStorage();
+  process.env.ADMIN_API_KEY = GLOBAL_KEY;
+
+  await setDoc("bots/demo", {
+    admin: { apiKeys: [{ id: "sales", keyHash: crypto.createHash("sha256").update(OPERATOR_KEY).digest("hex") }] }
+  });
+
+  if (!server) {
+    const app = express();
+    app.get("/admin/bots/:botId/whoami", middleware.adminAuth, (req, res) => res.json(req.admin));
+    server = await listen(app);
+  }
+});
+
+after(() => {
+  delete process.env.ADMIN_API_KEY;
+  return server && server.close();
+});
+
+async function whoami(botId, key) {
+  const response = await fetch(`${server.url}/admin/bots/${botId}/whoami`, {
+    headers: key ? { Authorization: `Bearer ${key}` } : {}
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("ключ оператора бота и глобальный ключ проходят", async () => {
+  assert.deepEqual((await whoami("demo", OPERATOR_KEY)).body, { id: "sales" });
+  assert.equal((await whoami("demo", GLOBAL_KEY)).status, 200);
+  assert.equal((await whoami("demo")).body.code, "ADMIN_AUTH_REQUIRED");
+});
+
+test("без верного ключа несуществующий бот неотличим от существующего", async () => {
+  const existing = await whoami("demo", "wrong");
+  const missing = await whoami("missing", "wrong");
+
+  assert.equal(existing.status, 403);
+  assert.deepEqual(missing, existing);
+
+  // Ключ оператора одного бота не открывает другой
+  assert.equal((await whoami("missing", OPERATOR_KEY)).status, 403);
+  assert.equal((await whoami("missing", GLOBAL_KEY)).body.code, "BOT_NOT_FOUND");
+});
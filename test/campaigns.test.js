@@ -0,0 +1,72 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc } = require("./helpers");
+const campaigns = require("../services/campaigns");
+const repository = require("../services/repository");
+
+const BOT_ID = "demo";
+const NOW = new Date("2024-11-30T12:00:00Z");
+const BOT_CONFIG = {
+  limits: { spinsPerDay: 3, cooldown: { mode: "none" } },
+  wheel: { prizes: [{ id: "base", text: "Обычный приз", probability: 1 }] },
+  campaigns: [
+    {
+      id: "black_friday",
+      priority: 10,
+      startAt: "2024-11-29T00:00:00+03:00",
+      endAt: "2024-12-02T00:00:00+03:00",
+      wheel: { prizes: [{ id: "bf", text: "Приз пятницы", probability: 1 }] },
+      limits: { spinsPerDay: 1 }
+    },
+    { id: "tiktok", priority: 20, audience: { sources: ["tiktok"], languages: ["ru"] } },
+    { id: "newcomers", priority: 30, startAt: "2024-11-01T00:00:00Z", audience: { newUsersOnly: true } },
+    { id: "winter", startAt: "2024-12-01T00:00:00Z" },
+    { id: "bad id!" }
+  ]
+};
+
+beforeEach(resetStorage);
+
+test("выбирается активная кампания с наибольшим priority, подходящая пользователю", () => {
+  const resolve = userData => campaigns.resolveCampaign(BOT_CONFIG, { userData, now: NOW })?.id || null;
+
+  assert.equal(resolve(null), "black_friday");
+  assert.equal(resolve({ language_code: "ru", campaign: "tiktok", created_at: new Date("2024-10-01") }), "tiktok");
+  assert.equal(resolve({ language_code: "en", campaign: "tiktok", created_at: new Date("2024-10-01") }), "black_friday");
+  assert.equal(resolve({ language_code: "en", created_at: new Date("2024-11-15") }), "newcomers");
+
+  assert.equal(campaigns.resolveCampaign(BOT_CONFIG, { now: new Date("2024-12-05T00:00:00Z") }).id, "winter");
+  assert.equal(campaigns.resolveCampaign({}, { now: NOW }), null);
+  assert.deepEqual(campaigns.getCampaigns(BOT_CONFIG).map(item => item.id), ["black_friday", "tiktok", "newcomers", "winter"]);
+});
+
+test("явно указанная кампания проверяется на существование, время и аудиторию", () => {
+  const resolve = (campaignId, userData = null) => () => campaigns.resolveCampaign(BOT_CONFIG, { campaignId, userData, now: NOW });
+
+  assert.throws(resolve("missing"), { code: "CAMPAIGN_NOT_FOUND", status: 404 });
+  assert.throws(resolve("winter"), { code: "CAMPAIGN_NOT_ACTIVE", status: 409 });
+  assert.throws(resolve("tiktok", { language_code: "ru" }), { code: "CAMPAIGN_NOT_AVAILABLE", status: 403 });
+  assert.equal(resolve("black_friday")().id, "black_friday");
+});
+
+test("колесо кампании заменяется целиком, лимиты - по полям", () => {
+  const campaign = campaigns.resolveCampaign(BOT_CONFIG, { campaignId: "black_friday", now: NOW });
+  const config = campaigns.getCampaignConfig(BOT_CONFIG, campaign);
+
+  assert.deepEqual(config.wheel.prizes.map(prize => prize.id), ["bf"]);
+  assert.deepEqual(config.limits, { spinsPerDay: 1, cooldown: { mode: "none" } });
+  assert.equal(campaigns.getSpinConfig(BOT_CONFIG, "black_friday").wheel.prizes[0].id, "bf");
+  assert.equal(campaigns.getSpinConfig(BOT_CONFIG, "deleted").wheel.prizes[0].id, "base");
+});
+
+test("спин по кампании записывает её ID и учитывает её лимит", async () => {
+  const campaign = campaigns.resolveCampaign(BOT_CONFIG, { campaignId: "black_friday", now: NOW });
+  const config = campaigns.getCampaignConfig(BOT_CONFIG, campaign);
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", total_spins: 0 });
+
+  const { spin } = await repository.saveSpin(BOT_ID, "1", { campaignId: campaign.id }, config);
+  assert.equal(spin.campaign_id, "black_friday");
+  assert.equal(spin.prize_id, "bf");
+
+  await assert.rejects(repository.saveSpin(BOT_ID, "1", { campaignId: campaign.id }, config), { code: "DAILY_LIMIT_REACHED" });
+});
@@ -0,0 +1,53 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc } = require("./helpers");
+const cooldown = require("../services/cooldown");
+const repository = require("../services/repository");
+const prizeEngine = require("../services/prizeEngine");
+
+const BOT_ID = "demo";
+
+beforeEach(resetStorage);
+
+test("настройки кулдауна: режимы, ступени и старый cooldownSeconds", () => {
+  const escalating = {
+    limits: {
+      cooldown: { mode: "escalating", seconds: 60, steps: [{ afterSpins: 5, seconds: 3600 }, { afterSpins: 3, seconds: 600 }] }
+    }
+  };
+
+  assert.equal(cooldown.getCooldownSeconds(escalating, 1), 60);
+  assert.equal(cooldown.getCooldownSeconds(escalating, 3), 600);
+  assert.equal(cooldown.getCooldownSeconds(escalating, 7), 3600);
+
+  assert.deepEqual(cooldown.getCooldownSettings({ limits: { cooldownSeconds: 30 } }), { mode: "fixed", seconds: 30, steps: [] });
+  assert.equal(cooldown.getCooldownSeconds({ limits: { cooldown: { mode: "unknown", seconds: 30 } } }, 1), 0);
+});
+
+test("оставшееся время считается от last_spin", () => {
+  const botConfig = { limits: { cooldown: { mode: "fixed", seconds: 60 } } };
+  const lastSpin = new Date("2024-05-01T10:00:00Z");
+
+  assert.deepEqual(cooldown.getCooldownState(botConfig, { lastSpin, spinsToday: 1 }, new Date("2024-05-01T10:00:20.500Z")), {
+    cooldownSeconds: 60,
+    remainingSeconds: 40,
+    nextSpinAt: "2024-05-01T10:01:00.000Z"
+  });
+  assert.equal(cooldown.getCooldownState(botConfig, { lastSpin, spinsToday: 1 }, new Date("2024-05-01T10:01:00Z")).remainingSeconds, 0);
+  assert.equal(cooldown.getCooldownState(botConfig, { spinsToday: 0 }).nextSpinAt, null);
+});
+
+test("спин во время кулдауна отклоняется с 429", async () => {
+  const config = {
+    limits: { spinsPerDay: 10, cooldown: { mode: "fixed", seconds: 3600 } },
+    wheel: { prizes: prizeEngine.DEFAULT_PRIZES }
+  };
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", total_spins: 0, attempts_left: 10 });
+
+  await repository.saveSpin(BOT_ID, "1", {}, config);
+
+  await assert.rejects(
+    repository.saveSpin(BOT_ID, "1", { lastSpin: new Date(0).toISOString() }, config),
+    error => error.code === "SPIN_COOLDOWN" && error.status === 429 && error.details.cooldown_remaining > 3500
+  );
+});
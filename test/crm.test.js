@@ -0,0 +1,166 @@
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { resetStorage, setDoc, getDoc, listen } = require("./helpers");
+const crm = require("../services/crm");
+const outbox = require("../services/outbox");
+
+const BOT_ID = "demo";
+const LEAD_ID = "lead_demo_spin_1";
+const SECRET = "s3cret";
+
+let server;
+let requests = [];
+// Ответы заглушки CRM по очереди для каждого вебхука, дальше - 200
+let responses = {};
+
+beforeEach(async () => {
+  await resetStorage();
+  requests = [];
+  responses = {};
+
+  if (!server) {
+    server = await listen((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        requests.push({ url: req.url, headers: req.headers, body });
+        const status = (responses[req.url] || []).shift() || 200;
+        res.statusCode = status;
+        res.end(status === 200 ? "{\"id\":1}" : "error");
+      });
+    });
+  }
+
+  await setDoc(`leads/${LEAD_ID}`, {
+    lead_id: LEAD_ID,
+    bot_id: BOT_ID,
+    name: "Иван",
+    phone: "+79991234567",
+    prize: "Скидка 10%",
+    status: "new",
+    processed: false,
+    submitted_at: new Date("2024-05-01T10:00:00Z")
+  });
+});
+
+after(() => server && server.close());
+
+async function configure(webhooks) {
+  const botConfig = { crm: { webhooks: webhooks.map(webhook => ({ secret: SECRET, ...webhook, url: `${server.url}/${webhook.id}` })) } };
+  await setDoc(`bots/${BOT_ID}`, botConfig);
+  return botConfig;
+}
+
+// Задачи, отложенные до повтора, выполняются сразу
+async function makeJobsDue() {
+  const storage = require("../services/storage").getStorage();
+  for (const doc of await storage.query("outbox", {})) {
+    await storage.updateDoc(`outbox/${doc.id}`, { next_attempt_at: new Date(0) });
+  }
+}
+
+test("signPayload - HMAC-SHA256 от timestamp и тела", () => {
+  const expected = crypto.createHmac("sha256", SECRET).update("1700000000.{\"a\":1}").digest("hex");
+  assert.equal(crm.signPayload(SECRET, "1700000000", "{\"a\":1}"), `sha256=${expected}`);
+});
+
+test("пресеты формируют тело для amoCRM и Битрикс24", () => {
+  const lead = { lead_id: "l1", name: "Иван", phone: "+79991234567", prize: "Скидка" };
+
+  const [deal] = crm.buildPayload({ preset: "amocrm", title: "Колесо: {prize}", fields: { 512345: "prize" } }, lead, BOT_ID);
+  assert.equal(deal.name, "Колесо: Скидка");
+  assert.equal(deal._embedded.contacts[0].custom_fields_values[0].values[0].value, "+79991234567");
+  assert.deepEqual(deal.custom_fields_values, [{ field_id: 512345, values: [{ value: "Скидка" }] }]);
+
+  const bitrix = crm.buildPayload({ preset: "bitrix24", title: "{name}", fields: { UF_CRM_PRIZE: "prize" } }, lead, BOT_ID);
+  assert.equal(bitrix.fields.TITLE, "Иван");
+  assert.deepEqual(bitrix.fields.PHONE, [{ VALUE: "+79991234567", VALUE_TYPE: "WORK" }]);
+  assert.equal(bitrix.fields.UF_CRM_PRIZE, "Скидка");
+});
+
+test("лид отправляется с подписью и отмечается processed", async () => {
+  const botConfig = await configure([{ id: "json", secret: SECRET, fields: { client: "name", tel: "phone" } }]);
+
+  assert.equal(await crm.forwardLead(BOT_ID, botConfig, { lead_id: LEAD_ID }), 1);
+  await outbox.processDueJobs();
+
+  assert.equal(requests.length, 1);
+  const { headers, body } = requests[0];
+  assert.equal(headers["x-wheel-signature"], crm.signPayload(SECRET, headers["x-wheel-timestamp"], body));
+  assert.deepEqual(JSON.parse(body), { event: "lead.created", bot_id: BOT_ID, lead: { client: "Иван", tel: "+79991234567" } });
+
+  const lead = await getDoc(`leads/${LEAD_ID}`);
+  assert.equal(lead.processed, true);
+  assert.equal(lead.delivery_status, "sent");
+  assert.equal(lead.deliveries.json.status_code, 200);
+});
+
+test("вебхук без secret не вызывается - лиды уходят только с подписью", async () => {
+  const botConfig = await configure([{ id: "unsigned", secret: "" }, { id: "signed" }]);
+
+  assert.deepEqual(crm.getWebhooks(botConfig).map(webhook => webhook.id), ["signed"]);
+  assert.equal(await crm.forwardLead(BOT_ID, botConfig, { lead_id: LEAD_ID }), 1);
+  await outbox.processDueJobs();
+
+  assert.deepEqual(requests.map(request => request.url), ["/signed"]);
+  assert.ok(requests[0].headers["x-wheel-signature"]);
+  assert.equal(await getDoc(`outbox/crm_unsigned_${LEAD_ID}`), null);
+});
+
+test("5xx повторяется с задержкой, 4xx завершает доставку сразу", async () => {
+  const botConfig = await configure([{ id: "flaky" }, { id: "broken" }]);
+  responses = { "/flaky": [503], "/broken": [400] };
+
+  await crm.forwardLead(BOT_ID, botConfig, { lead_id: LEAD_ID });
+  await outbox.processDueJobs();
+
+  const flaky = await getDoc(`outbox/crm_flaky_${LEAD_ID}`);
+  const broken = await getDoc(`outbox/crm_broken_${LEAD_ID}`);
+  assert.equal(flaky.status, "pending");
+  assert.ok(flaky.next_attempt_at > new Date());
+  assert.equal(broken.status, "failed");
+
+  // Отложенная задача не выполняется раньше времени
+  assert.equal(await outbox.processDueJobs(), 0);
+
+  await makeJobsDue();
+  await outbox.processDueJobs();
+
+  assert.equal((await getDoc(`outbox/crm_flaky_${LEAD_ID}`)).status, "sent");
+  assert.equal((await getDoc(`outbox/crm_flaky_${LEAD_ID}`)).attempts, 2);
+
+  const lead = await getDoc(`leads/${LEAD_ID}`);
+  assert.equal(lead.processed, false);
+  assert.equal(lead.delivery_status, "failed");
+});
+
+test("неудачная доставка повторяется вручную", async () => {
+  const botConfig = await configure([{ id: "broken" }]);
+  responses = { "/broken": [400] };
+
+  await crm.forwardLead(BOT_ID, botConfig, { lead_id: LEAD_ID });
+  await outbox.processDueJobs();
+
+  const repository = require("../services/repository");
+  await repository.retryOutboxJob(BOT_ID, `crm_broken_${LEAD_ID}`, crm.JOB_TYPE);
+  await outbox.processDueJobs();
+
+  const lead = await getDoc(`leads/${LEAD_ID}`);
+  assert.equal(lead.processed, true);
+  assert.equal(requests.length, 2);
+
+  await assert.rejects(
+    repository.retryOutboxJob(BOT_ID, `crm_broken_${LEAD_ID}`, crm.JOB_TYPE),
+    { code: "OUTBOX_JOB_NOT_FAILED" }
+  );
+  await assert.rejects(
+    repository.retryOutboxJob("other", `crm_broken_${LEAD_ID}`, crm.JOB_TYPE),
+    { code: "OUTBOX_JOB_NOT_FOUND" }
+  );
+});
+
+test("getBackoffSeconds растёт экспоненциально до часа", () => {
+  assert.deepEqual([1, 2, 3, 4].map(outbox.getBackoffSeconds), [5, 10, 20, 40]);
+  assert.equal(outbox.getBackoffSeconds(20), 3600);
+});
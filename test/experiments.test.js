@@ -0,0 +1,76 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc } = require("./helpers");
+const experiments = require("../services/experiments");
+const repository = require("../services/repository");
+
+const BOT_ID = "demo";
+const BOT_CONFIG = {
+  limits: { spinsPerDay: 3 },
+  wheel: { prizes: [{ id: "base", text: "Обычный приз", probability: 1 }] },
+  copy: { title: "Колесо" },
+  experiments: [
+    {
+      id: "layout_v2",
+      variants: [
+        { id: "control", weight: 50 },
+        { id: "rich", weight: 50, wheel: { prizes: [{ id: "rich", text: "Богатый приз", probability: 1 }] }, limits: { spinsPerDay: 5 }, copy: { title: "Крути!" } },
+        { id: "off", weight: 0 }
+      ]
+    },
+    { id: "bf_copy", campaignId: "black_friday", variants: [{ id: "a" }, { id: "b" }] },
+    { id: "paused", active: false, variants: [{ id: "a" }] },
+    { id: "empty", variants: [{ id: "a", weight: 0 }] }
+  ]
+};
+
+beforeEach(resetStorage);
+
+test("вариант пользователя не меняется между запросами, вариант с весом 0 не выпадает", () => {
+  const counts = { control: 0, rich: 0, off: 0 };
+
+  for (let userId = 1; userId <= 400; userId++) {
+    const [first] = experiments.getAssignments(BOT_CONFIG, String(userId));
+    const [second] = experiments.getAssignments(BOT_CONFIG, String(userId));
+
+    assert.equal(first.variant.id, second.variant.id);
+    counts[first.variant.id] += 1;
+  }
+
+  assert.equal(counts.off, 0);
+  assert.ok(counts.control > 120 && counts.rich > 120, JSON.stringify(counts));
+  assert.deepEqual(experiments.getAssignments(BOT_CONFIG, null), []);
+});
+
+test("эксперимент кампании идёт только в ней, выключенные и пустые пропускаются", () => {
+  assert.deepEqual(experiments.getExperiments(BOT_CONFIG).map(item => item.id), ["layout_v2", "bf_copy", "paused"]);
+  assert.deepEqual(experiments.getAssignments(BOT_CONFIG, "1").map(item => item.experiment.id), ["layout_v2"]);
+  assert.deepEqual(experiments.getAssignments(BOT_CONFIG, "1", { id: "black_friday" }).map(item => item.experiment.id), ["bf_copy"]);
+});
+
+test("вариант подменяет колесо целиком, лимиты и тексты - по полям", () => {
+  const config = experiments.applyRecordedVariants(BOT_CONFIG, BOT_CONFIG, { layout_v2: "rich", deleted: "x" });
+
+  assert.equal(config.wheel.prizes[0].id, "rich");
+  assert.equal(config.limits.spinsPerDay, 5);
+  assert.deepEqual(config.copy, { title: "Крути!" });
+  assert.equal(experiments.applyRecordedVariants(BOT_CONFIG, BOT_CONFIG, { layout_v2: "gone" }), BOT_CONFIG);
+});
+
+test("отчёт считает конверсию спинов в лиды по вариантам", async () => {
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", total_spins: 0 });
+  await setDoc(`bots/${BOT_ID}/users/2`, { user_id: "2", total_spins: 0 });
+
+  const { spin } = await repository.saveSpin(BOT_ID, "1", { experiments: { layout_v2: "rich" } }, BOT_CONFIG);
+  await repository.saveSpin(BOT_ID, "2", { experiments: { layout_v2: "rich" } }, BOT_CONFIG);
+  await repository.submitLead(BOT_ID, "1", spin.spin_id, { name: "Иван", phone: "+79991234567" });
+
+  const experiment = experiments.findExperiment(BOT_CONFIG, "layout_v2");
+  const report = experiments.buildReport(experiment, await repository.getExperimentStats(BOT_ID, "layout_v2"));
+
+  assert.deepEqual(report, [
+    { variant_id: "control", weight: 50, spins: 0, leads: 0, conversion: 0 },
+    { variant_id: "rich", weight: 50, spins: 2, leads: 1, conversion: 0.5 },
+    { variant_id: "off", weight: 0, spins: 0, leads: 0, conversion: 0 }
+  ]);
+});
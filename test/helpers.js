@@ -0,0 +1,76 @@
+// test/helpers.js - Общие функции тестов
+//
+// Тесты работают с хранилищем в памяти: перед каждым тестом оно очищается.
+process.env.STORAGE_DRIVER = "memory";
+delete process.env.STORAGE_FILE;
+// stdout тестового процесса занят протоколом node --test (см. services/logger.js)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const crypto = require("crypto");
+const http = require("http");
+const storage = require("../services/storage");
+const memoryAdapter = require("../services/storage/memoryAdapter");
+
+/**
+ * Инициализация и очистка хранилища в памяти
+ */
+async function resetStorage() {
+  if (!storage.isInitialized()) {
+    await storage.initializeStorage();
+  }
+
+  memoryAdapter.reset();
+}
+
+/**
+ * Запись документа напрямую в хранилище
+ */
+async function setDoc(docPath, data) {
+  await storage.getStorage().setDoc(docPath, data);
+}
+
+async function getDoc(docPath) {
+  return storage.getStorage().getDoc(docPath);
+}
+
+/**
+ * Подписанная строка initData, как её формирует Telegram
+ */
+function signInitData(fields, botToken) {
+  const params = new URLSearchParams(fields);
+  const dataCheckString = Array.from(params.entries())
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join("\n");
+
+  const secretKey = crypto.createHmac("sha256", "WebAppData").update(botToken).digest();
+  params.set("hash", crypto.createHmac("sha256", secretKey).update(dataCheckString).digest("hex"));
+
+  return params.toString();
+}
+
+/**
+ * Запуск HTTP-сервера на свободном порту
+ * @param {Function} handler - Express-приложение или (req, res) => {}
+ * @returns {Promise<Object>} { url, close() }
+ */
+function listen(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  resetStorage,
+  setDoc,
+  getDoc,
+  signInitData,
+  listen
+};
@@ -0,0 +1,121 @@
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { resetStorage, listen } = require("./helpers");
+const middleware = require("../middleware/middleware");
+
+let server;
+let calls = 0;
+let failNext = false;
+
+// Пользователь подставляется вместо telegramAuth
+function fakeAuth(req, res, next) {
+  req.botId = "demo";
+  req.botConfig = {};
+  req.telegramUser = { id: String(req.headers["x-user"] || "1") };
+  next();
+}
+
+beforeEach(async () => {
+  await resetStorage();
+  calls = 0;
+  failNext = false;
+
+  if (!server) {
+    const app = express();
+    app.use(express.json());
+    app.post("/api/action", fakeAuth, middleware.idempotency, (req, res) => {
+      calls++;
+
+      if (failNext) {
+        failNext = false;
+        return res.status(500).json({ success: false, code: "BOOM" });
+      }
+
+      res.status(201).json({ success: true, call: calls, amount: req.body.amount });
+    });
+    server = await listen(app);
+  }
+});
+
+after(() => server && server.close());
+
+async function post(body, key, user = "1") {
+  const response = await fetch(`${server.url}/api/action`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Idempotency-Key": key, "X-User": user },
+    body: JSON.stringify(body)
+  });
+
+  // Ответ сохраняется после отправки - даём записи завершиться
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return { status: response.status, replayed: response.headers.get("idempotent-replayed"), body: await response.json() };
+}
+
+test("повтор с тем же ключом получает сохранённый ответ без повторного выполнения", async () => {
+  const first = await post({ amount: 5 }, "key-1");
+  const second = await post({ amount: 5 }, "key-1");
+
+  assert.equal(first.status, 201);
+  assert.equal(second.status, 201);
+  assert.equal(second.replayed, "true");
+  assert.deepEqual(second.body, first.body);
+  assert.equal(calls, 1);
+});
+
+test("ключ с другим телом запроса отклоняется", async () => {
+  await post({ amount: 5 }, "key-2");
+  const mismatch = await post({ amount: 6 }, "key-2");
+
+  assert.equal(mismatch.status, 422);
+  assert.equal(mismatch.body.code, "IDEMPOTENCY_KEY_MISMATCH");
+  assert.equal(calls, 1);
+});
+
+test("ключи разных пользователей не пересекаются", async () => {
+  await post({ amount: 5 }, "key-3", "1");
+  const other = await post({ amount: 5 }, "key-3", "2");
+
+  assert.equal(other.replayed, null);
+  assert.equal(calls, 2);
+});
+
+test("ответ 5xx не сохраняется - запрос можно повторить", async () => {
+  failNext = true;
+  const failed = await post({ amount: 7 }, "key-4");
+  const retried = await post({ amount: 7 }, "key-4");
+
+  assert.equal(failed.status, 500);
+  assert.equal(retried.status, 201);
+  assert.equal(retried.replayed, null);
+  assert.equal(calls, 2);
+});
+
+test("некорректный ключ отклоняется", async () => {
+  const response = await post({ amount: 1 }, "bad key");
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, "INVALID_IDEMPOTENCY_KEY");
+  assert.equal(calls, 0);
+});
+
+test("оборвавшийся запрос держит ключ только на время аренды", async () => {
+  const repository = require("../services/repository");
+  const storage = require("../services/storage");
+  const hash = "h".repeat(64);
+
+  assert.equal((await repository.reserveIdempotencyKey("demo", "1", "lost", hash)).state, "reserved");
+  assert.equal((await repository.reserveIdempotencyKey("demo", "1", "lost", hash)).state, "in_progress");
+
+  // Процесс упал до ответа, аренда истекла
+  const [keyDoc] = await storage.getStorage().query("bots/demo/idempotency_keys", {});
+  assert.ok(keyDoc.data.expires_at.getTime() - Date.now() <= 60 * 1000);
+  await storage.getStorage().updateDoc(`bots/demo/idempotency_keys/${keyDoc.id}`, { lease_until: new Date(Date.now() - 1000) });
+
+  assert.equal((await repository.reserveIdempotencyKey("demo", "1", "lost", hash)).state, "reserved");
+
+  await repository.completeIdempotencyKey("demo", "1", "lost", 200, "{}", 86400);
+  const completed = await repository.reserveIdempotencyKey("demo", "1", "lost", hash);
+  assert.equal(completed.state, "completed");
+  assert.ok(completed.record.expires_at.getTime() - Date.now() > 3600 * 1000);
+});
@@ -0,0 +1,102 @@
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { resetStorage, setDoc, signInitData, listen } = require("./helpers");
+const middleware = require("../middleware/middleware");
+
+const BOT_TOKEN = "123456:TEST-TOKEN";
+const USER = JSON.stringify({ id: 42, first_name: "Иван", language_code: "ru" });
+
+function freshInitData(extra = {}) {
+  return signInitData({ auth_date: String(Math.floor(Date.now() / 1000)), user: USER, ...extra }, BOT_TOKEN);
+}
+
+let server;
+
+beforeEach(async () => {
+  await resetStorage();
+  await setDoc("bots/demo", { botToken: BOT_TOKEN });
+
+  if (!server) {
+    const app = express();
+    app.use(express.json());
+    app.get("/me", middleware.botIdValidator, middleware.telegramAuth, (req, res) => res.json(req.telegramUser));
+    server = await listen(app);
+  }
+});
+
+after(() => server && server.close());
+
+function request(initData, botId = "demo") {
+  const headers = { "X-Bot-ID": botId };
+  if (initData !== undefined) {
+    headers["X-Telegram-Init-Data"] = initData;
+  }
+  return fetch(`${server.url}/me`, { headers });
+}
+
+test("verifyInitData принимает подпись Telegram и возвращает поля", () => {
+  const data = middleware.verifyInitData(freshInitData({ start_param: "c_tiktok" }), BOT_TOKEN);
+
+  assert.ok(data);
+  assert.equal(data.start_param, "c_tiktok");
+  assert.equal(JSON.parse(data.user).id, 42);
+  assert.equal(data.hash, undefined);
+});
+
+test("verifyInitData отклоняет изменённые данные и чужой токен", () => {
+  const initData = freshInitData();
+  const tampered = initData.replace("%D0%98%D0%B2%D0%B0%D0%BD", "Petr");
+
+  assert.notEqual(tampered, initData);
+  assert.equal(middleware.verifyInitData(tampered, BOT_TOKEN), null);
+  assert.equal(middleware.verifyInitData(initData, "654321:OTHER"), null);
+  assert.equal(middleware.verifyInitData(initData.replace(/hash=[^&]+/, "hash=zz"), BOT_TOKEN), null);
+  assert.equal(middleware.verifyInitData("user=1", BOT_TOKEN), null);
+});
+
+test("telegramAuth пропускает запрос с верной подписью", async () => {
+  const response = await request(freshInitData());
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.id, "42");
+  assert.equal(body.is_verified, true);
+});
+
+test("telegramAuth отклоняет запрос без initData, с неверной подписью и просроченный", async () => {
+  assert.equal((await (await request()).json()).code, "MISSING_INIT_DATA");
+  assert.equal((await (await request(freshInitData().replace(/hash=[^&]+/, "hash=00"))).json()).code, "INVALID_INIT_DATA");
+
+  const expired = signInitData({ auth_date: String(Math.floor(Date.now() / 1000) - 2 * 86400), user: USER }, BOT_TOKEN);
+  const response = await request(expired);
+
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).code, "INIT_DATA_EXPIRED");
+});
+
+test("getVerifiedUserId берёт пользователя только из подписанного initData", () => {
+  const botConfig = { botToken: BOT_TOKEN };
+  const requestWith = (initData, query = {}) => ({
+    headers: initData ? { "x-telegram-init-data": initData } : {},
+    query
+  });
+
+  assert.equal(middleware.getVerifiedUserId(requestWith(freshInitData()), botConfig), "42");
+  assert.equal(middleware.getVerifiedUserId(requestWith(null, { userId: "7" }), botConfig), null);
+  assert.equal(middleware.getVerifiedUserId(requestWith(freshInitData().replace(/hash=[^&]+/, "hash=00"), { userId: "7" }), botConfig), null);
+});
+
+test("auth.skipInitDataCheck действует только с ALLOW_UNSIGNED_INIT_DATA=1", () => {
+  const botConfig = { botToken: BOT_TOKEN, auth: { skipInitDataCheck: true } };
+  const unsigned = { headers: {}, query: { userId: "7" } };
+
+  assert.equal(middleware.getVerifiedUserId(unsigned, botConfig), null);
+
+  process.env.ALLOW_UNSIGNED_INIT_DATA = "1";
+  try {
+    assert.equal(middleware.getVerifiedUserId(unsigned, botConfig), "7");
+  } finally {
+    delete process.env.ALLOW_UNSIGNED_INIT_DATA;
+  }
+});
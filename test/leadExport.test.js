@@ -0,0 +1,111 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("stream");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const leadExport = require("../services/leadExport");
+
+async function exportCsv(leads) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", chunk => chunks.push(chunk));
+
+  const exporter = leadExport.createLeadExporter("csv", output);
+  await exporter.start();
+  await exporter.writeLeads(leads);
+  await exporter.finish();
+  output.end();
+
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function hasUnzip() {
+  return spawnSync("unzip", ["-v"]).status === 0;
+}
+
+function parseFirstRow(csv) {
+  return csv.split("\r\n")[1];
+}
+
+test("CSV начинается с BOM и заголовков на русском", async () => {
+  const csv = await exportCsv([]);
+
+  assert.ok(csv.startsWith("\uFEFFID лида,Дата,Статус,Имя,Телефон"));
+  assert.ok(csv.endsWith("\r\n"));
+});
+
+test("CSV экранирует кавычки, запятые и переводы строк", async () => {
+  const csv = await exportCsv([{
+    lead_id: "lead_1",
+    submitted_at: new Date("2024-05-01T10:00:00Z"),
+    name: "Иван, \"Ваня\"\nПетров",
+    phone: "+79991234567"
+  }]);
+
+  assert.ok(csv.includes("lead_1,2024-05-01T10:00:00.000Z,,\"Иван, \"\"Ваня\"\"\nПетров\",+79991234567"));
+});
+
+test("CSV не даёт Excel выполнить формулу из имени", async () => {
+  const payloads = [
+    "=1+1",
+    "@SUM(A1)",
+    "\tcmd",
+    "\rcmd",
+    "-cmd|' /C calc'!A0",
+    "-1+1+cmd|' /C calc'!A0",
+    "+1+HYPERLINK(\"http://evil\")",
+    "+HYPERLINK(\"x\")"
+  ];
+
+  for (const name of payloads) {
+    const row = parseFirstRow(await exportCsv([{ lead_id: "lead_1", name }]));
+    const cell = row.split(",")[3].replace(/^"/, "");
+
+    assert.ok(cell.startsWith("'"), `${JSON.stringify(name)} -> ${cell}`);
+  }
+});
+
+test("CSV оставляет телефоны E.164 и числа без апострофа", async () => {
+  const row = parseFirstRow(await exportCsv([{ lead_id: "lead_1", name: "123", phone: "+79991234567" }]));
+
+  assert.equal(row.split(",")[3], "123");
+  assert.equal(row.split(",")[4], "+79991234567");
+});
+
+test("XLSX - корректный ZIP, который проходит unzip -t", { skip: !hasUnzip() && "unzip не установлен" }, async () => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", chunk => chunks.push(chunk));
+
+  const exporter = leadExport.createLeadExporter("xlsx", output);
+  await exporter.start();
+  for (let page = 0; page < 3; page++) {
+    await exporter.writeLeads(Array.from({ length: 200 }, (_, index) => ({
+      lead_id: `lead_${page}_${index}`,
+      submitted_at: new Date("2024-05-01T10:00:00Z"),
+      name: "Иван <Петров> & \u0007Ко",
+      phone: "+79991234567"
+    })));
+  }
+  await exporter.finish();
+  output.end();
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "xlsx-"));
+  const file = path.join(dir, "leads.xlsx");
+  fs.writeFileSync(file, Buffer.concat(chunks));
+
+  try {
+    const result = spawnSync("unzip", ["-t", file], { encoding: "utf8" });
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /No errors detected/);
+
+    const sheet = spawnSync("unzip", ["-p", file, "xl/worksheets/sheet1.xml"], { encoding: "utf8" }).stdout;
+    assert.equal(sheet.match(/<row>/g).length, 601);
+    assert.ok(sheet.includes("lead_2_199"));
+    assert.ok(sheet.includes("Иван &lt;Петров&gt; &amp; Ко"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
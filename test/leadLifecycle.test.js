@@ -0,0 +1,106 @@
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { resetStorage, setDoc, listen } = require("./helpers");
+const leads = require("../services/leads");
+const repository = require("../services/repository");
+const adminRoutes = require("../routes/admin");
+
+const BOT_ID = "demo";
+const GLOBAL_KEY = "global-secret";
+
+let server;
+
+beforeEach(async () => {
+  await resetStorage();
+  process.env.ADMIN_API_KEY = GLOBAL_KEY;
+  await setDoc(`bots/${BOT_ID}`, {});
+
+  if (!server) {
+    const app = express();
+    app.use(express.json());
+    app.use("/", adminRoutes);
+    server = await listen(app);
+  }
+});
+
+after(() => {
+  delete process.env.ADMIN_API_KEY;
+  return server && server.close();
+});
+
+async function postStatus(leadId, body, headers = {}) {
+  const response = await fetch(`${server.url}/admin/bots/${BOT_ID}/leads/${leadId}/status`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${GLOBAL_KEY}`, ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("переходы статусов лида", () => {
+  assert.doesNotThrow(() => leads.assertTransition("new", "contacted"));
+  assert.doesNotThrow(() => leads.assertTransition(undefined, "invalid"));
+  assert.doesNotThrow(() => leads.assertTransition("contacted", "won"));
+  assert.doesNotThrow(() => leads.assertTransition("lost", "contacted"));
+
+  assert.throws(() => leads.assertTransition("new", "won"), { code: "INVALID_TRANSITION", status: 409 });
+  assert.throws(() => leads.assertTransition("won", "lost"), { code: "INVALID_TRANSITION" });
+  assert.throws(() => leads.assertTransition("invalid", "new"), { code: "INVALID_TRANSITION" });
+  assert.throws(() => leads.assertTransition("new", "archived"), { code: "INVALID_LEAD_STATUS", status: 400 });
+
+  assert.deepEqual(leads.getAllowedTransitions("won"), []);
+});
+
+test("смена статуса и заметки записываются в историю лида", async () => {
+  await setDoc("leads/lead_1", { lead_id: "lead_1", bot_id: BOT_ID, status: "new", submitted_at: new Date() });
+
+  await repository.updateLeadStatus(BOT_ID, "lead_1", { status: "contacted", note: "Позвонил", operator: "sales" });
+  await repository.addLeadNote(BOT_ID, "lead_1", { note: "Перезвонить", operator: "anna" });
+  const lead = await repository.updateLeadStatus(BOT_ID, "lead_1", { status: "won", note: "", operator: "sales" });
+
+  assert.equal(lead.status, "won");
+  assert.equal(lead.handled_by, "sales");
+  assert.deepEqual(lead.history.map(entry => [entry.action, entry.from, entry.to, entry.operator]), [
+    ["status", "new", "contacted", "sales"],
+    ["note", undefined, undefined, "anna"],
+    ["status", "contacted", "won", "sales"]
+  ]);
+
+  await assert.rejects(
+    repository.updateLeadStatus(BOT_ID, "lead_1", { status: "lost", operator: "sales" }),
+    { code: "INVALID_TRANSITION" }
+  );
+});
+
+test("лид другого бота не изменяется", async () => {
+  await setDoc("leads/lead_2", { lead_id: "lead_2", bot_id: "other", status: "new" });
+
+  await assert.rejects(
+    repository.updateLeadStatus(BOT_ID, "lead_2", { status: "contacted", operator: "sales" }),
+    { code: "LEAD_NOT_FOUND", status: 404 }
+  );
+});
+
+test("sanitizeNote", () => {
+  assert.equal(leads.sanitizeNote(undefined), "");
+  assert.equal(leads.sanitizeNote("  Строка 1\nСтрока 2\u0000 "), "Строка 1\nСтрока 2");
+  assert.throws(() => leads.sanitizeNote({}), { code: "INVALID_NOTE" });
+  assert.throws(() => leads.sanitizeNote("x".repeat(1001)), { code: "INVALID_NOTE" });
+});
+
+test("с общим ключом оператор берётся из X-Operator", async () => {
+  await setDoc("leads/lead_3", { lead_id: "lead_3", bot_id: BOT_ID, status: "new" });
+
+  const anonymous = await postStatus("lead_3", { status: "contacted" });
+  assert.equal(anonymous.status, 400);
+  assert.equal(anonymous.body.code, "OPERATOR_REQUIRED");
+
+  const invalid = await postStatus("lead_3", { status: "contacted" }, { "X-Operator": "anna petrova" });
+  assert.equal(invalid.body.code, "OPERATOR_REQUIRED");
+
+  const { status, body } = await postStatus("lead_3", { status: "contacted" }, { "X-Operator": "anna" });
+  assert.equal(status, 200);
+  assert.equal(body.lead.handled_by, "anna");
+  assert.equal(body.lead.history[0].operator, "anna");
+});
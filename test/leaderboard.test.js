@@ -0,0 +1,28 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc } = require("./helpers");
+const repository = require("../services/repository");
+const wallet = require("../services/wallet");
+
+const BOT_ID = "demo";
+
+beforeEach(resetStorage);
+
+test("начисление баллов админом попадает в рейтинг, списание очки не уменьшает", async () => {
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", username: "ivan", points_balance: 0 });
+
+  const grant = (amount, id) => repository.applyPointsOperation(BOT_ID, "1", {
+    amount,
+    reason: wallet.LEDGER_REASONS.ADMIN_GRANT,
+    reference: { type: "admin", id }
+  });
+
+  await grant(50, "g1");
+  await grant(50, "g1");
+  await grant(-20, "g2");
+
+  const [top] = await repository.getLeaderboard(BOT_ID, "points_all", 10);
+  assert.equal(top.user_id, "1");
+  assert.equal(top.display_name, "@ivan");
+  assert.equal(top.score, 50);
+});
@@ -0,0 +1,36 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const leads = require("../services/leads");
+
+test("normalizePhone приводит номера к E.164", () => {
+  assert.equal(leads.normalizePhone("8 (999) 123-45-67"), "+79991234567");
+  assert.equal(leads.normalizePhone("999 123 45 67"), "+79991234567");
+  assert.equal(leads.normalizePhone("+7 999 123-45-67"), "+79991234567");
+  assert.equal(leads.normalizePhone("007 999 123 45 67"), "+79991234567");
+  assert.equal(leads.normalizePhone("79991234567"), "+79991234567");
+  assert.equal(leads.normalizePhone("8 029 123 45 67", "BY"), "+375291234567");
+  assert.equal(leads.normalizePhone("050 123 4567", "UA"), "+380501234567");
+  assert.equal(leads.normalizePhone("(415) 555-2671", "US"), "+14155552671");
+});
+
+test("normalizePhone отклоняет неразборчивые номера", () => {
+  assert.equal(leads.normalizePhone("12345"), null);
+  assert.equal(leads.normalizePhone("+0123456789"), null);
+  assert.equal(leads.normalizePhone("+1234567890123456"), null);
+  assert.equal(leads.normalizePhone("8-999-ABC-45-67"), null);
+  assert.equal(leads.normalizePhone(""), null);
+  assert.equal(leads.normalizePhone(79991234567), null);
+});
+
+test("validateLead очищает имя и проверяет контакты", () => {
+  assert.deepEqual(leads.validateLead({ name: "  <b>Иван</b>\u0007  Петров ", phone: "8 999 123 45 67" }, {}), {
+    name: "Иван Петров",
+    phone: "+79991234567",
+    phone_raw: "8 999 123 45 67"
+  });
+
+  assert.throws(() => leads.validateLead({}, {}), { code: "NO_CONTACT_DATA" });
+  assert.throws(() => leads.validateLead({ name: "123" }, {}), { code: "INVALID_NAME" });
+  assert.throws(() => leads.validateLead({ phone: "12" }, {}), { code: "INVALID_PHONE" });
+  assert.equal(leads.validateLead({ phone: "29 123 45 67" }, { leads: { defaultCountry: "BY" } }).phone, "+375291234567");
+});
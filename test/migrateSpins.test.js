@@ -0,0 +1,34 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc, getDoc } = require("./helpers");
+const storage = require("../services/storage");
+const { migrateUser } = require("../scripts/migrate-spins");
+
+const BOT_ID = "demo";
+
+beforeEach(resetStorage);
+
+test("миграция сохраняет в recent_spins спины, сделанные после обновления", async () => {
+  const userData = {
+    user_id: "1",
+    spins: [
+      { spin_id: "old_1", prize: "Старый 1", timestamp: "2024-01-01T10:00:00.000Z" },
+      { spin_id: "old_2", prize: "Старый 2", timestamp: "2024-01-02T10:00:00.000Z" }
+    ],
+    recent_spins: [
+      { spin_id: "new_1", prize: "Новый", prize_type: "points", prize_value: 10, timestamp: new Date("2024-02-01T10:00:00.000Z") },
+      { spin_id: "old_2", prize: "Старый 2", prize_type: "points", prize_value: 0, timestamp: new Date("2024-01-02T10:00:00.000Z") }
+    ]
+  };
+  await setDoc(`bots/${BOT_ID}/users/1`, userData);
+
+  const migrated = await migrateUser(storage.getStorage(), BOT_ID, { id: "1", data: userData }, false);
+  assert.equal(migrated, 2);
+
+  const user = await getDoc(`bots/${BOT_ID}/users/1`);
+  assert.equal(user.spins, undefined);
+  assert.deepEqual(user.recent_spins.map(spin => spin.spin_id), ["new_1", "old_2", "old_1"]);
+
+  const spin = await getDoc(`bots/${BOT_ID}/users/1/spins/old_1`);
+  assert.deepEqual(spin.timestamp, new Date("2024-01-01T10:00:00.000Z"));
+});
@@ -0,0 +1,83 @@
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc, getDoc } = require("./helpers");
+const notifications = require("../services/notifications");
+const outbox = require("../services/outbox");
+const telegramClient = require("../services/telegramClient");
+
+const BOT_ID = "demo";
+const BOT_CONFIG = {
+  botToken: "123:token",
+  notifications: { enabled: true },
+  wheel: { prizes: [{ id: "mug", text: "Кружка", probability: 1, claimInstructions: { ru: "Заберите в магазине", en: "Pick it up in store" } }] }
+};
+const SPIN = { spin_id: "spin_1", prize: "Кружка", prize_id: "mug" };
+
+let messages;
+
+beforeEach(async () => {
+  await resetStorage();
+  messages = [];
+
+  telegramClient.setTelegramClient({
+    sendMessage: async (botToken, chatId, text) => {
+      messages.push({ chatId, text });
+      return { message_id: messages.length };
+    }
+  });
+
+  await setDoc(`bots/${BOT_ID}`, BOT_CONFIG);
+  await setDoc(`bots/${BOT_ID}/users/1/spins/spin_1`, SPIN);
+});
+
+after(() => telegramClient.setTelegramClient(null));
+
+test("без включённых уведомлений и токена задача не ставится", async () => {
+  assert.equal(await notifications.notifyWin(BOT_ID, { ...BOT_CONFIG, notifications: {} }, { id: 1 }, SPIN, "spin"), false);
+  assert.equal(await notifications.notifyWin(BOT_ID, { ...BOT_CONFIG, botToken: null }, { id: 1 }, SPIN, "spin"), false);
+  assert.equal(await getDoc("outbox/notify_spin_spin_1"), null);
+});
+
+test("уведомление о выигрыше доставляется на языке пользователя, статус пишется в спин", async () => {
+  const user = { id: 1, first_name: "Ivan", language_code: "en-US" };
+
+  assert.equal(await notifications.notifyWin(BOT_ID, BOT_CONFIG, user, SPIN, "spin"), true);
+  assert.equal(await notifications.notifyWin(BOT_ID, BOT_CONFIG, user, SPIN, "spin"), false);
+
+  await outbox.processDueJobs();
+
+  assert.deepEqual(messages, [{ chatId: 1, text: "🎉 Ivan, you won: Кружка!\n\nPick it up in store" }]);
+
+  const spin = await getDoc(`bots/${BOT_ID}/users/1/spins/spin_1`);
+  assert.equal(spin.notifications.spin.status, "sent");
+  assert.equal(spin.notifications.spin.message_id, 1);
+});
+
+test("промокод подставляется в шаблон, бот может переопределить шаблоны", async () => {
+  const botConfig = { ...BOT_CONFIG, notifications: { enabled: true, templates: { ru: { lead: "Заявка на {prize} принята" } } } };
+
+  await notifications.notifyWin(BOT_ID, botConfig, { id: 1, first_name: "Иван" }, { ...SPIN, promo_code: "CODE1" }, "spin");
+  await notifications.notifyWin(BOT_ID, botConfig, { id: 1 }, SPIN, "lead");
+  await outbox.processDueJobs();
+
+  assert.deepEqual(messages.map(message => message.text).sort(), [
+    "Заявка на Кружка принята",
+    "🎉 Иван, вы выиграли: Кружка!\n\nВаш промокод: CODE1\n\nЗаберите в магазине"
+  ]);
+});
+
+test("заблокированный бот не повторяет доставку", async () => {
+  telegramClient.setTelegramClient(telegramClient.createTelegramClient({
+    httpClient: {
+      post: async () => ({ status: 403, data: { ok: false, error_code: 403, description: "Forbidden: bot was blocked by the user" } })
+    }
+  }));
+
+  await notifications.notifyWin(BOT_ID, BOT_CONFIG, { id: 1 }, SPIN, "spin");
+  await outbox.processDueJobs();
+
+  const job = await getDoc("outbox/notify_spin_spin_1");
+  assert.equal(job.status, "failed");
+  assert.equal(job.attempts, 1);
+  assert.equal((await getDoc(`bots/${BOT_ID}/users/1/spins/spin_1`)).notifications.spin.status, "failed");
+});
@@ -0,0 +1,70 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc } = require("./helpers");
+const repository = require("../services/repository");
+const prizeEngine = require("../services/prizeEngine");
+
+const BOT_ID = "demo";
+
+function botConfig(prizes) {
+  return { limits: { spinsPerDay: 10 }, wheel: { prizes } };
+}
+
+async function createUser(userId) {
+  await setDoc(`bots/${BOT_ID}/users/${userId}`, { user_id: userId, total_spins: 0, attempts_left: 10 });
+}
+
+beforeEach(resetStorage);
+
+test("prizeEngine: одинаковые seed и nonce дают один и тот же сегмент", () => {
+  const seeds = { server_seed: "a".repeat(64), client_seed: "client", nonce: 1 };
+  const prizes = [{ id: "a", probability: 0 }, { id: "b", probability: 2 }, { id: "c", probability: 1 }];
+
+  const first = prizeEngine.spin(prizes, seeds);
+  const second = prizeEngine.spin(prizes, seeds);
+
+  assert.deepEqual(first, second);
+  assert.notEqual(first.segment_index, 0);
+  assert.ok(first.roll >= 0 && first.roll < 1);
+});
+
+test("prizeEngine: некорректные вероятности отклоняются", () => {
+  assert.throws(() => prizeEngine.validatePrizes([{ id: "a", probability: -1 }]), { code: "INVALID_WHEEL_CONFIG" });
+  assert.throws(() => prizeEngine.validatePrizes([{ id: "a", probability: 0 }]), { code: "INVALID_WHEEL_CONFIG" });
+  assert.doesNotThrow(() => prizeEngine.validatePrizes([{ id: "a", probability: 3 }, { id: "b", probability: 1 }]));
+});
+
+test("prizeEngine: спин проверяется по раскрытому seed", () => {
+  const { server_seed, server_seed_hash } = prizeEngine.createServerSeed();
+  const prizes = prizeEngine.DEFAULT_PRIZES;
+  const outcome = prizeEngine.spin(prizes, { server_seed, client_seed: "client", nonce: 3 });
+  const record = {
+    server_seed,
+    server_seed_hash,
+    client_seed: "client",
+    nonce: 3,
+    weights: outcome.weights,
+    segment_index: outcome.segment_index
+  };
+
+  assert.equal(prizeEngine.verifySpin(record), true);
+  assert.equal(prizeEngine.verifySpin({ ...record, nonce: 4, segment_index: -1 }), false);
+  assert.equal(prizeEngine.verifySpin({ ...record, server_seed_hash: "0".repeat(64) }), false);
+});
+
+test("saveSpin раскрывает seed, хэш которого был опубликован до спина", async () => {
+  await createUser("1");
+  const commitment = await repository.getFairnessCommitment(BOT_ID, "1");
+
+  const result = await repository.saveSpin(BOT_ID, "1", { clientSeed: "my-seed" }, botConfig(prizeEngine.DEFAULT_PRIZES));
+  const fairness = result.spin.fairness;
+
+  assert.equal(fairness.server_seed_hash, commitment.server_seed_hash);
+  assert.equal(fairness.client_seed, "my-seed");
+  assert.equal(fairness.committed, true);
+  assert.equal(prizeEngine.verifySpin({ ...fairness, segment_index: result.spin.segment_index }), true);
+
+  const next = await repository.getFairnessCommitment(BOT_ID, "1");
+  assert.equal(next.server_seed_hash, result.fairness.next_server_seed_hash);
+  assert.notEqual(next.server_seed_hash, commitment.server_seed_hash);
+});
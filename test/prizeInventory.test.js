@@ -0,0 +1,107 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc, getDoc } = require("./helpers");
+const repository = require("../services/repository");
+const prizeInventory = require("../services/prizeInventory");
+
+const BOT_ID = "demo";
+
+function botConfig(prizes, extra = {}) {
+  return { limits: { spinsPerDay: 10 }, wheel: { prizes, ...extra } };
+}
+
+async function createUser(userId) {
+  await setDoc(`bots/${BOT_ID}/users/${userId}`, { user_id: userId, total_spins: 0, attempts_left: 10 });
+}
+
+beforeEach(resetStorage);
+
+test("getStockStatus: общий, дневной остаток и лимит на пользователя", () => {
+  const prize = { id: "box", stock: { total: 5, daily: 2, perUser: 1 } };
+
+  assert.deepEqual(prizeInventory.getStockStatus(prize, { won_total: 3, won_today: 2, day: "2024-05-01" }, {}, "2024-05-01"), {
+    available: false,
+    sold_out: false,
+    sold_out_today: true,
+    user_limit_reached: false,
+    remaining_total: 2,
+    remaining_today: 0
+  });
+
+  // Счётчик вчерашнего дня не учитывается
+  assert.equal(prizeInventory.getStockStatus(prize, { won_total: 3, won_today: 2, day: "2024-04-30" }, {}, "2024-05-01").available, true);
+  assert.equal(prizeInventory.getStockStatus(prize, null, { box: 1 }, "2024-05-01").user_limit_reached, true);
+});
+
+test("приз с исчерпанным общим остатком заменяется fallback-призом", async () => {
+  const config = botConfig([
+    { id: "grand", text: "Главный приз", probability: 1, stock: { total: 1 }, type: "grand_prize" },
+    { id: "small", text: "10 баллов", probability: 0, value: 10, type: "points" }
+  ], { fallbackPrizeId: "small" });
+
+  await createUser("1");
+  await createUser("2");
+
+  const first = await repository.saveSpin(BOT_ID, "1", {}, config);
+  const second = await repository.saveSpin(BOT_ID, "2", {}, config);
+
+  assert.equal(first.spin.prize_id, "grand");
+  assert.equal(second.spin.prize_id, "small");
+  assert.deepEqual(second.spin.fairness.weights, [0, 1]);
+
+  const stock = await getDoc(`bots/${BOT_ID}/prize_stock/grand`);
+  assert.equal(stock.won_total, 1);
+});
+
+test("лимит приза на пользователя не мешает другим пользователям", async () => {
+  const config = botConfig([
+    { id: "box", text: "Подарок", probability: 1, stock: { perUser: 1 }, type: "gift" },
+    { id: "small", text: "10 баллов", probability: 0, value: 10, type: "points" }
+  ], { fallbackPrizeId: "small" });
+
+  await createUser("1");
+  await createUser("2");
+
+  assert.equal((await repository.saveSpin(BOT_ID, "1", {}, config)).spin.prize_id, "box");
+  assert.equal((await repository.saveSpin(BOT_ID, "1", {}, config)).spin.prize_id, "small");
+  assert.equal((await repository.saveSpin(BOT_ID, "2", {}, config)).spin.prize_id, "box");
+});
+
+test("дневной остаток приза", async () => {
+  const config = botConfig([
+    { id: "daily", text: "Приз дня", probability: 1, stock: { daily: 1 }, type: "gift" },
+    { id: "small", text: "10 баллов", probability: 0, value: 10, type: "points" }
+  ], { fallbackPrizeId: "small" });
+
+  await createUser("1");
+  await createUser("2");
+
+  assert.equal((await repository.saveSpin(BOT_ID, "1", {}, config)).spin.prize_id, "daily");
+  assert.equal((await repository.saveSpin(BOT_ID, "2", {}, config)).spin.prize_id, "small");
+});
+
+test("без fallback-приза и остатков спин отклоняется", async () => {
+  const config = botConfig([
+    { id: "grand", text: "Главный приз", probability: 1, stock: { total: 0 }, type: "grand_prize" }
+  ]);
+
+  await createUser("1");
+
+  await assert.rejects(
+    repository.saveSpin(BOT_ID, "1", {}, config),
+    error => error.code === "NO_PRIZES_AVAILABLE" && error.status === 409
+  );
+});
+
+test("лимит на пользователя работает для ID приза с точкой", async () => {
+  const config = botConfig([
+    { id: "main.prize", text: "Главный", probability: 1, stock: { perUser: 1 }, type: "gift" },
+    { id: "small", text: "10 баллов", probability: 0, value: 10, type: "points" }
+  ], { fallbackPrizeId: "small" });
+
+  await createUser("1");
+
+  assert.equal((await repository.saveSpin(BOT_ID, "1", {}, config)).spin.prize_id, "main.prize");
+  assert.equal((await repository.saveSpin(BOT_ID, "1", {}, config)).spin.prize_id, "small");
+  assert.deepEqual((await getDoc(`bots/${BOT_ID}/users/1`)).prizes_won, { "main.prize": 1 });
+});
@@ -0,0 +1,57 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc, getDoc } = require("./helpers");
+const repository = require("../services/repository");
+const promoCodes = require("../services/promoCodes");
+
+const BOT_ID = "demo";
+
+function botConfig(prizes, extra = {}) {
+  return { limits: { spinsPerDay: 10 }, wheel: { prizes, ...extra } };
+}
+
+async function createUser(userId) {
+  await setDoc(`bots/${BOT_ID}/users/${userId}`, { user_id: userId, total_spins: 0, attempts_left: 10 });
+}
+
+beforeEach(resetStorage);
+
+test("normalizeCodes убирает пробелы, повторы и недопустимые коды", () => {
+  assert.deepEqual(promoCodes.normalizeCodes([" CODE1 ", "CODE1", "CODE 2", "", "КОД", 5, "x".repeat(65)]), {
+    codes: ["CODE1"],
+    invalid: ["CODE 2", "", "КОД", 5, "x".repeat(65)]
+  });
+});
+
+test("повторно загруженные коды не попадают в пул", async () => {
+  assert.deepEqual(await repository.addPromoCodes(BOT_ID, "sale", ["CODE1", "CODE2"]), { added: 2, duplicates: 0 });
+  assert.deepEqual(await repository.addPromoCodes(BOT_ID, "sale", ["CODE2", "CODE3"]), { added: 1, duplicates: 1 });
+
+  assert.deepEqual(await repository.getPromoPools(BOT_ID, ["sale", "empty"]), [
+    { prize_id: "sale", total: 3, issued: 0, remaining: 3 },
+    { prize_id: "empty", total: 0, issued: 0, remaining: 0 }
+  ]);
+
+  const code = await getDoc(`bots/${BOT_ID}/promo_codes/${promoCodes.getCodeId("sale", "CODE3")}`);
+  assert.equal(code.status, "available");
+});
+
+test("каждый спин на промокод получает свой код, пустой пул уступает fallback-призу", async () => {
+  const config = botConfig([
+    { id: "sale", text: "Скидка", probability: 1, type: "promo_code" },
+    { id: "small", text: "10 баллов", probability: 0, value: 10, type: "points" }
+  ], { fallbackPrizeId: "small" });
+
+  await repository.addPromoCodes(BOT_ID, "sale", ["CODE1", "CODE2"]);
+  for (const userId of ["1", "2", "3"]) {
+    await createUser(userId);
+  }
+
+  const results = await Promise.all(["1", "2"].map(userId => repository.saveSpin(BOT_ID, userId, {}, config)));
+  const codes = results.map(result => result.spin.promo_code).sort();
+  assert.deepEqual(codes, ["CODE1", "CODE2"]);
+
+  const third = await repository.saveSpin(BOT_ID, "3", {}, config);
+  assert.equal(third.spin.prize_id, "small");
+  assert.equal(third.spin.promo_code, null);
+});
@@ -0,0 +1,73 @@
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc, getDoc } = require("./helpers");
+const repository = require("../services/repository");
+const outbox = require("../services/outbox");
+const purchases = require("../services/purchases");
+const telegramClient = require("../services/telegramClient");
+
+const BOT_ID = "demo";
+
+let refunds = [];
+
+beforeEach(async () => {
+  await resetStorage();
+  refunds = [];
+
+  telegramClient.setTelegramClient({
+    refundStarPayment: async (botToken, userId, chargeId) => {
+      refunds.push({ botToken, userId, chargeId });
+      return true;
+    }
+  });
+
+  await setDoc(`bots/${BOT_ID}`, { botToken: "123:token" });
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", bonus_attempts: 0 });
+  await repository.createPurchase(BOT_ID, {
+    purchase_id: "pur_1",
+    user_id: "1",
+    pack_id: "pack5",
+    spins: 5,
+    stars: 50,
+    currency: "XTR"
+  });
+});
+
+after(() => telegramClient.setTelegramClient(null));
+
+function paymentMessage(chargeId, totalAmount) {
+  return {
+    from: { id: 1 },
+    successful_payment: {
+      telegram_payment_charge_id: chargeId,
+      invoice_payload: "pur_1",
+      currency: "XTR",
+      total_amount: totalAmount
+    }
+  };
+}
+
+test("оплаченная покупка начисляет попытки без возврата", async () => {
+  const result = await purchases.handleSuccessfulPayment(BOT_ID, paymentMessage("charge_1", 50));
+  await outbox.processDueJobs();
+
+  assert.equal(result.status, "credited");
+  assert.equal((await getDoc(`bots/${BOT_ID}/users/1`)).bonus_attempts, 5);
+  assert.deepEqual(refunds, []);
+});
+
+test("несопоставленный платёж возвращается через refundStarPayment", async () => {
+  await purchases.handleSuccessfulPayment(BOT_ID, paymentMessage("charge_1", 50));
+  // Второй платёж за уже оплаченную покупку
+  const result = await purchases.handleSuccessfulPayment(BOT_ID, paymentMessage("charge_2", 50));
+  await purchases.handleSuccessfulPayment(BOT_ID, paymentMessage("charge_2", 50));
+  await outbox.processDueJobs();
+
+  assert.equal(result.status, "unmatched");
+  assert.deepEqual(refunds, [{ botToken: "123:token", userId: "1", chargeId: "charge_2" }]);
+
+  const payment = await getDoc(`bots/${BOT_ID}/payments/charge_2`);
+  assert.equal(payment.status, "refunded");
+  assert.equal(payment.refund.status, "sent");
+  assert.equal((await getDoc(`bots/${BOT_ID}/users/1`)).bonus_attempts, 5);
+});
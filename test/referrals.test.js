@@ -0,0 +1,58 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc, getDoc } = require("./helpers");
+const repository = require("../services/repository");
+const referrals = require("../services/referrals");
+
+const BOT_ID = "demo";
+const BOT_CONFIG = { referrals: { qualifyOn: "first_spin", reward: { bonusAttempts: 2, points: 50 }, dailyCap: 1 } };
+
+async function createUser(userId) {
+  await setDoc(`bots/${BOT_ID}/users/${userId}`, { user_id: userId, invited_users: [], referrals: 0, bonus_attempts: 0, points_balance: 0 });
+}
+
+beforeEach(async () => {
+  await resetStorage();
+  for (const userId of ["1", "2", "3"]) {
+    await createUser(userId);
+  }
+});
+
+test("себя и своего реферера пригласить нельзя", async () => {
+  assert.equal((await repository.addReferral(BOT_ID, "1", "1")).reason, "self_referral");
+  assert.equal((await repository.addReferral(BOT_ID, "1", "2")).added, true);
+  assert.equal((await repository.addReferral(BOT_ID, "2", "1")).reason, "referral_loop");
+  assert.equal((await repository.addReferral(BOT_ID, "3", "2")).reason, "already_referred");
+  assert.equal((await repository.addReferral(BOT_ID, "missing", "3")).reason, "referrer_not_found");
+});
+
+test("награда начисляется один раз после целевого действия приглашённого", async () => {
+  await repository.addReferral(BOT_ID, "1", "2");
+
+  assert.equal(await referrals.handleQualifyingAction(BOT_ID, "2", "subscription", BOT_CONFIG), null);
+  assert.equal((await getDoc(`bots/${BOT_ID}/referrals/2`)).status, "pending");
+
+  const result = await referrals.handleQualifyingAction(BOT_ID, "2", "first_spin", BOT_CONFIG);
+  assert.deepEqual(result, { referrerId: "1", rewarded: true, reward: { bonusAttempts: 2, points: 50 } });
+  assert.equal(await referrals.handleQualifyingAction(BOT_ID, "2", "first_spin", BOT_CONFIG), null);
+
+  const referrer = await getDoc(`bots/${BOT_ID}/users/1`);
+  assert.equal(referrer.bonus_attempts, 2);
+  assert.equal(referrer.points_balance, 50);
+  assert.equal(referrer.qualified_referrals, 1);
+});
+
+test("сверх dailyCap реферал засчитывается без награды", async () => {
+  await repository.addReferral(BOT_ID, "1", "2");
+  await repository.addReferral(BOT_ID, "1", "3");
+
+  await referrals.handleQualifyingAction(BOT_ID, "2", "first_spin", BOT_CONFIG);
+  const second = await referrals.handleQualifyingAction(BOT_ID, "3", "first_spin", BOT_CONFIG);
+
+  assert.equal(second.rewarded, false);
+  assert.equal((await getDoc(`bots/${BOT_ID}/referrals/3`)).reward_skipped, "daily_cap");
+
+  const referrer = await getDoc(`bots/${BOT_ID}/users/1`);
+  assert.equal(referrer.bonus_attempts, 2);
+  assert.equal(referrer.qualified_referrals, 2);
+});
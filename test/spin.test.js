@@ -0,0 +1,51 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc } = require("./helpers");
+const repository = require("../services/repository");
+const prizeEngine = require("../services/prizeEngine");
+
+const BOT_ID = "demo";
+
+function botConfig(prizes) {
+  return { limits: { spinsPerDay: 10 }, wheel: { prizes } };
+}
+
+async function createUser(userId) {
+  await setDoc(`bots/${BOT_ID}/users/${userId}`, { user_id: userId, total_spins: 0, attempts_left: 10 });
+}
+
+beforeEach(resetStorage);
+
+test("конкуренция за хранилище возвращает повторяемую 503, а не CONCURRENT_SPIN", async () => {
+  const storage = require("../services/storage");
+  const { STORAGE_ERROR_CODES, createStorageError } = require("../services/storage/errors");
+  const adapter = storage.getStorage();
+  const runTransaction = adapter.runTransaction;
+
+  await createUser("1");
+  adapter.runTransaction = async () => {
+    throw createStorageError(STORAGE_ERROR_CODES.ABORTED, "aborted");
+  };
+
+  try {
+    await assert.rejects(
+      repository.saveSpin(BOT_ID, "1", {}, botConfig(prizeEngine.DEFAULT_PRIZES)),
+      error => error.code === "STORAGE_BUSY" && error.status === 503 && error.details.retryable === true
+    );
+  } finally {
+    adapter.runTransaction = runTransaction;
+  }
+});
+
+test("двойное нажатие одного пользователя - CONCURRENT_SPIN", async () => {
+  await createUser("1");
+  const config = botConfig(prizeEngine.DEFAULT_PRIZES);
+
+  const results = await Promise.allSettled([
+    repository.saveSpin(BOT_ID, "1", {}, config),
+    repository.saveSpin(BOT_ID, "1", {}, config)
+  ]);
+
+  assert.equal(results.filter(result => result.status === "fulfilled").length, 1);
+  assert.equal(results.find(result => result.status === "rejected").reason.code, "CONCURRENT_SPIN");
+});
@@ -0,0 +1,59 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc } = require("./helpers");
+const spinDay = require("../services/spinDay");
+const repository = require("../services/repository");
+const prizeEngine = require("../services/prizeEngine");
+
+const BOT_ID = "demo";
+const MOSCOW = { schedule: { timezone: "Europe/Moscow", resetHour: 3 } };
+
+beforeEach(resetStorage);
+
+test("день вращений начинается в час сброса по часовому поясу бота", () => {
+  // 02:30 и 03:30 по Москве 2 мая
+  assert.equal(spinDay.getSpinDay(MOSCOW, new Date("2024-05-01T23:30:00Z")), "2024-05-01");
+  assert.equal(spinDay.getSpinDay(MOSCOW, new Date("2024-05-02T00:30:00Z")), "2024-05-02");
+  assert.equal(spinDay.getSpinDay({}, new Date("2024-05-01T23:30:00Z")), "2024-05-01");
+
+  assert.deepEqual(spinDay.getNextResetAt(MOSCOW, new Date("2024-05-01T12:00:00Z")), new Date("2024-05-02T00:00:00Z"));
+});
+
+test("следующий сброс учитывает переход на летнее время", () => {
+  const newYork = { schedule: { timezone: "America/New_York" } };
+
+  assert.deepEqual(spinDay.getNextResetAt(newYork, new Date("2024-03-09T12:00:00Z")), new Date("2024-03-10T05:00:00Z"));
+  assert.deepEqual(spinDay.getNextResetAt(newYork, new Date("2024-03-10T12:00:00Z")), new Date("2024-03-11T04:00:00Z"));
+});
+
+test("неизвестный часовой пояс и час сброса заменяются значениями по умолчанию", () => {
+  assert.deepEqual(spinDay.getScheduleSettings({ schedule: { timezone: "Mars/Base", resetHour: 24 } }), {
+    timezone: "UTC",
+    resetHour: 0
+  });
+  assert.equal(spinDay.getSpinWeek({}, new Date("2024-05-05T10:00:00Z")), "2024-04-29");
+  assert.equal(spinDay.getDaysBetween("2024-02-28", "2024-03-01"), 2);
+});
+
+test("дневной лимит вращений", async () => {
+  const config = { limits: { spinsPerDay: 1 }, wheel: { prizes: prizeEngine.DEFAULT_PRIZES } };
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", total_spins: 0, attempts_left: 10 });
+
+  await repository.saveSpin(BOT_ID, "1", {}, config);
+  await assert.rejects(repository.saveSpin(BOT_ID, "1", {}, config), error => error.code === "DAILY_LIMIT_REACHED");
+});
+
+test("в новый день вращений счётчик спинов начинается заново", async () => {
+  const config = { limits: { spinsPerDay: 1 }, wheel: { prizes: prizeEngine.DEFAULT_PRIZES } };
+  await setDoc(`bots/${BOT_ID}/users/1`, {
+    user_id: "1",
+    total_spins: 5,
+    spins_today: 1,
+    attempts_left: 0,
+    last_reset_day: "2024-01-01"
+  });
+
+  const result = await repository.saveSpin(BOT_ID, "1", {}, config);
+  assert.equal(result.spins_today, 1);
+  assert.equal(result.total_spins, 6);
+});
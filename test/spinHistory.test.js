@@ -0,0 +1,73 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc, getDoc } = require("./helpers");
+const repository = require("../services/repository");
+const prizeEngine = require("../services/prizeEngine");
+
+const BOT_ID = "demo";
+
+beforeEach(resetStorage);
+
+test("история спинов листается страницами от новых к старым", async () => {
+  for (const [spinId, day] of [["spin_a", 1], ["spin_b", 2], ["spin_c", 3]]) {
+    await setDoc(`bots/${BOT_ID}/users/1/spins/${spinId}`, {
+      spin_id: spinId,
+      prize: "10 баллов",
+      timestamp: new Date(`2024-05-0${day}T10:00:00.000Z`)
+    });
+  }
+
+  const first = await repository.getUserSpins(BOT_ID, "1", { limit: 2 });
+  assert.deepEqual(first.spins.map(spin => spin.spin_id), ["spin_c", "spin_b"]);
+  assert.equal(first.next_cursor, "spin_b");
+
+  const second = await repository.getUserSpins(BOT_ID, "1", { limit: 2, cursor: first.next_cursor });
+  assert.deepEqual(second.spins.map(spin => spin.spin_id), ["spin_a"]);
+  assert.equal(second.next_cursor, null);
+});
+
+test("спин пишется в подколлекцию, в документе пользователя остаётся окно recent_spins", async () => {
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", total_spins: 0, attempts_left: 10 });
+
+  const { spin } = await repository.saveSpin(BOT_ID, "1", {}, { limits: { spinsPerDay: 10 }, wheel: { prizes: prizeEngine.DEFAULT_PRIZES } });
+
+  assert.equal((await getDoc(`bots/${BOT_ID}/users/1/spins/${spin.spin_id}`)).prize, spin.prize);
+
+  const user = await getDoc(`bots/${BOT_ID}/users/1`);
+  assert.equal(user.spins, undefined);
+  assert.deepEqual(user.recent_spins.map(item => item.spin_id), [spin.spin_id]);
+});
+
+test("лид по спину из старого массива spins переносит спин в подколлекцию", async () => {
+  await setDoc(`bots/${BOT_ID}/users/1`, {
+    user_id: "1",
+    spins: [{ spin_id: "spin_old", prize: "Скидка 5%", timestamp: "2023-12-01T10:00:00.000Z", claimed: false }]
+  });
+
+  assert.equal((await repository.getSpin(BOT_ID, "1", "spin_old")).prize, "Скидка 5%");
+
+  const { lead } = await repository.submitLead(BOT_ID, "1", "spin_old", { name: "Иван", phone: "+79991234567" });
+  assert.equal(lead.prize, "Скидка 5%");
+
+  const spin = await getDoc(`bots/${BOT_ID}/users/1/spins/spin_old`);
+  assert.equal(spin.lead_submitted, true);
+  assert.deepEqual(spin.timestamp, new Date("2023-12-01T10:00:00.000Z"));
+
+  await assert.rejects(
+    repository.submitLead(BOT_ID, "1", "spin_old", { name: "Иван", phone: "+79991234567" }),
+    { code: "LEAD_ALREADY_SUBMITTED" }
+  );
+  await assert.rejects(
+    repository.submitLead(BOT_ID, "1", "spin_missing", { name: "Иван", phone: "+79991234567" }),
+    { code: "SPIN_NOT_FOUND" }
+  );
+});
+
+test("выгрузка подставляет приз старого лида из массива spins", async () => {
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", spins: [{ spinId: "spin_old", prize: "Кружка", prize_id: "mug" }] });
+  await setDoc("leads/lead_old", { lead_id: "lead_old", bot_id: BOT_ID, user_id: "1", spin_id: "spin_old", submitted_at: new Date() });
+
+  const { leads: [lead] } = await repository.getLeadsPage(BOT_ID, {});
+  assert.equal(lead.prize, "Кружка");
+  assert.equal(lead.prize_id, "mug");
+});
@@ -0,0 +1,76 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage } = require("./helpers");
+const storage = require("../services/storage");
+
+const { FieldValue, STORAGE_ERROR_CODES } = storage;
+
+let db;
+
+beforeEach(async () => {
+  await resetStorage();
+  db = storage.getStorage();
+});
+
+test("update меняет вложенные поля, специальные значения применяются к текущим", async () => {
+  await db.setDoc("users/1", { profile: { name: "Иван", city: "Москва" }, score: 1, tags: ["a"] });
+
+  await db.updateDoc("users/1", {
+    "profile.city": "Казань",
+    score: FieldValue.increment(2),
+    tags: FieldValue.arrayUnion("a", "b"),
+    seen_at: FieldValue.serverTimestamp()
+  });
+
+  const user = await db.getDoc("users/1");
+  assert.deepEqual(user.profile, { name: "Иван", city: "Казань" });
+  assert.equal(user.score, 3);
+  assert.deepEqual(user.tags, ["a", "b"]);
+  assert.ok(user.seen_at instanceof Date);
+
+  await assert.rejects(db.createDoc("users/1", {}), { code: STORAGE_ERROR_CODES.ALREADY_EXISTS });
+  await assert.rejects(db.updateDoc("users/2", { score: 1 }), { code: STORAGE_ERROR_CODES.NOT_FOUND });
+});
+
+test("запрос с фильтром, сортировкой и курсором", async () => {
+  for (const [id, score] of [["a", 5], ["b", 3], ["c", 9], ["d", 1]]) {
+    await db.setDoc(`scores/${id}`, { score, hidden: id === "d" });
+  }
+
+  const options = { where: [["hidden", "==", false]], orderBy: [["score", "desc"]], limit: 2 };
+  const first = await db.query("scores", options);
+  const second = await db.query("scores", { ...options, startAfter: first[first.length - 1].id });
+
+  assert.deepEqual(first.map(doc => doc.id), ["c", "a"]);
+  assert.deepEqual(second.map(doc => doc.id), ["b"]);
+});
+
+test("транзакция повторяется при конфликте и не применяет записи до коммита", async () => {
+  await db.setDoc("counters/spins", { value: 0 });
+  let attempts = 0;
+
+  await db.runTransaction(async (tx) => {
+    attempts += 1;
+    const counter = await tx.get("counters/spins");
+
+    // Параллельная запись между чтением и коммитом первой попытки
+    if (attempts === 1) {
+      await db.setDoc("counters/spins", { value: 10 });
+    }
+
+    tx.update("counters/spins", { value: counter.value + 1 });
+  });
+
+  assert.equal(attempts, 2);
+  assert.equal((await db.getDoc("counters/spins")).value, 11);
+
+  await assert.rejects(
+    db.runTransaction(async (tx) => {
+      const counter = await tx.get("counters/spins");
+      await db.setDoc("counters/spins", { value: counter.value + 1 });
+      tx.update("counters/spins", { value: 0 });
+    }),
+    { code: STORAGE_ERROR_CODES.ABORTED }
+  );
+  assert.notEqual((await db.getDoc("counters/spins")).value, 0);
+});
@@ -0,0 +1,68 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc, getDoc } = require("./helpers");
+const streaks = require("../services/streaks");
+const spinDay = require("../services/spinDay");
+const repository = require("../services/repository");
+
+const BOT_ID = "demo";
+const BOT_CONFIG = {
+  streaks: {
+    rewards: [{ day: 1, bonusAttempts: 1 }, { day: 3, points: 50 }, { day: 7, bonusAttempts: 2, points: 100 }],
+    graceDays: 1,
+    cycle: true
+  }
+};
+const SETTINGS = streaks.getStreakSettings(BOT_CONFIG);
+
+function daysAgo(days) {
+  return spinDay.getSpinDay(BOT_CONFIG, new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+}
+
+beforeEach(resetStorage);
+
+test("серия продолжается с пропуском не больше graceDays", () => {
+  assert.equal(streaks.getNextStreak(4, 1, SETTINGS), 5);
+  assert.equal(streaks.getNextStreak(4, 2, SETTINGS), 5);
+  assert.equal(streaks.getNextStreak(4, 3, SETTINGS), 1);
+  assert.equal(streaks.getNextStreak(4, null, SETTINGS), 1);
+  assert.equal(streaks.getNextStreak(4, 2, streaks.getStreakSettings({})), 1);
+});
+
+test("таблица наград идёт заново после последнего дня при cycle", () => {
+  assert.deepEqual(streaks.getRewardForDay(3, SETTINGS), { day: 3, bonusAttempts: 0, points: 50 });
+  assert.equal(streaks.getRewardForDay(2, SETTINGS), null);
+  assert.equal(streaks.getRewardForDay(10, SETTINGS).day, 3);
+  assert.equal(streaks.getRewardForDay(10, streaks.getStreakSettings({ streaks: { ...BOT_CONFIG.streaks, cycle: false } })), null);
+
+  assert.deepEqual(streaks.getNextReward(3, SETTINGS), { day: 7, bonusAttempts: 2, points: 100, in_days: 4 });
+  assert.deepEqual(streaks.getNextReward(7, SETTINGS), { day: 8, bonusAttempts: 1, points: 0, in_days: 1 });
+});
+
+test("награда дня серии начисляется один раз за день", async () => {
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", open_streak: 2, last_open_day: daysAgo(1), bonus_attempts: 0, points_balance: 0 });
+
+  const first = await repository.recordAppOpen(BOT_ID, "1", BOT_CONFIG);
+  assert.equal(first.open_streak, 3);
+  assert.equal(first.is_new_day, true);
+  assert.deepEqual(first.reward, { day: 3, bonusAttempts: 0, points: 50 });
+
+  const second = await repository.recordAppOpen(BOT_ID, "1", BOT_CONFIG);
+  assert.equal(second.is_new_day, false);
+  assert.equal(second.reward, null);
+
+  const user = await getDoc(`bots/${BOT_ID}/users/1`);
+  assert.equal(user.points_balance, 50);
+  assert.equal(user.best_open_streak, 3);
+});
+
+test("после долгого перерыва серия начинается заново", async () => {
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", open_streak: 6, best_open_streak: 6, last_open_day: daysAgo(5) });
+
+  assert.equal(streaks.getCurrentStreak(await getDoc(`bots/${BOT_ID}/users/1`), BOT_CONFIG), 0);
+
+  const result = await repository.recordAppOpen(BOT_ID, "1", BOT_CONFIG);
+  assert.equal(result.open_streak, 1);
+  assert.equal(result.best_open_streak, 6);
+  assert.equal(result.bonus_attempts, 1);
+});
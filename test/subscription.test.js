@@ -0,0 +1,88 @@
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { resetStorage, listen } = require("./helpers");
+const subscription = require("../services/subscription");
+const telegramClient = require("../services/telegramClient");
+const middleware = require("../middleware/middleware");
+
+const BOT_ID = "demo";
+const BOT_CONFIG = { botToken: "123:token", subscription: { channelUsername: "my_channel", required: true } };
+
+let members;
+let calls;
+let server;
+
+beforeEach(async () => {
+  await resetStorage();
+  subscription.clearCache();
+  members = {};
+  calls = [];
+
+  telegramClient.setTelegramClient({
+    getChatMember: async (botToken, chatId, userId) => {
+      calls.push({ botToken, chatId, userId });
+      return members[userId] || { status: "left" };
+    }
+  });
+
+  if (!server) {
+    const app = express();
+    app.get("/spin", (req, res, next) => {
+      req.botId = BOT_ID;
+      req.botConfig = BOT_CONFIG;
+      req.telegramUser = { id: req.query.userId };
+      next();
+    }, middleware.requireSubscription, (req, res) => res.json({ success: true }));
+    server = await listen(app);
+  }
+});
+
+after(() => {
+  telegramClient.setTelegramClient(null);
+  return server && server.close();
+});
+
+test("настройки подписки: канал приводится к @username, без канала подписка не требуется", () => {
+  assert.deepEqual(subscription.getSubscriptionSettings(BOT_CONFIG), { channel: "@my_channel", required: true, cacheSeconds: 60 });
+  assert.equal(subscription.getSubscriptionSettings({ subscription: { channelId: "-100123" } }).channel, "-100123");
+  assert.equal(subscription.getSubscriptionSettings({ subscription: { required: true } }).required, false);
+});
+
+test("статусы участника канала", async () => {
+  members = {
+    1: { status: "member" },
+    2: { status: "restricted", is_member: true },
+    3: { status: "restricted", is_member: false },
+    4: { status: "kicked" }
+  };
+
+  const subscribed = [];
+  for (const userId of ["1", "2", "3", "4"]) {
+    subscribed.push((await subscription.checkSubscription(BOT_ID, BOT_CONFIG, userId)).subscribed);
+  }
+
+  assert.deepEqual(subscribed, [true, true, false, false]);
+  assert.deepEqual(calls[0], { botToken: "123:token", chatId: "@my_channel", userId: "1" });
+});
+
+test("положительный результат берётся из кэша", async () => {
+  members = { 1: { status: "member" } };
+
+  assert.equal((await subscription.checkSubscription(BOT_ID, BOT_CONFIG, "1")).cached, false);
+  assert.equal((await subscription.checkSubscription(BOT_ID, BOT_CONFIG, "1")).cached, true);
+  assert.equal(calls.length, 1);
+});
+
+test("requireSubscription пропускает только подписчиков", async () => {
+  members = { 1: { status: "administrator" } };
+
+  assert.equal((await fetch(`${server.url}/spin?userId=1`)).status, 200);
+
+  const response = await fetch(`${server.url}/spin?userId=2`);
+  const body = await response.json();
+
+  assert.equal(response.status, 403);
+  assert.equal(body.code, "SUBSCRIPTION_REQUIRED");
+  assert.equal(body.channel, "@my_channel");
+});
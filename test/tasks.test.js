@@ -0,0 +1,88 @@
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc, getDoc } = require("./helpers");
+const tasks = require("../services/tasks");
+const subscription = require("../services/subscription");
+const telegramClient = require("../services/telegramClient");
+
+const BOT_ID = "demo";
+const BOT_CONFIG = {
+  botToken: "123:token",
+  tasks: [
+    { id: "join_news", type: "join_channel", channel: "news", reward: { bonusAttempts: 1 } },
+    { id: "invite_3", type: "invite_friends", count: 3, reward: { points: 100 } },
+    { id: "visit_site", type: "visit_link", url: "https://example.com", minSeconds: 30, reward: { bonusAttempts: 1 } },
+    { id: "no_reward", type: "invite_friends", count: 1, reward: {} },
+    { id: "bad_link", type: "visit_link", url: "javascript:alert(1)", reward: { points: 1 } },
+    { id: "invite_3", type: "invite_friends", count: 1, reward: { points: 1 } }
+  ]
+};
+
+let members;
+
+beforeEach(async () => {
+  await resetStorage();
+  subscription.clearCache();
+  members = {};
+
+  telegramClient.setTelegramClient({
+    getChatMember: async (botToken, chatId, userId) => members[userId] || { status: "left" }
+  });
+
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", bonus_attempts: 0, points_balance: 0, qualified_referrals: 2 });
+});
+
+after(() => telegramClient.setTelegramClient(null));
+
+test("некорректные и повторяющиеся задания пропускаются", () => {
+  const list = tasks.getTasks(BOT_CONFIG);
+
+  assert.deepEqual(list.map(task => task.id), ["join_news", "invite_3", "visit_site"]);
+  assert.equal(list[0].channel, "@news");
+  assert.equal(list[1].count, 3);
+});
+
+test("награда за приглашения выдаётся один раз и только после выполнения", async () => {
+  await assert.rejects(tasks.claimTask(BOT_ID, BOT_CONFIG, "1", "invite_3"), { code: "TASK_NOT_COMPLETED", status: 409 });
+
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", bonus_attempts: 0, points_balance: 0, qualified_referrals: 3 });
+
+  const result = await tasks.claimTask(BOT_ID, BOT_CONFIG, "1", "invite_3");
+  assert.equal(result.points_balance, 100);
+  assert.ok(await getDoc(`bots/${BOT_ID}/users/1/ledger/task_invite_3`));
+
+  await assert.rejects(tasks.claimTask(BOT_ID, BOT_CONFIG, "1", "invite_3"), { code: "TASK_ALREADY_CLAIMED" });
+  await assert.rejects(tasks.claimTask(BOT_ID, BOT_CONFIG, "1", "missing"), { code: "TASK_NOT_FOUND", status: 404 });
+});
+
+test("ссылка засчитывается через minSeconds после перехода", async () => {
+  await assert.rejects(tasks.claimTask(BOT_ID, BOT_CONFIG, "1", "visit_site"), { code: "TASK_NOT_COMPLETED" });
+
+  const { started_at: startedAt } = await tasks.startTask(BOT_ID, BOT_CONFIG, "1", "visit_site");
+  const again = await tasks.startTask(BOT_ID, BOT_CONFIG, "1", "visit_site");
+  assert.deepEqual(again.started_at, startedAt);
+
+  await assert.rejects(tasks.claimTask(BOT_ID, BOT_CONFIG, "1", "visit_site"), { code: "TASK_NOT_COMPLETED" });
+
+  const user = await getDoc(`bots/${BOT_ID}/users/1`);
+  await setDoc(`bots/${BOT_ID}/users/1`, { ...user, tasks: { visit_site: { started_at: new Date(Date.now() - 31 * 1000) } } });
+
+  assert.equal((await tasks.claimTask(BOT_ID, BOT_CONFIG, "1", "visit_site")).bonus_attempts, 1);
+});
+
+test("подписка на канал проверяется через getChatMember", async () => {
+  const [before] = await tasks.getUserTasks(BOT_ID, BOT_CONFIG, await getDoc(`bots/${BOT_ID}/users/1`));
+  assert.equal(before.completed, false);
+
+  members = { 1: { status: "member" } };
+  subscription.clearCache();
+
+  assert.equal((await tasks.claimTask(BOT_ID, BOT_CONFIG, "1", "join_news")).bonus_attempts, 1);
+
+  // Полученное задание остаётся выполненным после отписки
+  members = {};
+  subscription.clearCache();
+  const [claimed] = await tasks.getUserTasks(BOT_ID, BOT_CONFIG, await getDoc(`bots/${BOT_ID}/users/1`));
+  assert.equal(claimed.completed, true);
+  assert.equal(claimed.claimed, true);
+});
@@ -0,0 +1,57 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetStorage, setDoc, getDoc } = require("./helpers");
+const repository = require("../services/repository");
+const wallet = require("../services/wallet");
+
+const BOT_ID = "demo";
+
+beforeEach(async () => {
+  await resetStorage();
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", points_balance: 0 });
+});
+
+function grant(amount, referenceId) {
+  return repository.applyPointsOperation(BOT_ID, "1", {
+    amount,
+    reason: wallet.LEDGER_REASONS.ADMIN_GRANT,
+    reference: { type: "admin", id: referenceId }
+  });
+}
+
+test("createLedgerEntry проверяет сумму и баланс", () => {
+  assert.throws(() => wallet.createLedgerEntry(10, { amount: 1.5, reason: "spin" }), { code: "INVALID_AMOUNT" });
+  assert.throws(() => wallet.createLedgerEntry(10, { amount: 0, reason: "spin" }), { code: "INVALID_AMOUNT" });
+  assert.throws(() => wallet.createLedgerEntry(10, { amount: -11, reason: "spin" }), { code: "INSUFFICIENT_POINTS", status: 409 });
+
+  const { entry, balance } = wallet.createLedgerEntry(10, { amount: -4, reason: "spin", reference: { type: "spin", id: "s1" } });
+  assert.equal(balance, 6);
+  assert.equal(entry.entry_id, "spin_s1");
+  assert.equal(entry.type, "debit");
+});
+
+test("операция с той же ссылкой проводится один раз", async () => {
+  assert.equal((await grant(100, "op_1")).balance, 100);
+
+  const repeated = await grant(100, "op_1");
+  assert.equal(repeated.duplicate, true);
+  assert.equal(repeated.balance, 100);
+
+  assert.equal((await getDoc(`bots/${BOT_ID}/users/1`)).points_balance, 100);
+});
+
+test("списание больше баланса отклоняется, баланс сходится с журналом", async () => {
+  await grant(30, "op_1");
+  await grant(-20, "op_2");
+  await assert.rejects(grant(-20, "op_3"), { code: "INSUFFICIENT_POINTS" });
+
+  const { entries } = await repository.getLedger(BOT_ID, "1", {});
+  assert.deepEqual(entries.map(entry => entry.amount).sort((a, b) => a - b), [-20, 30]);
+
+  assert.deepEqual(await repository.reconcileWallet(BOT_ID, "1"), {
+    balance: 10,
+    ledger_balance: 10,
+    entry_count: 2,
+    consistent: true
+  });
+});
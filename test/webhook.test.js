@@ -0,0 +1,104 @@
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { resetStorage, setDoc, getDoc, listen } = require("./helpers");
+const onboarding = require("../services/onboarding");
+const telegramClient = require("../services/telegramClient");
+const webhookRoutes = require("../routes/webhook");
+
+const BOT_ID = "demo";
+const SECRET_TOKEN = "webhook-secret";
+
+let messages;
+let server;
+
+beforeEach(async () => {
+  await resetStorage();
+  messages = [];
+
+  telegramClient.setTelegramClient({
+    sendMessage: async (botToken, chatId, text, extra) => {
+      messages.push({ chatId, text, extra });
+      return {};
+    }
+  });
+
+  await setDoc(`bots/${BOT_ID}`, {
+    botToken: "123:token",
+    webhook: { secretToken: SECRET_TOKEN, webAppUrl: "https://example.com/wheel", welcomeMessage: "Привет, {first_name}!" }
+  });
+
+  if (!server) {
+    const app = express();
+    app.use(express.json());
+    app.use("/", webhookRoutes);
+    server = await listen(app);
+  }
+});
+
+after(() => {
+  telegramClient.setTelegramClient(null);
+  return server && server.close();
+});
+
+function sendUpdate(update, secretToken = SECRET_TOKEN) {
+  return fetch(`${server.url}/webhook/${BOT_ID}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Telegram-Bot-Api-Secret-Token": secretToken },
+    body: JSON.stringify(update)
+  });
+}
+
+function startMessage(userId, text, chatType = "private") {
+  return {
+    message: {
+      text,
+      chat: { id: userId, type: chatType },
+      from: { id: userId, first_name: "Иван", username: `user${userId}` }
+    }
+  };
+}
+
+test("parseStartPayload разбирает реферера и кампанию", () => {
+  assert.deepEqual(onboarding.parseStartPayload("uid_12345-c_summer"), { referrerId: "12345", campaign: "summer" });
+  assert.deepEqual(onboarding.parseStartPayload("c_"), { referrerId: null, campaign: null });
+  assert.deepEqual(onboarding.parseStartPayload(undefined), { referrerId: null, campaign: null });
+});
+
+test("вебхук без верного secret token отклоняется", async () => {
+  const response = await sendUpdate(startMessage(2, "/start"), "wrong");
+
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).code, "INVALID_SECRET_TOKEN");
+  assert.equal(await getDoc(`bots/${BOT_ID}/users/2`), null);
+});
+
+test("/start с deep link регистрирует пользователя с реферером и кампанией", async () => {
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", invited_users: [], referrals: 0 });
+
+  const response = await sendUpdate(startMessage(2, "/start uid_1-c_summer"));
+  assert.equal(response.status, 200);
+
+  const user = await getDoc(`bots/${BOT_ID}/users/2`);
+  assert.equal(user.referred_by, "1");
+  assert.equal(user.campaign, "summer");
+  assert.deepEqual((await getDoc(`bots/${BOT_ID}/users/1`)).invited_users, ["2"]);
+
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].text, "Привет, Иван!");
+  assert.equal(messages[0].extra.reply_markup.inline_keyboard[0][0].web_app.url, "https://example.com/wheel");
+});
+
+test("повторный /start не меняет реферера, /start в группе игнорируется", async () => {
+  await setDoc(`bots/${BOT_ID}/users/1`, { user_id: "1", invited_users: [], referrals: 0 });
+  await setDoc(`bots/${BOT_ID}/users/3`, { user_id: "3", invited_users: [], referrals: 0 });
+
+  await sendUpdate(startMessage(2, "/start uid_1"));
+  await sendUpdate(startMessage(2, "/start uid_3"));
+  await sendUpdate(startMessage(4, "/start uid_1", "group"));
+
+  assert.equal((await getDoc(`bots/${BOT_ID}/users/2`)).referred_by, "1");
+  assert.equal((await getDoc(`bots/${BOT_ID}/users/3`)).referrals, 0);
+  assert.equal(await getDoc(`bots/${BOT_ID}/users/4`), null);
+  assert.equal(messages.length, 2);
+});